@@ -1,6 +1,7 @@
-import React, { useState, useCallback, useRef } from 'react';
+import React, { useState, useCallback, useRef, useMemo } from 'react';
 
 // --- API Configuration ---
+// Defaults for the Gemini provider; the Model Settings panel on the start screen overrides them at runtime.
 const apiKey = ""; 
 // gemini-2.5-flash-preview-09-2025 is used for text and vision tasks
 const TEXT_MODEL = "gemini-2.5-flash-preview-09-2025";
@@ -14,11 +15,22 @@ const THEME_CONTENT_MODIFIERS = {
     'Domestic': 'Suburban home, familiar household objects, soft lighting, cozy environment, mundane setting, focus on simple tasks and activities at home, slice-of-life.',
 };
 
-const TEXT_SYSTEM_PROMPTS = {
-    // The Vision model's description (Turn 1) is now the SOLE visual grounding.
-    'Fantasy': `You are a creative co-author for an epic quest. Look back through the history to find the most recent detailed scene description (provided by the Vision Model on the first turn). Use this as your primary grounding for the visual state. Your task is to generate the next three distinct action options for the user. These options MUST: 1) Be a concrete, descriptive action the protagonist is taking; 2) Be highly visually descriptive and distinct; 3) Drive an epic quest or high-stakes confrontation, focusing on magic, combat, or ancient lore. Your response MUST be a JSON object containing one field: "choices", which is an array of strings.`,
-    'Comedy': `You are a hilarious, chaotic co-author for a comedy adventure. Look back through the history to find the most recent detailed scene description (provided by the Vision Model on the first turn). Use this as your primary grounding for the visual state. Your task is to generate the next three distinct action options for the user. These options MUST: 1) Be a concrete, descriptive action the protagonist is taking; 2) Be highly visually descriptive and distinct; 3) Prioritize physical comedy, absurd/unlikely actions, or bizarre character interaction to create chaos and plot divergence. Your response MUST be a JSON object containing one field: "choices", which is an array of strings.`,
-    'Domestic': `You are a mindful, grounded co-author for a domestic adventure. Look back through the history to find the most recent detailed scene description (provided by the Vision Model on the first turn). Use this as your primary grounding for the visual state. Your task is to generate the next three distinct action options for the user. These options MUST: 1) Be a concrete, descriptive action the protagonist is taking; 2) Be highly visually descriptive and distinct; 3) Focus on low-stakes, relatable, simple physical tasks (e.g., cleaning, minor repairs, food prep) or simple decision points. Your response MUST be a JSON object containing one field: "choices", which is an array of strings.`,
+// Stats shown on the character sheet and tracked by the choices model: name, range and starting value.
+const THEME_STAT_SETS = {
+    'Fantasy': [
+        { name: 'Health', min: 0, max: 10, initial: 10 },
+        { name: 'Mana', min: 0, max: 10, initial: 5 },
+        { name: 'Courage', min: 0, max: 10, initial: 5 },
+    ],
+    'Comedy': [
+        { name: 'Dignity', min: 0, max: 10, initial: 7 },
+        { name: 'Chaos', min: 0, max: 10, initial: 2 },
+    ],
+    'Domestic': [
+        { name: 'Energy', min: 0, max: 10, initial: 8 },
+        { name: 'Mood', min: 0, max: 10, initial: 6 },
+        { name: 'Tidiness', min: 0, max: 10, initial: 5 },
+    ],
 };
 
 const STYLE_MODIFIERS = {
@@ -30,55 +42,190 @@ const STYLE_MODIFIERS = {
 // --- Utility Functions ---
 
 /**
- * Executes a fetch request with exponential backoff for retries.
+ * A non-2xx HTTP response. `status` drives the retry policy; `retryAfterMs` comes from the Retry-After header.
  */
-async function fetchWithRetry(url, payload, maxRetries = 3) {
+class HttpError extends Error {
+    constructor(status, details, retryAfterMs = null) {
+        super(`HTTP error! status: ${status}. Details: ${details}`);
+        this.name = 'HttpError';
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+/**
+ * True for requests stopped by an AbortSignal (the Cancel button or starting a new adventure).
+ */
+const isAbortError = (error) => error?.name === 'AbortError';
+
+/**
+ * Only rate limits, server errors, timeouts and network failures are worth another attempt;
+ * other 4xx responses (bad payloads, auth, safety rejections) fail the same way every time.
+ */
+const isRetryableError = (error) => {
+    if (isAbortError(error)) return false;
+    if (error instanceof HttpError) return error.status === 429 || error.status >= 500;
+    return true;
+};
+
+/**
+ * Parses a Retry-After header (delay in seconds, or an HTTP date) into milliseconds.
+ */
+const parseRetryAfter = (value) => {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Resolves after `ms`, or rejects with an AbortError as soon as `signal` aborts.
+ */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+        reject(signal.reason ?? new DOMException('The request was cancelled.', 'AbortError'));
+        return;
+    }
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, ms);
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason ?? new DOMException('The request was cancelled.', 'AbortError'));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Combines optional retry listeners into one.
+ */
+const combineRetryHandlers = (...handlers) => (info) => handlers.forEach(handler => handler?.(info));
+
+/**
+ * Executes a fetch request, retrying transient failures with jittered exponential backoff.
+ * `payload` is sent as JSON, or as-is when it is FormData (multipart uploads).
+ * `fetchImpl` lets demo mode substitute an offline fetch.
+ * `readBody(response, attemptSignal)` reads the successful response (JSON by default) and its result is
+ * returned. It runs inside the attempt, so the timeout and `signal` also cover reading a large or
+ * streamed body; streamed reads should stop when `attemptSignal` aborts.
+ * `signal` cancels the request (including any wait between attempts); `timeoutMs` bounds each attempt.
+ * `onRetry({ url, attempt, delayMs, error })` is called before each retry, e.g. for the Debug Console.
+ */
+async function fetchWithRetry(url, payload, { maxRetries = 3, headers = {}, fetchImpl = fetch, signal, timeoutMs = 60000, onRetry, readBody = (response) => response.json() } = {}) {
+    const isFormData = typeof FormData !== 'undefined' && payload instanceof FormData;
     for (let i = 0; i < maxRetries; i++) {
+        // Each attempt gets its own controller so a timeout only ends that attempt, while the caller's signal ends them all.
+        const attemptController = new AbortController();
+        const abortAttempt = () => attemptController.abort(signal.reason);
+        signal?.addEventListener('abort', abortAttempt, { once: true });
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            attemptController.abort();
+        }, timeoutMs);
+
         try {
-            const response = await fetch(url, {
+            if (signal?.aborted) abortAttempt();
+            const response = await fetchImpl(url, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(payload)
+                headers: isFormData ? headers : { 'Content-Type': 'application/json', ...headers },
+                body: isFormData ? payload : JSON.stringify(payload),
+                signal: attemptController.signal,
             });
 
             if (!response.ok) {
                 // Read the response text for better error logging
                 const errorText = await response.text();
-                throw new Error(`HTTP error! status: ${response.status}. Details: ${errorText}`);
+                throw new HttpError(response.status, errorText, parseRetryAfter(response.headers.get('Retry-After')));
             }
-            return response;
+            return await readBody(response, attemptController.signal);
 
-        } catch (error) {
-            if (i === maxRetries - 1) {
+        } catch (caught) {
+            const error = timedOut && !signal?.aborted
+                ? new Error(`The request timed out after ${Math.round(timeoutMs / 1000)}s.`)
+                : caught;
+            if (i === maxRetries - 1 || !isRetryableError(error)) {
                 throw error;
             }
-            const delay = Math.pow(2, i) * 1000;
-            console.warn(`Attempt ${i + 1} failed. Retrying in ${delay}ms...`);
-            await new Promise(resolve => setTimeout(resolve, delay));
+            const delayMs = error.retryAfterMs ?? Math.round(Math.pow(2, i) * 1000 * (0.5 + Math.random()));
+            console.warn(`Attempt ${i + 1} failed. Retrying in ${delayMs}ms...`, error);
+            onRetry?.({ url, attempt: i + 1, delayMs, error });
+            await sleep(delayMs, signal);
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', abortAttempt);
         }
     }
     throw new Error("Maximum retries reached for API call.");
 }
 
 /**
- * Converts base64 image data to a Blob and creates a temporary URL.
+ * Creates a reasonably unique id, e.g. for story turns and local saves.
+ */
+const createId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Leading bytes of the image formats the app reads and writes ('WEBP' sits at offset 8, after 'RIFF' and the size).
+const IMAGE_SIGNATURES = [
+    { mimeType: 'image/png', offset: 0, bytes: [0x89, 0x50, 0x4E, 0x47] },
+    { mimeType: 'image/jpeg', offset: 0, bytes: [0xFF, 0xD8, 0xFF] },
+    { mimeType: 'image/webp', offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] },
+    { mimeType: 'image/gif', offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] },
+];
+
+const IMAGE_FILE_EXTENSIONS = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp', 'image/gif': 'gif' };
+
+/**
+ * Detects the MIME type of base64 image data from its magic bytes, or returns null if unknown.
+ */
+const detectImageMimeType = (base64) => {
+    let header;
+    try {
+        header = atob(base64.slice(0, 16));
+    } catch {
+        return null;
+    }
+    const match = IMAGE_SIGNATURES.find(({ offset, bytes }) => bytes.every((byte, i) => header.charCodeAt(offset + i) === byte));
+    return match ? match.mimeType : null;
+};
+
+/**
+ * Converts base64 image data to a Blob (typed from its magic bytes unless given).
  */
-const base64ToBlobAndUrl = (base64) => {
+const base64ToBlob = (base64, mimeType = detectImageMimeType(base64) || 'image/png') => {
     const byteCharacters = atob(base64);
     const byteNumbers = new Array(byteCharacters.length);
     for (let i = 0; i < byteCharacters.length; i++) {
         byteNumbers[i] = byteCharacters.charCodeAt(i);
     }
     const byteArray = new Uint8Array(byteNumbers);
-    const blob = new Blob([byteArray], { type: 'image/png' });
-    return URL.createObjectURL(blob);
+    return new Blob([byteArray], { type: mimeType });
+};
+
+/**
+ * Converts base64 image data to a Blob and creates a temporary URL.
+ */
+const base64ToBlobAndUrl = (base64) => URL.createObjectURL(base64ToBlob(base64));
+
+/**
+ * Reads a Blob back into raw base64 data (without the data URL prefix).
+ */
+const blobToBase64 = (blob) => {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result.split(',')[1]);
+        reader.onerror = () => reject(new Error('Failed to read image data.'));
+        reader.readAsDataURL(blob);
+    });
 };
 
 /**
  * Resizes a base64 image down to a target width (maintaining aspect ratio).
- * This reduces the payload size for the Vision Model during the single 'describeImage' step.
+ * This reduces the payload size for the Vision Model during the single 'describeImage' step,
+ * and for older scenes in the image history (as JPEG, see compactImageHistory).
  */
-const resizeBase64Image = (base64Data, maxWidth = 800) => {
+const resizeBase64Image = (base64Data, maxWidth = 800, outputMimeType = 'image/png') => {
     return new Promise((resolve, reject) => {
         const img = new Image();
         img.onload = () => {
@@ -97,275 +244,6559 @@ const resizeBase64Image = (base64Data, maxWidth = 800) => {
             ctx.drawImage(img, 0, 0, width, height);
 
             // Convert canvas content back to base64
-            const resizedBase64 = canvas.toDataURL('image/png').split(',')[1];
+            const resizedBase64 = canvas.toDataURL(outputMimeType, 0.85).split(',')[1];
             resolve(resizedBase64);
         };
         img.onerror = (error) => reject(new Error('Failed to load image for resizing.'));
-        img.src = `data:image/png;base64,${base64Data}`;
+        img.src = `data:${detectImageMimeType(base64Data) || 'image/png'};base64,${base64Data}`;
     });
 };
 
+// Formats accepted for an uploaded opening scene, and the width it is stored at.
+const SUPPORTED_UPLOAD_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+const UPLOADED_IMAGE_WIDTH = 1024;
 
 /**
- * Generates choices using the light narrative history, returning choices and duration.
+ * Reads an uploaded or pasted image file into inline image data for the opening scene, throwing a
+ * player-readable Error for unsupported files. PNGs stay PNG; photos and WebP are stored as JPEG.
  */
-const generateOptions = async (narrativeHistory, theme) => {
-    const start = performance.now(); 
-    
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${TEXT_MODEL}:generateContent?key=${apiKey}`;
-    const dynamicSystemPrompt = TEXT_SYSTEM_PROMPTS[theme] || TEXT_SYSTEM_PROMPTS['Fantasy'];
+const prepareUploadedImage = async (file) => {
+    const original = await blobToBase64(file);
+    const originalType = detectImageMimeType(original);
+    if (!SUPPORTED_UPLOAD_TYPES.includes(originalType)) {
+        throw new Error('Please choose a JPEG, PNG or WebP image.');
+    }
+    const data = await resizeBase64Image(original, UPLOADED_IMAGE_WIDTH, originalType === 'image/png' ? 'image/png' : 'image/jpeg');
+    return { mimeType: detectImageMimeType(data) || 'image/png', data };
+};
 
-    const payload = {
-        contents: narrativeHistory, 
-        systemInstruction: { parts: [{ text: dynamicSystemPrompt }] },
-        generationConfig: {
-            responseMimeType: "application/json",
-            responseSchema: {
-                type: "OBJECT",
-                properties: {
-                    "choices": {
-                        "type": "ARRAY",
-                        "items": { "type": "STRING" },
-                        "description": "Exactly 3 distinct, compelling, and descriptive choices."
-                    }
-                },
-                "propertyOrdering": ["choices"]
-            }
-        }
-    };
+// --- Image History Compaction ---
+// Every generated scene stays in THREAD 1 at full size, but sending all of them on every turn
+// grows the payload without limit. Before each image call the history is compacted: the newest
+// images go as-is, older ones are downsampled to JPEG thumbnails, and if the payload is still over
+// budget the oldest turns are dropped and replaced by a one-line summary of the actions taken.
 
-    const response = await fetchWithRetry(url, payload);
-    const result = await response.json();
+const DEFAULT_HISTORY_BUDGET = { fullResolutionImages: 3, olderImageWidth: 320, maxPayloadKB: 6144 };
 
-    const jsonText = result?.candidates?.[0]?.content?.parts?.[0]?.text;
-    if (!jsonText) throw new Error("Text generation returned empty content.");
+// Downsampled copies per inlineData object (and width), so each old image is only resized once.
+const downsampledImageCache = new WeakMap();
 
-    let parsed;
-    try {
-        // Remove markdown triple backticks and 'json' tag if present
-        const cleanJsonText = jsonText.replace(/```json\n?|```/g, '').trim();
-        parsed = JSON.parse(cleanJsonText);
-    } catch (e) {
-        console.error("Failed to parse JSON from model:", jsonText, e);
-        throw new Error("Model returned malformed JSON structure.");
+const downsampleInlineImage = async (inlineData, maxWidth) => {
+    let byWidth = downsampledImageCache.get(inlineData);
+    if (!byWidth) {
+        byWidth = new Map();
+        downsampledImageCache.set(inlineData, byWidth);
     }
-    
-    if (!Array.isArray(parsed.choices)) {
-        throw new Error("Model returned invalid choices array structure.");
+    if (!byWidth.has(maxWidth)) {
+        const data = await resizeBase64Image(inlineData.data, maxWidth, 'image/jpeg');
+        byWidth.set(maxWidth, { mimeType: 'image/jpeg', data });
     }
-    
-    const duration = performance.now() - start; 
-    return { choices: parsed.choices, duration };
+    return byWidth.get(maxWidth);
 };
 
 /**
- * Generates the scene image, using the full multimodal image history, returning image data and duration.
- * This uses the Image-to-Image model.
+ * Approximate request size in bytes (base64 and prompts are ASCII-heavy, so characters ~ bytes).
  */
-const generateImage = async (imageHistory, currentPrompt, theme, style, isRefiningStep = false) => {
-    const start = performance.now(); 
-    
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${IMAGE_MODEL}:generateContent?key=${apiKey}`;
-    
-    const themeContent = THEME_CONTENT_MODIFIERS[theme] || THEME_CONTENT_MODIFIERS['Fantasy'];
-    
-    let narrativeInstruction;
-    if (isRefiningStep) {
-         narrativeInstruction = `Modify the scene in the previous image (provided in history) using this visual instruction: ${currentPrompt}`;
-    } else {
-         narrativeInstruction = `Advance the scene in the previous image (provided in history) based on the user's action: ${currentPrompt}`;
+const estimatePayloadBytes = (value) => JSON.stringify(value).length;
+
+const formatBytes = (bytes) => bytes >= 1024 * 1024
+    ? `${(bytes / (1024 * 1024)).toFixed(2)} MB`
+    : `${(bytes / 1024).toFixed(1)} KB`;
+
+/**
+ * Returns a compacted copy of the image history for one request, plus stats for the Debug Console.
+ * The stored history is never modified.
+ */
+const compactImageHistory = async (imageHistory, budget = DEFAULT_HISTORY_BUDGET) => {
+    const { fullResolutionImages, olderImageWidth, maxPayloadKB } = { ...DEFAULT_HISTORY_BUDGET, ...budget };
+    const originalBytes = estimatePayloadBytes(imageHistory);
+
+    const imageEntryIndexes = imageHistory
+        .map((entry, index) => entry.parts.some(part => part.inlineData) ? index : -1)
+        .filter(index => index !== -1);
+    const downsampleBefore = imageEntryIndexes.length > fullResolutionImages
+        ? imageEntryIndexes[imageEntryIndexes.length - fullResolutionImages]
+        : 0;
+
+    let downsampledCount = 0;
+    let contents = await Promise.all(imageHistory.map(async (entry, index) => {
+        if (index >= downsampleBefore || !entry.parts.some(part => part.inlineData)) return entry;
+        downsampledCount++;
+        const parts = await Promise.all(entry.parts.map(async part => part.inlineData
+            ? { inlineData: await downsampleInlineImage(part.inlineData, olderImageWidth) }
+            : part));
+        return { ...entry, parts };
+    }));
+
+    // Drop whole turns (a user prompt and everything up to the next one) from the front while
+    // over budget, but never the turns holding the full-resolution images.
+    const droppedActions = [];
+    const maxBytes = maxPayloadKB * 1024;
+    while (estimatePayloadBytes(contents) > maxBytes) {
+        const nextTurnStart = contents.findIndex((entry, index) => index > 0 && entry.role === 'user');
+        const keptImages = contents.slice(nextTurnStart).filter(entry => entry.parts.some(part => part.inlineData)).length;
+        if (nextTurnStart === -1 || keptImages < Math.min(fullResolutionImages, imageEntryIndexes.length)) break;
+
+        contents.slice(0, nextTurnStart)
+            .filter(entry => entry.role === 'user')
+            .forEach(entry => droppedActions.push(entry.parts.map(part => part.text).filter(Boolean).join(' ')));
+        contents = contents.slice(nextTurnStart);
     }
-    
-    const styleModifier = STYLE_MODIFIERS[style] || STYLE_MODIFIERS['Watercolor Concept']; 
-    const qualityInstructions = `${styleModifier} --ar 16:9`;
 
-    const finalImagePrompt = `${themeContent}. ${narrativeInstruction}. ${qualityInstructions}`;
-    
-    // Append the final constructed prompt (as the user's latest input) to the existing multimodal history
-    const contentsForImage = [
-        ...imageHistory, 
-        { role: "user", parts: [{ text: finalImagePrompt }] } 
-    ];
+    if (droppedActions.length > 0) {
+        const summary = `(Earlier scenes omitted to save space. The story so far: ${droppedActions.join(' / ')})`;
+        contents = [{ ...contents[0], parts: [{ text: summary }, ...contents[0].parts] }, ...contents.slice(1)];
+    }
 
-    const payload = {
-        contents: contentsForImage, 
-        generationConfig: {
-            responseModalities: ['TEXT', 'IMAGE']
-        }
+    return {
+        contents,
+        stats: {
+            originalBytes,
+            compactedBytes: estimatePayloadBytes(contents),
+            imageCount: imageEntryIndexes.length,
+            downsampledCount,
+            droppedTurns: droppedActions.length,
+        },
     };
+};
 
-    const response = await fetchWithRetry(url, payload);
-    const result = await response.json();
+// --- Languages & UI Strings ---
+// The player picks the adventure's language on the start screen. Choices, narration and scene
+// descriptions are generated in it, while image prompts are sent in English (see translateForImageModel).
+// The same language picks the UI strings below, which also label the storybook and comic exports; a
+// string missing from a catalogue falls back to English. Prompt templates and their descriptions stay
+// as written, in English, since that is the text the models are sent.
+//
+// Strings take `{name}` parameters. A string with a `count` parameter is looked up as
+// `key_<plural category>` (Intl.PluralRules), falling back to `key_other`.
 
-    const part = result?.candidates?.[0]?.content?.parts?.find(p => p.inlineData);
-    const base64Data = part?.inlineData?.data;
-    
-    if (!base64Data) {
-         let errorMessage = "Image generation returned empty data.";
-         const candidate = result?.candidates?.[0];
-         if (candidate) {
-            const safetyRatings = candidate.safetyRatings;
-            if (safetyRatings && safetyRatings.length > 0) {
-                const blockedCategories = safetyRatings
-                    .filter(r => r.probability !== 'NEGLIGIBLE' && r.blocked)
-                    .map(r => `${r.category} (P: ${r.probability})`)
-                    .join(', ');
-                
-                if (blockedCategories) {
-                    errorMessage += ` Generation was blocked due to safety flags: ${blockedCategories}.`;
-                }
-            }
-         }
-        throw new Error(errorMessage);
+const LANGUAGE_STORAGE_KEY = 'cyob-language';
+const DEFAULT_LANGUAGE = 'en';
+
+// `name` is used in prompts, `nativeName` in the language selector.
+const LANGUAGES = {
+    en: { name: 'English', nativeName: 'English', dir: 'ltr' },
+    es: { name: 'Spanish', nativeName: 'Español', dir: 'ltr' },
+    de: { name: 'German', nativeName: 'Deutsch', dir: 'ltr' },
+    ja: { name: 'Japanese', nativeName: '日本語', dir: 'ltr' },
+    ar: { name: 'Arabic', nativeName: 'العربية', dir: 'rtl' },
+};
+
+const UI_STRINGS = {
+    en: {
+        appTitle: 'Dual-AI Adventure Generator',
+        startIntro: 'Enter a starting premise or upload a picture to start in, choose a theme and a visual style, and begin your visual journey.',
+        storyLanguage: 'Story Language:',
+        storyLanguageHint: 'Choices, story prose and scene descriptions are written in this language.',
+        adventureTheme: 'Adventure Theme:',
+        visualStyle: 'Visual Style:',
+        premisePlaceholder: 'Enter your starting premise for a {theme} adventure (or paste an image)...',
+        openingSceneAlt: 'Opening scene',
+        openingImageNote: 'The adventure starts in this picture.',
+        openingImageNoteWithPremise: 'The adventure starts in this picture, with your premise.',
+        remove: 'Remove',
+        startFromImage: 'Start from a photo or drawing (JPEG, PNG or WebP)',
+        starting: 'Starting...',
+        startAdventure: 'Start Adventure!',
+        demoModeToggle: 'Demo mode (works offline with generated placeholder scenes; no API key needed)',
+        importSession: 'Import Session',
+        resumeLastAdventure: 'Resume last adventure',
+        recentAdventures: 'Recent Adventures:',
+        savedAdventureTurn: 'Turn {turn}',
+        delete: 'Delete',
+        deleteSavedAdventure: 'Delete saved adventure: {title}',
+        currentScene: 'Current Scene',
+        themeAndStyle: '(Theme: {theme} / Style: {style})',
+        applyingRefinement: 'Applying Refinement...',
+        generatingScene: 'Generating scene and choices...',
+        cancel: 'Cancel',
+        imageLoading: 'Image loading...',
+        currentSceneAlt: 'Current adventure scene',
+        sceneAfterAlt: 'Scene after: {prompt}',
+        downloadImage: 'Download Current Image',
+        exportSession: 'Export Session',
+        redescribingScene: 'Re-describing Scene...',
+        redescribeScene: 'Re-describe Scene',
+        refineTitle: 'Refine the Scene:',
+        refinePlaceholder: "e.g., 'Make the dragon's scales metallic blue' or 'Add a small, mischievous cat in the foreground'",
+        refineLabel: 'Visual instruction for the refinement',
+        applying: 'Applying...',
+        applyRefinement: 'Apply Refinement',
+        chooseNextStep: 'Choose your next step:',
+        refineImageFirst: 'Refine Image First',
+        rerollChoices: 'New Choices',
+        rerollingChoices: 'Finding new choices...',
+        toneCombat: 'Combat',
+        toneStealth: 'Stealth',
+        toneSocial: 'Social',
+        toneExploration: 'Exploration',
+        toneCunning: 'Cunning',
+        toneCaution: 'Caution',
+        riskLow: 'Low risk',
+        riskMedium: 'Medium risk',
+        riskHigh: 'High risk',
+        filterTone: 'Tone',
+        filterAllTones: 'All tones',
+        filterRisk: 'Risk',
+        filterAnyRisk: 'Any risk',
+        filterLowRisk: 'Low risk only',
+        filterUpToMedium: 'Up to medium risk',
+        choicesHidden_one: '{count} choice is hidden by the filter.',
+        choicesHidden_other: '{count} choices are hidden by the filter.',
+        showAllChoices: 'Show all',
+        budgetHardWarning: 'Budget reached: an estimated {cost} spent. No more model calls until the hard budget is raised.',
+        budgetSoftWarning: 'Heads up: an estimated {cost} spent, past the soft budget of {soft}.',
+        budgetSoftWarningWithLimit: 'Heads up: an estimated {cost} spent, past the soft budget of {soft}. Calls stop at {hard}.',
+        queuedChoice: 'Queued: continues as soon as the scene is ready.',
+        awaitingChoices: 'Awaiting the next set of choices...',
+        customActionPlaceholder: "...or type your own action, e.g. 'I hide behind the barrel instead'",
+        customActionLabel: 'Your own action',
+        doIt: 'Do it',
+        keysLabel: 'Keys:',
+        shortcutChoose: 'pick a choice',
+        shortcutRefine: 'refine the image',
+        shortcutDownload: 'download the image',
+        shortcutCancel: 'cancel the running step, or close the refinement',
+        shortcutNewAdventure: 'start a new adventure',
+        startNewAdventure: 'Start New Adventure',
+        storyMapTitle: 'Story Map ({turns}, {branches})',
+        turnCount_one: '{count} turn',
+        turnCount_other: '{count} turns',
+        branchCount_one: '{count} branch',
+        branchCount_other: '{count} branches',
+        storyMapHint: 'Pick any earlier turn to rewind; your next choice starts a new branch from there.',
+        storyMapBranch: 'Branch {number}',
+        storyMapTurn: 'Turn {turn}',
+        storyMapRefine: 'Refine',
+        storyMapYourAction: '(your action)',
+        blockedSafety: 'Blocked by the safety filter',
+        blockedRecitation: 'Too close to existing material',
+        blockedMaxTokens: 'The response was cut short',
+        blockedAction: 'Action',
+        blockedRefinement: 'Refinement',
+        rephrasing: 'Rephrasing...',
+        rephraseAndRetry: 'Rephrase & Retry',
+        retryAsIs: 'Retry As Is',
+        backToChoices: 'Back to the Choices',
+        pickAnotherChoice: 'Pick Another Choice',
+        backToLastScene: 'Back to Last Good Scene',
+        announceRefining: 'Applying the refinement...',
+        announceQueued: 'Choice queued: {choice}',
+        announceGenerating: 'Generating the scene and choices...',
+        announceSceneReady: 'New scene ready.',
+        announceChoices_one: '{count} choice; press 1 to pick it.',
+        announceChoices_other: '{count} choices; press 1 to {last} to pick one.',
+        errorRefineEmpty: 'Please enter a visual instruction to refine the image.',
+        errorRefineCancelled: 'The refinement was cancelled.',
+        errorRefineFailed: 'Oops! Refinement failed: {message}.',
+        errorStepCancelled: 'The request was cancelled. Pick a choice or try again.',
+        errorStepFailed: 'Oops! The adventure generator encountered an error: {message}. Please try a different prompt or restart.',
+        errorRephraseCancelled: 'The rephrase was cancelled.',
+        errorRephraseFailed: 'Could not rephrase the action: {message}.',
+        errorRerollCancelled: 'Finding new choices was cancelled; the current ones still stand.',
+        errorRerollFailed: 'Could not find new choices: {message}.',
+        errorHardBudget: 'This adventure has reached its hard budget (an estimated {cost} of {hard}). Raise the budget in the Usage & Budget panel to continue.',
+        errorImportSession: 'Could not import session: {message}',
+        errorResumeAdventure: 'Could not resume the saved adventure: {message}',
+        errorDeleteAdventure: 'Could not delete the saved adventure: {message}',
+        confirmPruneSaves: 'Browser storage is full. Delete your oldest saved adventures to make room for this one? Your current adventure and the one you opened most recently are kept.',
+        edit: 'Edit',
+        duplicate: 'Duplicate',
+        save: 'Save',
+        errorBanner: 'Error:',
+        refiningScene: 'Refining scene: "{prompt}"',
+        untitledAdventure: 'Untitled adventure',
+        statusRegroundingSkipped: 'Scene re-grounding skipped: the session budget is used up.',
+        statusRegrounding: 'Re-describing the scene...',
+        statusRegrounded: 'Scene re-grounded.',
+        statusRegroundingCancelled: 'Scene re-grounding was cancelled.',
+        statusRegroundingFailed: 'Scene re-grounding failed: {message}',
+        statusSaving: 'Saving...',
+        statusAutosaved: 'Autosaved',
+        statusAutosavedPruned_one: 'Autosaved (removed older save: {titles})',
+        statusAutosavedPruned_other: 'Autosaved (removed older saves: {titles})',
+        statusAutosaveFailed: 'Autosave failed: {message}',
+        statusStorageFull: 'Autosave failed: browser storage is full. Export the session to keep it, or delete saved adventures you no longer need.',
+        errorDebugBundle: 'Could not build the bug-report bundle: {message}',
+        settingsTitle: 'Model Settings ({provider})',
+        settingsDemoMode: 'Demo mode',
+        settingsProvider: 'Provider',
+        settingsApiKey: 'API Key',
+        settingsApiKeyNote: '(stored in this browser only)',
+        settingsTextModel: 'Text & Vision Model',
+        settingsImageModel: 'Image Model',
+        settingsBaseUrl: 'API Base URL',
+        settingsDemoModeToggle: 'Demo mode: use the offline mock backend instead of the provider above',
+        settingsLatency: 'Latency (ms)',
+        settingsSeed: 'Random Seed',
+        settingsFailureMode: 'Injected Failure',
+        settingsFailureRate: 'Failure Rate (0-1)',
+        mockFailureNone: 'No failures',
+        mockFailureHttp429: 'HTTP 429 (rate limited)',
+        mockFailureHttp500: 'HTTP 500 (server error)',
+        mockFailureSafety: 'Safety block',
+        mockFailureRecitation: 'Recitation stop',
+        mockFailureMaxTokens: 'Output cut short (MAX_TOKENS)',
+        mockFailureMalformedJson: 'Malformed choices JSON',
+        mockFailureRandom: 'Random mix of the above',
+        settingsHistoryBudget: 'Image History Budget',
+        settingsFullSizeScenes: 'Full-size scenes',
+        settingsOlderWidth: 'Older width (px)',
+        settingsPayloadBudget: 'Budget (KB)',
+        settingsHistoryBudgetHint: 'The newest scenes are sent at full size; older ones are downsampled, and the oldest turns are summarized once the image request exceeds the budget.',
+        settingsRegrounding: 'Scene Re-grounding',
+        settingsRegroundEvery: 'Every N turns (0 = off)',
+        settingsRegroundMode: 'New description',
+        settingsRegroundMerge: 'Merge into previous',
+        settingsRegroundReplace: 'Replace previous',
+        settingsRegroundAfterRefinement: 'Re-describe after every refinement',
+        settingsRegroundingHint: "The latest image is re-described in the background so the choices keep matching the picture. The next turn waits for it only if it hasn't finished yet.",
+        settingsNarration: 'Story Narration',
+        settingsPassageLength: 'Passage length',
+        narrationTerse: 'Terse (1-2 short sentences)',
+        narrationNormal: 'Normal (3-4 sentences)',
+        narrationRich: 'Rich (a full paragraph of 5-7 sentences)',
+        settingsNarrationHint: "Each turn comes with a short passage of story prose in the theme's tone, also used by the storybook export.",
+        settingsChoices: 'Choices',
+        settingsChoicesPerTurn: 'Choices per turn',
+        settingsChoicesHint: 'Each choice is tagged with a tone and a risk level, so the list can be filtered. Applies from the next turn or reroll.',
+        settingsAccessibility: 'Accessibility',
+        settingsSceneAltText: 'Describe every scene for screen readers',
+        settingsSceneAltTextHint: 'Each new image gets a one-sentence alt text from the vision model (one extra call per image).',
+        settingsPrices: 'Prices & Session Budget (USD)',
+        settingsInputPrice: 'Input / 1M tokens',
+        settingsOutputPrice: 'Output / 1M tokens',
+        settingsImagePrice: 'Per image',
+        settingsSoftBudget: 'Soft budget (warns)',
+        settingsHardBudget: 'Hard budget (stops)',
+        settingsBudgetHint: "Costs are estimated from each call's reported token usage. Past the soft budget every turn shows a warning; at the hard budget no new model calls are made. 0 turns a limit off.",
+        settingsTimeouts: 'Request Timeouts',
+        settingsTextTimeout: 'Text calls (s)',
+        settingsImageTimeout: 'Image calls (s)',
+        settingsTimeoutsHint: 'Each attempt is abandoned after this long. Rate limits, server errors and timeouts are retried with backoff; other client errors are not.',
+        settingsSave: 'Save Settings',
+        settingsReset: 'Reset to Defaults',
+        presetsTitle: 'Custom Themes & Styles ({total})',
+        presetsThemes: 'Themes',
+        presetsStyles: 'Styles',
+        presetsAddTheme: '+ New theme',
+        presetsAddStyle: '+ New style',
+        presetsBuiltIn: '(built-in)',
+        presetsEditTheme: 'Edit theme "{name}"',
+        presetsEditStyle: 'Edit style "{name}"',
+        presetsNewTheme: 'New theme',
+        presetsNewStyle: 'New style',
+        presetsName: 'Name',
+        presetsContentModifier: 'Content Modifier',
+        presetsContentModifierNote: '(added to every image prompt)',
+        presetsSystemPrompt: 'Choice System Prompt',
+        presetsSystemPromptNote: '(must ask for a JSON object with a "choices" array; {count} is replaced by the number of choices)',
+        presetsStats: 'Character Stats',
+        presetsStatsNote: '(one per line: name, min, max, start)',
+        presetsStyleModifier: 'Style Modifier',
+        presetsStyleModifierNote: '(appended to every image prompt)',
+        presetsSaveTheme: 'Save theme',
+        presetsSaveStyle: 'Save style',
+        presetsShare: 'Share Custom Presets (JSON)',
+        presetsImport: 'Import Presets',
+        presetsThemeExists: 'A theme named "{name}" already exists.',
+        presetsStyleExists: 'A style named "{name}" already exists.',
+        presetsThemeSaved: 'Saved theme "{name}".',
+        presetsStyleSaved: 'Saved style "{name}".',
+        presetsImported: 'Imported {themes} and {styles}.',
+        themeCount_one: '{count} theme',
+        themeCount_other: '{count} themes',
+        styleCount_one: '{count} style',
+        styleCount_other: '{count} styles',
+        errorImportPresets: 'Could not import presets: {message}',
+        presetsDefaultThemeName: 'My Theme',
+        presetsDefaultStyleName: 'My Style',
+        presetsCopyName: '{name} (copy)',
+        storybookUntitled: 'An Adventure',
+        storybookHtml: 'Storybook (HTML)',
+        storybookPrint: 'Storybook (Print / PDF)',
+        storybookIncludeRefinements: 'Include refinement steps as separate pages',
+        storybookPrintBlocked: 'The print window was blocked. Allow pop-ups, or download the HTML and print it.',
+        storybookTurnLabel: 'Turn {turn}',
+        storybookRefinementLabel: 'Turn {turn} · Refinement',
+        storybookSceneAlt: 'Scene {number}',
+        storybookSceneShifts: 'The scene shifts: {text}',
+        storybookCoverMeta: 'A {theme} adventure, illustrated in {style} style',
+        storybookCoverAlt: 'Cover illustration',
+        storybookCoverAltWithText: 'Cover illustration: {text}',
+        storybookEnd: 'The End... for now.',
+        comicExport: 'Comic Export...',
+        comicFromTurn: 'From turn',
+        comicToTurn: 'To turn',
+        comicLayout: 'Layout',
+        comicPageSize: 'Page size',
+        comicGrid2x2: '2 x 2 grid',
+        comicGrid2x3: '2 x 3 grid',
+        comicGrid3x3: '3 x 3 grid',
+        comicStrip3: 'Vertical strip (3)',
+        comicStrip4: 'Horizontal strip (4)',
+        comicA4Portrait: 'A4 portrait',
+        comicA4Landscape: 'A4 landscape',
+        comicLetterPortrait: 'US Letter portrait',
+        comicSquare: 'Square (social)',
+        comicSpeechBubbles: 'Speech-bubble captions (instead of caption boxes)',
+        comicRendering: 'Rendering...',
+        comicDownloadPng: 'Download PNG',
+        comicDownloadPdf: 'Download PDF',
+        comicExported: 'Exported {panels} on {pages}.',
+        panelCount_one: '{count} panel',
+        panelCount_other: '{count} panels',
+        pageCount_one: '{count} page',
+        pageCount_other: '{count} pages',
+        errorComicExport: 'Comic export failed: {message}',
+        comicContinuedTitle: '{title} (page {page})',
+        sheetTitle: 'Character Sheet',
+        sheetTitleWithLocation: 'Character Sheet — {location}',
+        sheetInventory: 'Inventory',
+        sheetCompanions: 'Companions',
+        sheetQuestFlags: 'Quest Flags',
+        sheetNone: 'None',
+        imagesPerTurn: 'Images per turn:',
+        imageCandidatesHint: 'Pick the image that fits best; the others are kept in the Debug Console.',
+        imageCandidateLabel: 'Image candidate {number}',
+        inspectorTitle: 'Request Inspector ({calls})',
+        callCount_one: '{count} call',
+        callCount_other: '{count} calls',
+        retryCount_one: '{count} retry',
+        retryCount_other: '{count} retries',
+        inspectorReplayTag: '(replay)',
+        inspectorExport: 'Export Bug Report',
+        inspectorRequestImage: 'Request image {number}',
+        inspectorRequest: 'Request',
+        inspectorTemplates: 'Templates: {templates}',
+        inspectorResponse: 'Response',
+        inspectorError: 'Error',
+        inspectorRetry: 'Attempt {attempt} failed, retried after {seconds}s: {message}',
+        inspectorReplayTitle: "Replay (doesn't change the adventure)",
+        inspectorReplaying: 'Replaying...',
+        inspectorReplayAsIs: 'Replay As-Is',
+        inspectorReplayEdited: 'Replay With Edited Prompt',
+        usageTitle: 'Usage & Budget',
+        usageCostOfHard: '({cost} of {hard})',
+        usageCalls: 'Model calls:',
+        usageImages: 'Images generated:',
+        usageInputTokens: 'Input tokens:',
+        usageOutputTokens: 'Output tokens:',
+        usageEstimatedCost: 'Estimated cost:',
+        usageUnpriced: 'No price set for {models}; those calls are not in the estimate. Add them under Model Settings.',
+        usageSoftBudget: 'Soft budget (USD, warns)',
+        usageHardBudget: 'Hard budget (USD, stops)',
+        usageHint: '0 turns a limit off. Costs are estimates from the price table, not your bill.',
+        usageSave: 'Save Budget',
+        usageDownloadCsv: 'Download Usage (CSV)',
+        templatesTitle: 'Prompt Templates ({overridden} overridden)',
+        templatesOverriddenTag: '(overridden)',
+        templatesVariables: 'Variables: {variables}',
+        templatesNoVariables: 'none',
+        templatesInUse: 'In use:',
+        templatesSaveRevision: 'Save as Revision {revision}',
+        templatesRevert: 'Revert to Built-in',
+        templatesHint: 'Overrides are saved with this adventure and apply from the next call. Every turn and logged call records the template versions it used.',
+        pinnedTitle: 'Pinned Characters ({pinned}/{max})',
+        pinnedHint: 'Pinned characters are sent with every scene so they keep looking the same.',
+        pinnedEditTitle: 'Edit Character',
+        pinnedNewTitle: 'Pin a Character',
+        pinnedNamePlaceholder: "Name, e.g. 'Captain Mira'",
+        pinnedLookPlaceholder: "Look, e.g. 'red coat, eyepatch, silver hair'",
+        pinnedFromScene: 'Current scene image',
+        pinnedFromUpload: 'Upload an image',
+        pinnedPinning: 'Pinning...',
+        pinnedPin: 'Pin Character',
+        errorPinnedName: 'Give the character a name.',
+        errorPinnedNoUpload: 'Choose an image to upload.',
+        errorPinnedNoScene: 'There is no scene image yet.',
+        debugTitle: 'Performance & Debug Info ({status})',
+        debugReady: 'Ready',
+        debugTimings: 'Step Timings (s)',
+        debugTotal: 'Total:',
+        debugImage: 'Img:',
+        debugDescribe: 'Desc:',
+        debugOptions: 'Opts:',
+        debugPayload: 'Image Request Payload',
+        debugSent: 'Sent:',
+        debugFullHistory: 'Full history:',
+        debugScenes: 'Scenes:',
+        debugDownsampled: 'Downsampled:',
+        debugSummarizedTurns: 'Summarized turns:',
+        debugReferences: 'Character references:',
+        debugCandidates: 'Candidates:',
+        debugCandidatesTitle: 'Image Candidates (this turn)',
+        debugCandidateAlt: 'Candidate {number}',
+        debugChosenCandidateAlt: 'Candidate {number} (chosen)',
+        debugRetries: 'Retries ({retries})',
+        debugRetryEntry: 'attempt {attempt} failed, retrying in {seconds}s: {message}',
+        debugModelCalls: 'Model Calls ({calls}, latest {shown} shown)',
+        debugUsageEntry: '{model}: {input} in / {output} out',
+        imageCount_one: '{count} image',
+        imageCount_other: '{count} images',
+        debugNoPrice: 'no price',
+        debugVisionResponse: 'Vision Model Response (Turn 1 Only)',
+        debugNarrativeHistory: 'Narrative History (for Options Model)',
+    },
+    es: {
+        appTitle: 'Generador de Aventuras con Dos IA',
+        startIntro: 'Escribe una premisa inicial o sube una imagen en la que empezar, elige un tema y un estilo visual, y comienza tu viaje visual.',
+        storyLanguage: 'Idioma de la historia:',
+        storyLanguageHint: 'Las opciones, la narración y las descripciones de las escenas se escriben en este idioma.',
+        adventureTheme: 'Tema de la aventura:',
+        visualStyle: 'Estilo visual:',
+        premisePlaceholder: 'Escribe la premisa inicial de tu aventura de {theme} (o pega una imagen)...',
+        openingSceneAlt: 'Escena inicial',
+        openingImageNote: 'La aventura empieza en esta imagen.',
+        openingImageNoteWithPremise: 'La aventura empieza en esta imagen, con tu premisa.',
+        remove: 'Quitar',
+        startFromImage: 'Empezar desde una foto o un dibujo (JPEG, PNG o WebP)',
+        starting: 'Empezando...',
+        startAdventure: '¡Empezar la aventura!',
+        demoModeToggle: 'Modo demo (funciona sin conexión con escenas de ejemplo generadas; no necesita clave de API)',
+        importSession: 'Importar sesión',
+        resumeLastAdventure: 'Continuar la última aventura',
+        recentAdventures: 'Aventuras recientes:',
+        savedAdventureTurn: 'Turno {turn}',
+        delete: 'Borrar',
+        deleteSavedAdventure: 'Borrar la aventura guardada: {title}',
+        currentScene: 'Escena actual',
+        themeAndStyle: '(Tema: {theme} / Estilo: {style})',
+        applyingRefinement: 'Aplicando el retoque...',
+        generatingScene: 'Generando la escena y las opciones...',
+        cancel: 'Cancelar',
+        imageLoading: 'Cargando la imagen...',
+        currentSceneAlt: 'Escena actual de la aventura',
+        sceneAfterAlt: 'Escena tras: {prompt}',
+        downloadImage: 'Descargar la imagen actual',
+        exportSession: 'Exportar sesión',
+        redescribingScene: 'Volviendo a describir la escena...',
+        redescribeScene: 'Volver a describir la escena',
+        refineTitle: 'Retocar la escena:',
+        refinePlaceholder: "p. ej., 'Haz que las escamas del dragón sean azul metálico' o 'Añade un gatito travieso en primer plano'",
+        refineLabel: 'Instrucción visual para el retoque',
+        applying: 'Aplicando...',
+        applyRefinement: 'Aplicar retoque',
+        chooseNextStep: 'Elige tu siguiente paso:',
+        refineImageFirst: 'Retocar la imagen antes',
+        rerollChoices: 'Otras opciones',
+        rerollingChoices: 'Buscando otras opciones...',
+        toneCombat: 'Combate',
+        toneStealth: 'Sigilo',
+        toneSocial: 'Social',
+        toneExploration: 'Exploración',
+        toneCunning: 'Astucia',
+        toneCaution: 'Prudencia',
+        riskLow: 'Riesgo bajo',
+        riskMedium: 'Riesgo medio',
+        riskHigh: 'Riesgo alto',
+        filterTone: 'Tono',
+        filterAllTones: 'Todos los tonos',
+        filterRisk: 'Riesgo',
+        filterAnyRisk: 'Cualquier riesgo',
+        filterLowRisk: 'Solo riesgo bajo',
+        filterUpToMedium: 'Hasta riesgo medio',
+        choicesHidden_one: 'El filtro oculta {count} opción.',
+        choicesHidden_other: 'El filtro oculta {count} opciones.',
+        showAllChoices: 'Mostrar todas',
+        budgetHardWarning: 'Presupuesto agotado: se han gastado unos {cost}. No habrá más llamadas al modelo hasta que subas el límite máximo.',
+        budgetSoftWarning: 'Atención: se han gastado unos {cost}, por encima del aviso de {soft}.',
+        budgetSoftWarningWithLimit: 'Atención: se han gastado unos {cost}, por encima del aviso de {soft}. Las llamadas se detienen en {hard}.',
+        queuedChoice: 'En cola: continúa en cuanto la escena esté lista.',
+        awaitingChoices: 'Esperando las siguientes opciones...',
+        customActionPlaceholder: "...o escribe tu propia acción, p. ej. 'Mejor me escondo detrás del barril'",
+        customActionLabel: 'Tu propia acción',
+        doIt: 'Hacerlo',
+        keysLabel: 'Teclas:',
+        shortcutChoose: 'elegir una opción',
+        shortcutRefine: 'retocar la imagen',
+        shortcutDownload: 'descargar la imagen',
+        shortcutCancel: 'cancelar el paso en curso o cerrar el retoque',
+        shortcutNewAdventure: 'empezar una nueva aventura',
+        startNewAdventure: 'Empezar una nueva aventura',
+        storyMapTitle: 'Mapa de la historia ({turns}, {branches})',
+        turnCount_one: '{count} turno',
+        turnCount_other: '{count} turnos',
+        branchCount_one: '{count} rama',
+        branchCount_other: '{count} ramas',
+        storyMapHint: 'Elige cualquier turno anterior para volver a él; tu siguiente elección abre una nueva rama desde ahí.',
+        storyMapBranch: 'Rama {number}',
+        storyMapTurn: 'Turno {turn}',
+        storyMapRefine: 'Retoque',
+        storyMapYourAction: '(tu acción)',
+        blockedSafety: 'Bloqueado por el filtro de seguridad',
+        blockedRecitation: 'Demasiado parecido a material existente',
+        blockedMaxTokens: 'La respuesta quedó cortada',
+        blockedAction: 'Acción',
+        blockedRefinement: 'Retoque',
+        rephrasing: 'Reformulando...',
+        rephraseAndRetry: 'Reformular y reintentar',
+        retryAsIs: 'Reintentar tal cual',
+        backToChoices: 'Volver a las opciones',
+        pickAnotherChoice: 'Elegir otra opción',
+        backToLastScene: 'Volver a la última escena válida',
+        announceRefining: 'Aplicando el retoque...',
+        announceQueued: 'Opción en cola: {choice}',
+        announceGenerating: 'Generando la escena y las opciones...',
+        announceSceneReady: 'Nueva escena lista.',
+        announceChoices_one: '{count} opción; pulsa 1 para elegirla.',
+        announceChoices_other: '{count} opciones; pulsa de 1 a {last} para elegir una.',
+        errorRefineEmpty: 'Escribe una instrucción visual para retocar la imagen.',
+        errorRefineCancelled: 'Se canceló el retoque.',
+        errorRefineFailed: '¡Vaya! El retoque falló: {message}.',
+        errorStepCancelled: 'Se canceló la petición. Elige una opción o vuelve a intentarlo.',
+        errorStepFailed: '¡Vaya! El generador de aventuras encontró un error: {message}. Prueba otra acción o vuelve a empezar.',
+        errorRephraseCancelled: 'Se canceló la reformulación.',
+        errorRephraseFailed: 'No se pudo reformular la acción: {message}.',
+        errorRerollCancelled: 'Se canceló la búsqueda de otras opciones; las actuales siguen disponibles.',
+        errorRerollFailed: 'No se encontraron otras opciones: {message}.',
+        errorHardBudget: 'Esta aventura alcanzó su presupuesto máximo (unos {cost} de {hard}). Sube el presupuesto en el panel de uso y presupuesto para continuar.',
+        errorImportSession: 'No se pudo importar la sesión: {message}',
+        errorResumeAdventure: 'No se pudo continuar la aventura guardada: {message}',
+        errorDeleteAdventure: 'No se pudo borrar la aventura guardada: {message}',
+        confirmPruneSaves: 'El almacenamiento del navegador está lleno. ¿Borrar tus aventuras guardadas más antiguas para hacer sitio a esta? Se conservan la aventura actual y la que abriste más recientemente.',
+        edit: 'Editar',
+        duplicate: 'Duplicar',
+        save: 'Guardar',
+        errorBanner: 'Error:',
+        refiningScene: 'Refinando la escena: "{prompt}"',
+        untitledAdventure: 'Aventura sin título',
+        statusRegroundingSkipped: 'Se omitió la nueva descripción de la escena: el presupuesto de la sesión está agotado.',
+        statusRegrounding: 'Describiendo de nuevo la escena...',
+        statusRegrounded: 'Escena descrita de nuevo.',
+        statusRegroundingCancelled: 'Se canceló la nueva descripción de la escena.',
+        statusRegroundingFailed: 'No se pudo describir de nuevo la escena: {message}',
+        statusSaving: 'Guardando...',
+        statusAutosaved: 'Guardado automáticamente',
+        statusAutosavedPruned_one: 'Guardado automáticamente (se borró una partida antigua: {titles})',
+        statusAutosavedPruned_other: 'Guardado automáticamente (se borraron partidas antiguas: {titles})',
+        statusAutosaveFailed: 'Falló el guardado automático: {message}',
+        statusStorageFull: 'Falló el guardado automático: el almacenamiento del navegador está lleno. Exporta la sesión para conservarla, o borra aventuras guardadas que ya no necesites.',
+        errorDebugBundle: 'No se pudo crear el paquete del informe de errores: {message}',
+        settingsTitle: 'Ajustes del modelo ({provider})',
+        settingsDemoMode: 'Modo demo',
+        settingsProvider: 'Proveedor',
+        settingsApiKey: 'Clave de API',
+        settingsApiKeyNote: '(solo se guarda en este navegador)',
+        settingsTextModel: 'Modelo de texto y visión',
+        settingsImageModel: 'Modelo de imagen',
+        settingsBaseUrl: 'URL base de la API',
+        settingsDemoModeToggle: 'Modo demo: usa el backend simulado sin conexión en lugar del proveedor de arriba',
+        settingsLatency: 'Latencia (ms)',
+        settingsSeed: 'Semilla aleatoria',
+        settingsFailureMode: 'Fallo simulado',
+        settingsFailureRate: 'Tasa de fallos (0-1)',
+        mockFailureNone: 'Sin fallos',
+        mockFailureHttp429: 'HTTP 429 (límite de peticiones)',
+        mockFailureHttp500: 'HTTP 500 (error del servidor)',
+        mockFailureSafety: 'Bloqueo de seguridad',
+        mockFailureRecitation: 'Parada por recitación',
+        mockFailureMaxTokens: 'Respuesta cortada (MAX_TOKENS)',
+        mockFailureMalformedJson: 'JSON de opciones mal formado',
+        mockFailureRandom: 'Mezcla aleatoria de lo anterior',
+        settingsHistoryBudget: 'Presupuesto del historial de imágenes',
+        settingsFullSizeScenes: 'Escenas a tamaño completo',
+        settingsOlderWidth: 'Ancho de las antiguas (px)',
+        settingsPayloadBudget: 'Presupuesto (KB)',
+        settingsHistoryBudgetHint: 'Las escenas más recientes se envían a tamaño completo; las anteriores se reducen y los turnos más antiguos se resumen cuando la petición de imagen supera el presupuesto.',
+        settingsRegrounding: 'Nueva descripción de la escena',
+        settingsRegroundEvery: 'Cada N turnos (0 = desactivado)',
+        settingsRegroundMode: 'Nueva descripción',
+        settingsRegroundMerge: 'Combinar con la anterior',
+        settingsRegroundReplace: 'Reemplazar la anterior',
+        settingsRegroundAfterRefinement: 'Describir de nuevo tras cada refinamiento',
+        settingsRegroundingHint: 'La última imagen se describe de nuevo en segundo plano para que las opciones sigan coincidiendo con la imagen. El siguiente turno solo la espera si aún no ha terminado.',
+        settingsNarration: 'Narración de la historia',
+        settingsPassageLength: 'Longitud del pasaje',
+        narrationTerse: 'Breve (1-2 frases cortas)',
+        narrationNormal: 'Normal (3-4 frases)',
+        narrationRich: 'Extenso (un párrafo completo de 5-7 frases)',
+        settingsNarrationHint: 'Cada turno incluye un breve pasaje narrativo con el tono del tema, que también usa la exportación del libro de cuentos.',
+        settingsChoices: 'Opciones',
+        settingsChoicesPerTurn: 'Opciones por turno',
+        settingsChoicesHint: 'Cada opción lleva un tono y un nivel de riesgo para poder filtrar la lista. Se aplica desde el siguiente turno o al pedir nuevas opciones.',
+        settingsAccessibility: 'Accesibilidad',
+        settingsSceneAltText: 'Describir cada escena para lectores de pantalla',
+        settingsSceneAltTextHint: 'Cada imagen nueva recibe un texto alternativo de una frase del modelo de visión (una llamada extra por imagen).',
+        settingsPrices: 'Precios y presupuesto de la sesión (USD)',
+        settingsInputPrice: 'Entrada / 1M tokens',
+        settingsOutputPrice: 'Salida / 1M tokens',
+        settingsImagePrice: 'Por imagen',
+        settingsSoftBudget: 'Presupuesto flexible (avisa)',
+        settingsHardBudget: 'Presupuesto máximo (detiene)',
+        settingsBudgetHint: 'Los costes se estiman a partir de los tokens que informa cada llamada. Superado el presupuesto flexible, cada turno muestra un aviso; al llegar al máximo no se hacen más llamadas al modelo. 0 desactiva un límite.',
+        settingsTimeouts: 'Tiempos de espera',
+        settingsTextTimeout: 'Llamadas de texto (s)',
+        settingsImageTimeout: 'Llamadas de imagen (s)',
+        settingsTimeoutsHint: 'Cada intento se abandona tras este tiempo. Los límites de peticiones, errores del servidor y tiempos agotados se reintentan con espera creciente; los demás errores del cliente no.',
+        settingsSave: 'Guardar ajustes',
+        settingsReset: 'Restablecer valores predeterminados',
+        presetsTitle: 'Temas y estilos personalizados ({total})',
+        presetsThemes: 'Temas',
+        presetsStyles: 'Estilos',
+        presetsAddTheme: '+ Nuevo tema',
+        presetsAddStyle: '+ Nuevo estilo',
+        presetsBuiltIn: '(integrado)',
+        presetsEditTheme: 'Editar el tema "{name}"',
+        presetsEditStyle: 'Editar el estilo "{name}"',
+        presetsNewTheme: 'Nuevo tema',
+        presetsNewStyle: 'Nuevo estilo',
+        presetsName: 'Nombre',
+        presetsContentModifier: 'Modificador de contenido',
+        presetsContentModifierNote: '(se añade a cada prompt de imagen)',
+        presetsSystemPrompt: 'Prompt de sistema de las opciones',
+        presetsSystemPromptNote: '(debe pedir un objeto JSON con un array "choices"; {count} se sustituye por el número de opciones)',
+        presetsStats: 'Estadísticas del personaje',
+        presetsStatsNote: '(una por línea: nombre, mín., máx., inicial)',
+        presetsStyleModifier: 'Modificador de estilo',
+        presetsStyleModifierNote: '(se añade al final de cada prompt de imagen)',
+        presetsSaveTheme: 'Guardar tema',
+        presetsSaveStyle: 'Guardar estilo',
+        presetsShare: 'Compartir ajustes personalizados (JSON)',
+        presetsImport: 'Importar ajustes',
+        presetsThemeExists: 'Ya existe un tema llamado "{name}".',
+        presetsStyleExists: 'Ya existe un estilo llamado "{name}".',
+        presetsThemeSaved: 'Tema "{name}" guardado.',
+        presetsStyleSaved: 'Estilo "{name}" guardado.',
+        presetsImported: 'Se importaron {themes} y {styles}.',
+        themeCount_one: '{count} tema',
+        themeCount_other: '{count} temas',
+        styleCount_one: '{count} estilo',
+        styleCount_other: '{count} estilos',
+        errorImportPresets: 'No se pudieron importar los ajustes: {message}',
+        presetsDefaultThemeName: 'Mi tema',
+        presetsDefaultStyleName: 'Mi estilo',
+        presetsCopyName: '{name} (copia)',
+        storybookUntitled: 'Una aventura',
+        storybookHtml: 'Libro de cuentos (HTML)',
+        storybookPrint: 'Libro de cuentos (imprimir / PDF)',
+        storybookIncludeRefinements: 'Incluir los refinamientos como páginas aparte',
+        storybookPrintBlocked: 'Se bloqueó la ventana de impresión. Permite las ventanas emergentes, o descarga el HTML e imprímelo.',
+        storybookTurnLabel: 'Turno {turn}',
+        storybookRefinementLabel: 'Turno {turn} · Refinamiento',
+        storybookSceneAlt: 'Escena {number}',
+        storybookSceneShifts: 'La escena cambia: {text}',
+        storybookCoverMeta: 'Una aventura de {theme}, ilustrada en estilo {style}',
+        storybookCoverAlt: 'Ilustración de portada',
+        storybookCoverAltWithText: 'Ilustración de portada: {text}',
+        storybookEnd: 'Fin... por ahora.',
+        comicExport: 'Exportar cómic...',
+        comicFromTurn: 'Desde el turno',
+        comicToTurn: 'Hasta el turno',
+        comicLayout: 'Disposición',
+        comicPageSize: 'Tamaño de página',
+        comicGrid2x2: 'Cuadrícula 2 x 2',
+        comicGrid2x3: 'Cuadrícula 2 x 3',
+        comicGrid3x3: 'Cuadrícula 3 x 3',
+        comicStrip3: 'Tira vertical (3)',
+        comicStrip4: 'Tira horizontal (4)',
+        comicA4Portrait: 'A4 vertical',
+        comicA4Landscape: 'A4 horizontal',
+        comicLetterPortrait: 'Carta (EE. UU.) vertical',
+        comicSquare: 'Cuadrado (redes sociales)',
+        comicSpeechBubbles: 'Textos en bocadillos (en lugar de cuadros de texto)',
+        comicRendering: 'Generando...',
+        comicDownloadPng: 'Descargar PNG',
+        comicDownloadPdf: 'Descargar PDF',
+        comicExported: 'Se exportaron {panels} en {pages}.',
+        panelCount_one: '{count} viñeta',
+        panelCount_other: '{count} viñetas',
+        pageCount_one: '{count} página',
+        pageCount_other: '{count} páginas',
+        errorComicExport: 'Falló la exportación del cómic: {message}',
+        comicContinuedTitle: '{title} (página {page})',
+        sheetTitle: 'Hoja de personaje',
+        sheetTitleWithLocation: 'Hoja de personaje — {location}',
+        sheetInventory: 'Inventario',
+        sheetCompanions: 'Compañeros',
+        sheetQuestFlags: 'Hitos de la misión',
+        sheetNone: 'Ninguno',
+        imagesPerTurn: 'Imágenes por turno:',
+        imageCandidatesHint: 'Elige la imagen que mejor encaje; las demás se guardan en Rendimiento y depuración.',
+        imageCandidateLabel: 'Imagen candidata {number}',
+        inspectorTitle: 'Inspector de peticiones ({calls})',
+        callCount_one: '{count} llamada',
+        callCount_other: '{count} llamadas',
+        retryCount_one: '{count} reintento',
+        retryCount_other: '{count} reintentos',
+        inspectorReplayTag: '(repetición)',
+        inspectorExport: 'Exportar informe de errores',
+        inspectorRequestImage: 'Imagen de la petición {number}',
+        inspectorRequest: 'Petición',
+        inspectorTemplates: 'Plantillas: {templates}',
+        inspectorResponse: 'Respuesta',
+        inspectorError: 'Error',
+        inspectorRetry: 'El intento {attempt} falló; se reintentó tras {seconds} s: {message}',
+        inspectorReplayTitle: 'Repetir (no cambia la aventura)',
+        inspectorReplaying: 'Repitiendo...',
+        inspectorReplayAsIs: 'Repetir tal cual',
+        inspectorReplayEdited: 'Repetir con el prompt editado',
+        usageTitle: 'Uso y presupuesto',
+        usageCostOfHard: '({cost} de {hard})',
+        usageCalls: 'Llamadas al modelo:',
+        usageImages: 'Imágenes generadas:',
+        usageInputTokens: 'Tokens de entrada:',
+        usageOutputTokens: 'Tokens de salida:',
+        usageEstimatedCost: 'Coste estimado:',
+        usageUnpriced: 'No hay precio para {models}; esas llamadas no entran en la estimación. Añádelo en Ajustes del modelo.',
+        usageSoftBudget: 'Presupuesto flexible (USD, avisa)',
+        usageHardBudget: 'Presupuesto máximo (USD, detiene)',
+        usageHint: '0 desactiva un límite. Los costes son estimaciones según la tabla de precios, no tu factura.',
+        usageSave: 'Guardar presupuesto',
+        usageDownloadCsv: 'Descargar uso (CSV)',
+        templatesTitle: 'Plantillas de prompt ({overridden} modificadas)',
+        templatesOverriddenTag: '(modificada)',
+        templatesVariables: 'Variables: {variables}',
+        templatesNoVariables: 'ninguna',
+        templatesInUse: 'En uso:',
+        templatesSaveRevision: 'Guardar como revisión {revision}',
+        templatesRevert: 'Volver a la integrada',
+        templatesHint: 'Las modificaciones se guardan con esta aventura y se aplican desde la siguiente llamada. Cada turno y cada llamada registrada anota las versiones de plantilla que usó.',
+        pinnedTitle: 'Personajes fijados ({pinned}/{max})',
+        pinnedHint: 'Los personajes fijados se envían con cada escena para que mantengan su aspecto.',
+        pinnedEditTitle: 'Editar personaje',
+        pinnedNewTitle: 'Fijar un personaje',
+        pinnedNamePlaceholder: "Nombre, p. ej. 'Capitana Mira'",
+        pinnedLookPlaceholder: "Aspecto, p. ej. 'abrigo rojo, parche en el ojo, pelo plateado'",
+        pinnedFromScene: 'Imagen de la escena actual',
+        pinnedFromUpload: 'Subir una imagen',
+        pinnedPinning: 'Fijando...',
+        pinnedPin: 'Fijar personaje',
+        errorPinnedName: 'Ponle un nombre al personaje.',
+        errorPinnedNoUpload: 'Elige una imagen para subir.',
+        errorPinnedNoScene: 'Todavía no hay imagen de la escena.',
+        debugTitle: 'Rendimiento y depuración ({status})',
+        debugReady: 'Listo',
+        debugTimings: 'Tiempos por paso (s)',
+        debugTotal: 'Total:',
+        debugImage: 'Img.:',
+        debugDescribe: 'Desc.:',
+        debugOptions: 'Opc.:',
+        debugPayload: 'Contenido de la petición de imagen',
+        debugSent: 'Enviado:',
+        debugFullHistory: 'Historial completo:',
+        debugScenes: 'Escenas:',
+        debugDownsampled: 'Reducidas:',
+        debugSummarizedTurns: 'Turnos resumidos:',
+        debugReferences: 'Referencias de personajes:',
+        debugCandidates: 'Candidatas:',
+        debugCandidatesTitle: 'Imágenes candidatas (este turno)',
+        debugCandidateAlt: 'Candidata {number}',
+        debugChosenCandidateAlt: 'Candidata {number} (elegida)',
+        debugRetries: 'Reintentos ({retries})',
+        debugRetryEntry: 'el intento {attempt} falló; se reintenta en {seconds} s: {message}',
+        debugModelCalls: 'Llamadas al modelo ({calls}; se muestran las últimas {shown})',
+        debugUsageEntry: '{model}: {input} entrada / {output} salida',
+        imageCount_one: '{count} imagen',
+        imageCount_other: '{count} imágenes',
+        debugNoPrice: 'sin precio',
+        debugVisionResponse: 'Respuesta del modelo de visión (solo turno 1)',
+        debugNarrativeHistory: 'Historial narrativo (para el modelo de opciones)',
+    },
+    de: {
+        appTitle: 'Dual-KI-Abenteuergenerator',
+        startIntro: 'Gib eine Ausgangssituation ein oder lade ein Bild hoch, in dem es losgeht, wähle ein Thema und einen Bildstil und beginne deine Bilderreise.',
+        storyLanguage: 'Sprache der Geschichte:',
+        storyLanguageHint: 'Auswahlmöglichkeiten, Erzähltext und Szenenbeschreibungen werden in dieser Sprache geschrieben.',
+        adventureTheme: 'Thema des Abenteuers:',
+        visualStyle: 'Bildstil:',
+        premisePlaceholder: 'Gib die Ausgangssituation für dein {theme}-Abenteuer ein (oder füge ein Bild ein)...',
+        openingSceneAlt: 'Eröffnungsszene',
+        openingImageNote: 'Das Abenteuer beginnt in diesem Bild.',
+        openingImageNoteWithPremise: 'Das Abenteuer beginnt in diesem Bild, mit deiner Ausgangssituation.',
+        remove: 'Entfernen',
+        startFromImage: 'Mit einem Foto oder einer Zeichnung beginnen (JPEG, PNG oder WebP)',
+        starting: 'Wird gestartet...',
+        startAdventure: 'Abenteuer starten!',
+        demoModeToggle: 'Demo-Modus (funktioniert offline mit erzeugten Platzhalterszenen; kein API-Schlüssel nötig)',
+        importSession: 'Sitzung importieren',
+        resumeLastAdventure: 'Letztes Abenteuer fortsetzen',
+        recentAdventures: 'Letzte Abenteuer:',
+        savedAdventureTurn: 'Zug {turn}',
+        delete: 'Löschen',
+        deleteSavedAdventure: 'Gespeichertes Abenteuer löschen: {title}',
+        currentScene: 'Aktuelle Szene',
+        themeAndStyle: '(Thema: {theme} / Stil: {style})',
+        applyingRefinement: 'Überarbeitung wird angewendet...',
+        generatingScene: 'Szene und Auswahl werden erzeugt...',
+        cancel: 'Abbrechen',
+        imageLoading: 'Bild wird geladen...',
+        currentSceneAlt: 'Aktuelle Szene des Abenteuers',
+        sceneAfterAlt: 'Szene nach: {prompt}',
+        downloadImage: 'Aktuelles Bild herunterladen',
+        exportSession: 'Sitzung exportieren',
+        redescribingScene: 'Szene wird neu beschrieben...',
+        redescribeScene: 'Szene neu beschreiben',
+        refineTitle: 'Szene überarbeiten:',
+        refinePlaceholder: "z. B. 'Mach die Schuppen des Drachen metallisch blau' oder 'Füge vorne eine kleine, freche Katze hinzu'",
+        refineLabel: 'Bildanweisung für die Überarbeitung',
+        applying: 'Wird angewendet...',
+        applyRefinement: 'Überarbeitung anwenden',
+        chooseNextStep: 'Wähle deinen nächsten Schritt:',
+        refineImageFirst: 'Zuerst Bild überarbeiten',
+        rerollChoices: 'Andere Möglichkeiten',
+        rerollingChoices: 'Suche andere Möglichkeiten...',
+        toneCombat: 'Kampf',
+        toneStealth: 'Heimlichkeit',
+        toneSocial: 'Sozial',
+        toneExploration: 'Erkundung',
+        toneCunning: 'List',
+        toneCaution: 'Vorsicht',
+        riskLow: 'Geringes Risiko',
+        riskMedium: 'Mittleres Risiko',
+        riskHigh: 'Hohes Risiko',
+        filterTone: 'Art',
+        filterAllTones: 'Alle Arten',
+        filterRisk: 'Risiko',
+        filterAnyRisk: 'Jedes Risiko',
+        filterLowRisk: 'Nur geringes Risiko',
+        filterUpToMedium: 'Höchstens mittleres Risiko',
+        choicesHidden_one: '{count} Möglichkeit ist durch den Filter ausgeblendet.',
+        choicesHidden_other: '{count} Möglichkeiten sind durch den Filter ausgeblendet.',
+        showAllChoices: 'Alle zeigen',
+        budgetHardWarning: 'Budget erreicht: geschätzt {cost} ausgegeben. Keine weiteren Modellaufrufe, bis das harte Budget erhöht wird.',
+        budgetSoftWarning: 'Hinweis: geschätzt {cost} ausgegeben, über dem weichen Budget von {soft}.',
+        budgetSoftWarningWithLimit: 'Hinweis: geschätzt {cost} ausgegeben, über dem weichen Budget von {soft}. Bei {hard} werden die Aufrufe gestoppt.',
+        queuedChoice: 'Vorgemerkt: geht weiter, sobald die Szene fertig ist.',
+        awaitingChoices: 'Warte auf die nächste Auswahl...',
+        customActionPlaceholder: "...oder gib deine eigene Aktion ein, z. B. 'Ich verstecke mich lieber hinter dem Fass'",
+        customActionLabel: 'Deine eigene Aktion',
+        doIt: 'Los',
+        keysLabel: 'Tasten:',
+        shortcutChoose: 'Auswahl treffen',
+        shortcutRefine: 'Bild überarbeiten',
+        shortcutDownload: 'Bild herunterladen',
+        shortcutCancel: 'laufenden Schritt abbrechen oder Überarbeitung schließen',
+        shortcutNewAdventure: 'neues Abenteuer beginnen',
+        startNewAdventure: 'Neues Abenteuer beginnen',
+        storyMapTitle: 'Karte der Geschichte ({turns}, {branches})',
+        turnCount_one: '{count} Zug',
+        turnCount_other: '{count} Züge',
+        branchCount_one: '{count} Zweig',
+        branchCount_other: '{count} Zweige',
+        storyMapHint: 'Wähle einen früheren Zug, um dorthin zurückzuspulen; deine nächste Wahl beginnt dort einen neuen Zweig.',
+        storyMapBranch: 'Zweig {number}',
+        storyMapTurn: 'Zug {turn}',
+        storyMapRefine: 'Überarbeitung',
+        storyMapYourAction: '(deine Aktion)',
+        blockedSafety: 'Vom Sicherheitsfilter blockiert',
+        blockedRecitation: 'Zu nah an bestehendem Material',
+        blockedMaxTokens: 'Die Antwort wurde abgeschnitten',
+        blockedAction: 'Aktion',
+        blockedRefinement: 'Überarbeitung',
+        rephrasing: 'Wird umformuliert...',
+        rephraseAndRetry: 'Umformulieren & erneut versuchen',
+        retryAsIs: 'Unverändert erneut versuchen',
+        backToChoices: 'Zurück zur Auswahl',
+        pickAnotherChoice: 'Andere Auswahl treffen',
+        backToLastScene: 'Zurück zur letzten gültigen Szene',
+        announceRefining: 'Die Überarbeitung wird angewendet...',
+        announceQueued: 'Auswahl vorgemerkt: {choice}',
+        announceGenerating: 'Szene und Auswahl werden erzeugt...',
+        announceSceneReady: 'Neue Szene bereit.',
+        announceChoices_one: '{count} Möglichkeit; drücke 1, um sie zu wählen.',
+        announceChoices_other: '{count} Möglichkeiten; drücke 1 bis {last}, um eine zu wählen.',
+        errorRefineEmpty: 'Bitte gib eine Bildanweisung ein, um das Bild zu überarbeiten.',
+        errorRefineCancelled: 'Die Überarbeitung wurde abgebrochen.',
+        errorRefineFailed: 'Hoppla! Die Überarbeitung ist fehlgeschlagen: {message}.',
+        errorStepCancelled: 'Die Anfrage wurde abgebrochen. Triff eine Auswahl oder versuche es erneut.',
+        errorStepFailed: 'Hoppla! Im Abenteuergenerator ist ein Fehler aufgetreten: {message}. Versuche eine andere Eingabe oder beginne neu.',
+        errorRephraseCancelled: 'Das Umformulieren wurde abgebrochen.',
+        errorRephraseFailed: 'Die Aktion konnte nicht umformuliert werden: {message}.',
+        errorRerollCancelled: 'Die Suche nach anderen Möglichkeiten wurde abgebrochen; die bisherigen bleiben.',
+        errorRerollFailed: 'Es konnten keine anderen Möglichkeiten gefunden werden: {message}.',
+        errorHardBudget: 'Dieses Abenteuer hat sein hartes Budget erreicht (geschätzt {cost} von {hard}). Erhöhe das Budget im Bereich „Nutzung & Budget“, um weiterzuspielen.',
+        errorImportSession: 'Sitzung konnte nicht importiert werden: {message}',
+        errorResumeAdventure: 'Das gespeicherte Abenteuer konnte nicht fortgesetzt werden: {message}',
+        errorDeleteAdventure: 'Das gespeicherte Abenteuer konnte nicht gelöscht werden: {message}',
+        confirmPruneSaves: 'Der Browserspeicher ist voll. Deine ältesten gespeicherten Abenteuer löschen, um Platz für dieses zu schaffen? Das aktuelle Abenteuer und das zuletzt geöffnete bleiben erhalten.',
+        edit: 'Bearbeiten',
+        duplicate: 'Duplizieren',
+        save: 'Speichern',
+        errorBanner: 'Fehler:',
+        refiningScene: 'Szene wird verfeinert: „{prompt}“',
+        untitledAdventure: 'Abenteuer ohne Titel',
+        statusRegroundingSkipped: 'Neubeschreibung der Szene übersprungen: Das Budget der Sitzung ist aufgebraucht.',
+        statusRegrounding: 'Szene wird neu beschrieben...',
+        statusRegrounded: 'Szene neu beschrieben.',
+        statusRegroundingCancelled: 'Die Neubeschreibung der Szene wurde abgebrochen.',
+        statusRegroundingFailed: 'Neubeschreibung der Szene fehlgeschlagen: {message}',
+        statusSaving: 'Wird gespeichert...',
+        statusAutosaved: 'Automatisch gespeichert',
+        statusAutosavedPruned_one: 'Automatisch gespeichert (älteren Spielstand gelöscht: {titles})',
+        statusAutosavedPruned_other: 'Automatisch gespeichert (ältere Spielstände gelöscht: {titles})',
+        statusAutosaveFailed: 'Automatisches Speichern fehlgeschlagen: {message}',
+        statusStorageFull: 'Automatisches Speichern fehlgeschlagen: Der Browserspeicher ist voll. Exportiere die Sitzung, um sie zu behalten, oder lösche gespeicherte Abenteuer, die du nicht mehr brauchst.',
+        errorDebugBundle: 'Das Paket für den Fehlerbericht konnte nicht erstellt werden: {message}',
+        settingsTitle: 'Modelleinstellungen ({provider})',
+        settingsDemoMode: 'Demomodus',
+        settingsProvider: 'Anbieter',
+        settingsApiKey: 'API-Schlüssel',
+        settingsApiKeyNote: '(nur in diesem Browser gespeichert)',
+        settingsTextModel: 'Text- & Bildverständnismodell',
+        settingsImageModel: 'Bildmodell',
+        settingsBaseUrl: 'API-Basis-URL',
+        settingsDemoModeToggle: 'Demomodus: das Offline-Test-Backend statt des Anbieters oben verwenden',
+        settingsLatency: 'Latenz (ms)',
+        settingsSeed: 'Zufalls-Seed',
+        settingsFailureMode: 'Simulierter Fehler',
+        settingsFailureRate: 'Fehlerrate (0-1)',
+        mockFailureNone: 'Keine Fehler',
+        mockFailureHttp429: 'HTTP 429 (Ratenlimit)',
+        mockFailureHttp500: 'HTTP 500 (Serverfehler)',
+        mockFailureSafety: 'Sicherheitsblockade',
+        mockFailureRecitation: 'Abbruch wegen Rezitation',
+        mockFailureMaxTokens: 'Ausgabe abgeschnitten (MAX_TOKENS)',
+        mockFailureMalformedJson: 'Fehlerhaftes JSON der Möglichkeiten',
+        mockFailureRandom: 'Zufällige Mischung aus allem oben',
+        settingsHistoryBudget: 'Budget für den Bildverlauf',
+        settingsFullSizeScenes: 'Szenen in voller Größe',
+        settingsOlderWidth: 'Breite älterer (px)',
+        settingsPayloadBudget: 'Budget (KB)',
+        settingsHistoryBudgetHint: 'Die neuesten Szenen werden in voller Größe gesendet, ältere verkleinert, und die ältesten Züge werden zusammengefasst, sobald die Bildanfrage das Budget übersteigt.',
+        settingsRegrounding: 'Neubeschreibung der Szene',
+        settingsRegroundEvery: 'Alle N Züge (0 = aus)',
+        settingsRegroundMode: 'Neue Beschreibung',
+        settingsRegroundMerge: 'Mit der vorherigen zusammenführen',
+        settingsRegroundReplace: 'Die vorherige ersetzen',
+        settingsRegroundAfterRefinement: 'Nach jeder Verfeinerung neu beschreiben',
+        settingsRegroundingHint: 'Das neueste Bild wird im Hintergrund neu beschrieben, damit die Möglichkeiten zum Bild passen. Der nächste Zug wartet nur darauf, wenn sie noch nicht fertig ist.',
+        settingsNarration: 'Erzählung',
+        settingsPassageLength: 'Länge der Passage',
+        narrationTerse: 'Knapp (1-2 kurze Sätze)',
+        narrationNormal: 'Normal (3-4 Sätze)',
+        narrationRich: 'Ausführlich (ein ganzer Absatz mit 5-7 Sätzen)',
+        settingsNarrationHint: 'Jeder Zug bringt eine kurze Erzählpassage im Ton des Themas mit, die auch der Bilderbuch-Export verwendet.',
+        settingsChoices: 'Möglichkeiten',
+        settingsChoicesPerTurn: 'Möglichkeiten pro Zug',
+        settingsChoicesHint: 'Jede Möglichkeit wird mit einem Ton und einer Risikostufe markiert, damit sich die Liste filtern lässt. Gilt ab dem nächsten Zug oder neuen Möglichkeiten.',
+        settingsAccessibility: 'Barrierefreiheit',
+        settingsSceneAltText: 'Jede Szene für Screenreader beschreiben',
+        settingsSceneAltTextHint: 'Jedes neue Bild erhält vom Bildverständnismodell einen Alternativtext aus einem Satz (ein zusätzlicher Aufruf pro Bild).',
+        settingsPrices: 'Preise & Sitzungsbudget (USD)',
+        settingsInputPrice: 'Eingabe / 1 Mio. Tokens',
+        settingsOutputPrice: 'Ausgabe / 1 Mio. Tokens',
+        settingsImagePrice: 'Pro Bild',
+        settingsSoftBudget: 'Weiches Budget (warnt)',
+        settingsHardBudget: 'Hartes Budget (stoppt)',
+        settingsBudgetHint: 'Die Kosten werden aus der gemeldeten Tokennutzung jedes Aufrufs geschätzt. Über dem weichen Budget zeigt jeder Zug eine Warnung; beim harten Budget werden keine Modellaufrufe mehr gemacht. 0 schaltet ein Limit aus.',
+        settingsTimeouts: 'Zeitlimits für Anfragen',
+        settingsTextTimeout: 'Textaufrufe (s)',
+        settingsImageTimeout: 'Bildaufrufe (s)',
+        settingsTimeoutsHint: 'Jeder Versuch wird nach dieser Zeit aufgegeben. Ratenlimits, Serverfehler und Zeitüberschreitungen werden mit wachsender Wartezeit wiederholt, andere Clientfehler nicht.',
+        settingsSave: 'Einstellungen speichern',
+        settingsReset: 'Auf Standard zurücksetzen',
+        presetsTitle: 'Eigene Themen & Stile ({total})',
+        presetsThemes: 'Themen',
+        presetsStyles: 'Stile',
+        presetsAddTheme: '+ Neues Thema',
+        presetsAddStyle: '+ Neuer Stil',
+        presetsBuiltIn: '(vorgegeben)',
+        presetsEditTheme: 'Thema „{name}“ bearbeiten',
+        presetsEditStyle: 'Stil „{name}“ bearbeiten',
+        presetsNewTheme: 'Neues Thema',
+        presetsNewStyle: 'Neuer Stil',
+        presetsName: 'Name',
+        presetsContentModifier: 'Inhaltszusatz',
+        presetsContentModifierNote: '(wird jedem Bild-Prompt hinzugefügt)',
+        presetsSystemPrompt: 'System-Prompt der Möglichkeiten',
+        presetsSystemPromptNote: '(muss ein JSON-Objekt mit einem Array „choices“ anfordern; {count} wird durch die Anzahl der Möglichkeiten ersetzt)',
+        presetsStats: 'Charakterwerte',
+        presetsStatsNote: '(eine pro Zeile: Name, Min., Max., Start)',
+        presetsStyleModifier: 'Stilzusatz',
+        presetsStyleModifierNote: '(wird an jeden Bild-Prompt angehängt)',
+        presetsSaveTheme: 'Thema speichern',
+        presetsSaveStyle: 'Stil speichern',
+        presetsShare: 'Eigene Vorlagen teilen (JSON)',
+        presetsImport: 'Vorlagen importieren',
+        presetsThemeExists: 'Es gibt schon ein Thema namens „{name}“.',
+        presetsStyleExists: 'Es gibt schon einen Stil namens „{name}“.',
+        presetsThemeSaved: 'Thema „{name}“ gespeichert.',
+        presetsStyleSaved: 'Stil „{name}“ gespeichert.',
+        presetsImported: '{themes} und {styles} importiert.',
+        themeCount_one: '{count} Thema',
+        themeCount_other: '{count} Themen',
+        styleCount_one: '{count} Stil',
+        styleCount_other: '{count} Stile',
+        errorImportPresets: 'Vorlagen konnten nicht importiert werden: {message}',
+        presetsDefaultThemeName: 'Mein Thema',
+        presetsDefaultStyleName: 'Mein Stil',
+        presetsCopyName: '{name} (Kopie)',
+        storybookUntitled: 'Ein Abenteuer',
+        storybookHtml: 'Bilderbuch (HTML)',
+        storybookPrint: 'Bilderbuch (Drucken / PDF)',
+        storybookIncludeRefinements: 'Verfeinerungen als eigene Seiten aufnehmen',
+        storybookPrintBlocked: 'Das Druckfenster wurde blockiert. Erlaube Pop-ups oder lade das HTML herunter und drucke es.',
+        storybookTurnLabel: 'Zug {turn}',
+        storybookRefinementLabel: 'Zug {turn} · Verfeinerung',
+        storybookSceneAlt: 'Szene {number}',
+        storybookSceneShifts: 'Die Szene wandelt sich: {text}',
+        storybookCoverMeta: 'Ein Abenteuer im Thema {theme}, illustriert im Stil {style}',
+        storybookCoverAlt: 'Titelillustration',
+        storybookCoverAltWithText: 'Titelillustration: {text}',
+        storybookEnd: 'Ende ... vorerst.',
+        comicExport: 'Comic-Export...',
+        comicFromTurn: 'Ab Zug',
+        comicToTurn: 'Bis Zug',
+        comicLayout: 'Layout',
+        comicPageSize: 'Seitengröße',
+        comicGrid2x2: '2-x-2-Raster',
+        comicGrid2x3: '2-x-3-Raster',
+        comicGrid3x3: '3-x-3-Raster',
+        comicStrip3: 'Senkrechter Streifen (3)',
+        comicStrip4: 'Waagerechter Streifen (4)',
+        comicA4Portrait: 'A4 hoch',
+        comicA4Landscape: 'A4 quer',
+        comicLetterPortrait: 'US-Letter hoch',
+        comicSquare: 'Quadratisch (Social Media)',
+        comicSpeechBubbles: 'Sprechblasen (statt Textkästen)',
+        comicRendering: 'Wird gerendert...',
+        comicDownloadPng: 'PNG herunterladen',
+        comicDownloadPdf: 'PDF herunterladen',
+        comicExported: '{panels} auf {pages} exportiert.',
+        panelCount_one: '{count} Panel',
+        panelCount_other: '{count} Panels',
+        pageCount_one: '{count} Seite',
+        pageCount_other: '{count} Seiten',
+        errorComicExport: 'Comic-Export fehlgeschlagen: {message}',
+        comicContinuedTitle: '{title} (Seite {page})',
+        sheetTitle: 'Charakterbogen',
+        sheetTitleWithLocation: 'Charakterbogen — {location}',
+        sheetInventory: 'Inventar',
+        sheetCompanions: 'Gefährten',
+        sheetQuestFlags: 'Quest-Marker',
+        sheetNone: 'Keine',
+        imagesPerTurn: 'Bilder pro Zug:',
+        imageCandidatesHint: 'Wähle das passendste Bild; die anderen bleiben unter Leistung & Debug-Infos erhalten.',
+        imageCandidateLabel: 'Bildvorschlag {number}',
+        inspectorTitle: 'Anfrage-Inspektor ({calls})',
+        callCount_one: '{count} Aufruf',
+        callCount_other: '{count} Aufrufe',
+        retryCount_one: '{count} Wiederholung',
+        retryCount_other: '{count} Wiederholungen',
+        inspectorReplayTag: '(Wiederholung)',
+        inspectorExport: 'Fehlerbericht exportieren',
+        inspectorRequestImage: 'Bild der Anfrage {number}',
+        inspectorRequest: 'Anfrage',
+        inspectorTemplates: 'Vorlagen: {templates}',
+        inspectorResponse: 'Antwort',
+        inspectorError: 'Fehler',
+        inspectorRetry: 'Versuch {attempt} fehlgeschlagen, nach {seconds} s wiederholt: {message}',
+        inspectorReplayTitle: 'Wiederholen (ändert das Abenteuer nicht)',
+        inspectorReplaying: 'Wird wiederholt...',
+        inspectorReplayAsIs: 'Unverändert wiederholen',
+        inspectorReplayEdited: 'Mit bearbeitetem Prompt wiederholen',
+        usageTitle: 'Nutzung & Budget',
+        usageCostOfHard: '({cost} von {hard})',
+        usageCalls: 'Modellaufrufe:',
+        usageImages: 'Erzeugte Bilder:',
+        usageInputTokens: 'Eingabe-Tokens:',
+        usageOutputTokens: 'Ausgabe-Tokens:',
+        usageEstimatedCost: 'Geschätzte Kosten:',
+        usageUnpriced: 'Für {models} ist kein Preis festgelegt; diese Aufrufe fehlen in der Schätzung. Trage ihn unter Modelleinstellungen ein.',
+        usageSoftBudget: 'Weiches Budget (USD, warnt)',
+        usageHardBudget: 'Hartes Budget (USD, stoppt)',
+        usageHint: '0 schaltet ein Limit aus. Die Kosten sind Schätzungen aus der Preistabelle, nicht deine Rechnung.',
+        usageSave: 'Budget speichern',
+        usageDownloadCsv: 'Nutzung herunterladen (CSV)',
+        templatesTitle: 'Prompt-Vorlagen ({overridden} überschrieben)',
+        templatesOverriddenTag: '(überschrieben)',
+        templatesVariables: 'Variablen: {variables}',
+        templatesNoVariables: 'keine',
+        templatesInUse: 'In Verwendung:',
+        templatesSaveRevision: 'Als Revision {revision} speichern',
+        templatesRevert: 'Auf Vorgabe zurücksetzen',
+        templatesHint: 'Überschreibungen werden mit diesem Abenteuer gespeichert und gelten ab dem nächsten Aufruf. Jeder Zug und jeder protokollierte Aufruf hält fest, welche Vorlagenversionen er verwendet hat.',
+        pinnedTitle: 'Angeheftete Figuren ({pinned}/{max})',
+        pinnedHint: 'Angeheftete Figuren werden mit jeder Szene gesendet, damit sie gleich aussehen.',
+        pinnedEditTitle: 'Figur bearbeiten',
+        pinnedNewTitle: 'Figur anheften',
+        pinnedNamePlaceholder: "Name, z. B. 'Kapitänin Mira'",
+        pinnedLookPlaceholder: "Aussehen, z. B. 'roter Mantel, Augenklappe, silbernes Haar'",
+        pinnedFromScene: 'Bild der aktuellen Szene',
+        pinnedFromUpload: 'Bild hochladen',
+        pinnedPinning: 'Wird angeheftet...',
+        pinnedPin: 'Figur anheften',
+        errorPinnedName: 'Gib der Figur einen Namen.',
+        errorPinnedNoUpload: 'Wähle ein Bild zum Hochladen.',
+        errorPinnedNoScene: 'Es gibt noch kein Szenenbild.',
+        debugTitle: 'Leistung & Debug-Infos ({status})',
+        debugReady: 'Bereit',
+        debugTimings: 'Zeiten der Schritte (s)',
+        debugTotal: 'Gesamt:',
+        debugImage: 'Bild:',
+        debugDescribe: 'Beschr.:',
+        debugOptions: 'Mögl.:',
+        debugPayload: 'Nutzlast der Bildanfrage',
+        debugSent: 'Gesendet:',
+        debugFullHistory: 'Ganzer Verlauf:',
+        debugScenes: 'Szenen:',
+        debugDownsampled: 'Verkleinert:',
+        debugSummarizedTurns: 'Zusammengefasste Züge:',
+        debugReferences: 'Figurenreferenzen:',
+        debugCandidates: 'Vorschläge:',
+        debugCandidatesTitle: 'Bildvorschläge (dieser Zug)',
+        debugCandidateAlt: 'Vorschlag {number}',
+        debugChosenCandidateAlt: 'Vorschlag {number} (gewählt)',
+        debugRetries: 'Wiederholungen ({retries})',
+        debugRetryEntry: 'Versuch {attempt} fehlgeschlagen, neuer Versuch in {seconds} s: {message}',
+        debugModelCalls: 'Modellaufrufe ({calls}, die letzten {shown} angezeigt)',
+        debugUsageEntry: '{model}: {input} ein / {output} aus',
+        imageCount_one: '{count} Bild',
+        imageCount_other: '{count} Bilder',
+        debugNoPrice: 'kein Preis',
+        debugVisionResponse: 'Antwort des Bildverständnismodells (nur Zug 1)',
+        debugNarrativeHistory: 'Erzählverlauf (für das Möglichkeiten-Modell)',
+    },
+    ja: {
+        appTitle: 'デュアルAIアドベンチャージェネレーター',
+        startIntro: '最初の設定を入力するか、始まりの場面となる画像をアップロードして、テーマと画風を選び、ビジュアルの旅を始めましょう。',
+        storyLanguage: '物語の言語:',
+        storyLanguageHint: '選択肢、物語の文章、場面の説明はこの言語で書かれます。',
+        adventureTheme: '冒険のテーマ:',
+        visualStyle: '画風:',
+        premisePlaceholder: '{theme}の冒険の最初の設定を入力（または画像を貼り付け）...',
+        openingSceneAlt: '最初の場面',
+        openingImageNote: '冒険はこの画像から始まります。',
+        openingImageNoteWithPremise: '冒険はこの画像から、入力した設定とともに始まります。',
+        remove: '削除',
+        startFromImage: '写真やイラストから始める（JPEG、PNG、WebP）',
+        starting: '開始しています...',
+        startAdventure: '冒険を始める！',
+        demoModeToggle: 'デモモード（生成した仮の場面でオフライン動作。APIキー不要）',
+        importSession: 'セッションを読み込む',
+        resumeLastAdventure: '前回の冒険を再開',
+        recentAdventures: '最近の冒険:',
+        savedAdventureTurn: '{turn}ターン目',
+        delete: '削除',
+        deleteSavedAdventure: '保存した冒険を削除: {title}',
+        currentScene: '現在の場面',
+        themeAndStyle: '（テーマ: {theme} / 画風: {style}）',
+        applyingRefinement: '修正を適用しています...',
+        generatingScene: '場面と選択肢を生成しています...',
+        cancel: 'キャンセル',
+        imageLoading: '画像を読み込んでいます...',
+        currentSceneAlt: '冒険の現在の場面',
+        sceneAfterAlt: '次の行動の後の場面: {prompt}',
+        downloadImage: '現在の画像をダウンロード',
+        exportSession: 'セッションを書き出す',
+        redescribingScene: '場面を再説明しています...',
+        redescribeScene: '場面を再説明',
+        refineTitle: '場面を修正:',
+        refinePlaceholder: '例:「ドラゴンの鱗をメタリックブルーにする」「手前にいたずら好きな小さな猫を加える」',
+        refineLabel: '修正のための画像の指示',
+        applying: '適用しています...',
+        applyRefinement: '修正を適用',
+        chooseNextStep: '次の行動を選んでください:',
+        refineImageFirst: '先に画像を修正',
+        rerollChoices: '別の選択肢',
+        rerollingChoices: '別の選択肢を考えています...',
+        toneCombat: '戦闘',
+        toneStealth: '隠密',
+        toneSocial: '交流',
+        toneExploration: '探索',
+        toneCunning: '策略',
+        toneCaution: '慎重',
+        riskLow: '低リスク',
+        riskMedium: '中リスク',
+        riskHigh: '高リスク',
+        filterTone: '傾向',
+        filterAllTones: 'すべての傾向',
+        filterRisk: 'リスク',
+        filterAnyRisk: 'リスクを問わない',
+        filterLowRisk: '低リスクのみ',
+        filterUpToMedium: '中リスクまで',
+        choicesHidden_other: 'フィルターで{count}件の選択肢が非表示になっています。',
+        showAllChoices: 'すべて表示',
+        budgetHardWarning: '予算に達しました: 推定{cost}を使用。上限予算を引き上げるまでモデルは呼び出されません。',
+        budgetSoftWarning: 'ご注意: 推定{cost}を使用し、注意予算の{soft}を超えました。',
+        budgetSoftWarningWithLimit: 'ご注意: 推定{cost}を使用し、注意予算の{soft}を超えました。{hard}で呼び出しを停止します。',
+        queuedChoice: '予約済み: 場面の準備ができ次第続きます。',
+        awaitingChoices: '次の選択肢を待っています...',
+        customActionPlaceholder: '...または自分の行動を入力（例:「やっぱり樽の陰に隠れる」）',
+        customActionLabel: '自分の行動',
+        doIt: '実行',
+        keysLabel: 'キー:',
+        shortcutChoose: '選択肢を選ぶ',
+        shortcutRefine: '画像を修正',
+        shortcutDownload: '画像をダウンロード',
+        shortcutCancel: '実行中の処理をキャンセル、または修正を閉じる',
+        shortcutNewAdventure: '新しい冒険を始める',
+        startNewAdventure: '新しい冒険を始める',
+        storyMapTitle: 'ストーリーマップ（{turns}、{branches}）',
+        turnCount_other: '{count}ターン',
+        branchCount_other: '{count}分岐',
+        storyMapHint: '前のターンを選ぶとそこまで巻き戻り、次の選択でそこから新しい分岐が始まります。',
+        storyMapBranch: '分岐{number}',
+        storyMapTurn: '{turn}ターン目',
+        storyMapRefine: '修正',
+        storyMapYourAction: '（自分の行動）',
+        blockedSafety: '安全フィルターによりブロックされました',
+        blockedRecitation: '既存の作品に近すぎます',
+        blockedMaxTokens: '応答が途中で切れました',
+        blockedAction: '行動',
+        blockedRefinement: '修正',
+        rephrasing: '言い換えています...',
+        rephraseAndRetry: '言い換えて再試行',
+        retryAsIs: 'そのまま再試行',
+        backToChoices: '選択肢に戻る',
+        pickAnotherChoice: '別の選択肢を選ぶ',
+        backToLastScene: '最後の正常な場面に戻る',
+        announceRefining: '修正を適用しています...',
+        announceQueued: '選択肢を予約しました: {choice}',
+        announceGenerating: '場面と選択肢を生成しています...',
+        announceSceneReady: '新しい場面の準備ができました。',
+        announceChoices_other: '選択肢は{count}つです。1から{last}のキーで選べます。',
+        errorRefineEmpty: '画像を修正するための指示を入力してください。',
+        errorRefineCancelled: '修正はキャンセルされました。',
+        errorRefineFailed: '修正に失敗しました: {message}。',
+        errorStepCancelled: 'リクエストはキャンセルされました。選択肢を選ぶか、もう一度お試しください。',
+        errorStepFailed: '冒険ジェネレーターでエラーが発生しました: {message}。別の入力を試すか、最初からやり直してください。',
+        errorRephraseCancelled: '言い換えはキャンセルされました。',
+        errorRephraseFailed: '行動を言い換えられませんでした: {message}。',
+        errorRerollCancelled: '別の選択肢の取得を取り消しました。今の選択肢はそのままです。',
+        errorRerollFailed: '別の選択肢を取得できませんでした: {message}。',
+        errorHardBudget: 'この冒険は上限予算に達しました（推定{cost} / {hard}）。続けるには「使用量と予算」パネルで予算を引き上げてください。',
+        errorImportSession: 'セッションを読み込めませんでした: {message}',
+        errorResumeAdventure: '保存した冒険を再開できませんでした: {message}',
+        errorDeleteAdventure: '保存した冒険を削除できませんでした: {message}',
+        confirmPruneSaves: 'ブラウザの保存領域がいっぱいです。この冒険を保存するために、古い保存済みの冒険を削除しますか？現在の冒険と最後に開いた冒険は残ります。',
+        edit: '編集',
+        duplicate: '複製',
+        save: '保存',
+        errorBanner: 'エラー:',
+        refiningScene: 'シーンを修正中:「{prompt}」',
+        untitledAdventure: '無題の冒険',
+        statusRegroundingSkipped: 'シーンの再記述をスキップしました: セッションの予算を使い切りました。',
+        statusRegrounding: 'シーンを再記述中...',
+        statusRegrounded: 'シーンを再記述しました。',
+        statusRegroundingCancelled: 'シーンの再記述はキャンセルされました。',
+        statusRegroundingFailed: 'シーンの再記述に失敗しました: {message}',
+        statusSaving: '保存中...',
+        statusAutosaved: '自動保存しました',
+        statusAutosavedPruned_other: '自動保存しました（古い保存データを削除: {titles}）',
+        statusAutosaveFailed: '自動保存に失敗しました: {message}',
+        statusStorageFull: '自動保存に失敗しました: ブラウザの保存領域がいっぱいです。残すにはセッションをエクスポートするか、不要な保存済みの冒険を削除してください。',
+        errorDebugBundle: 'バグレポートのパッケージを作成できませんでした: {message}',
+        settingsTitle: 'モデル設定（{provider}）',
+        settingsDemoMode: 'デモモード',
+        settingsProvider: 'プロバイダー',
+        settingsApiKey: 'APIキー',
+        settingsApiKeyNote: '（このブラウザにのみ保存）',
+        settingsTextModel: 'テキスト・画像認識モデル',
+        settingsImageModel: '画像モデル',
+        settingsBaseUrl: 'APIのベースURL',
+        settingsDemoModeToggle: 'デモモード: 上のプロバイダーの代わりにオフラインの模擬バックエンドを使う',
+        settingsLatency: '遅延（ms）',
+        settingsSeed: '乱数シード',
+        settingsFailureMode: '注入する障害',
+        settingsFailureRate: '障害の発生率（0-1）',
+        mockFailureNone: '障害なし',
+        mockFailureHttp429: 'HTTP 429（レート制限）',
+        mockFailureHttp500: 'HTTP 500（サーバーエラー）',
+        mockFailureSafety: '安全フィルターによるブロック',
+        mockFailureRecitation: '引用による停止',
+        mockFailureMaxTokens: '出力の打ち切り（MAX_TOKENS）',
+        mockFailureMalformedJson: '不正な形式の選択肢JSON',
+        mockFailureRandom: '上記のランダムな組み合わせ',
+        settingsHistoryBudget: '画像履歴の予算',
+        settingsFullSizeScenes: 'フルサイズのシーン',
+        settingsOlderWidth: '古いシーンの幅（px）',
+        settingsPayloadBudget: '予算（KB）',
+        settingsHistoryBudgetHint: '最新のシーンはフルサイズで送信され、古いシーンは縮小されます。画像リクエストが予算を超えると、最も古いターンは要約されます。',
+        settingsRegrounding: 'シーンの再記述',
+        settingsRegroundEvery: 'Nターンごと（0 = オフ）',
+        settingsRegroundMode: '新しい記述',
+        settingsRegroundMerge: '前の記述に統合',
+        settingsRegroundReplace: '前の記述を置き換え',
+        settingsRegroundAfterRefinement: '修正のたびに再記述する',
+        settingsRegroundingHint: '選択肢が画像と合い続けるよう、最新の画像をバックグラウンドで再記述します。次のターンは、まだ終わっていない場合にのみ待ちます。',
+        settingsNarration: '物語の語り',
+        settingsPassageLength: '文章の長さ',
+        narrationTerse: '簡潔（短い1〜2文）',
+        narrationNormal: '標準（3〜4文）',
+        narrationRich: '豊か（5〜7文の段落）',
+        settingsNarrationHint: '各ターンにはテーマの雰囲気に合った短い物語の文章が付き、絵本のエクスポートにも使われます。',
+        settingsChoices: '選択肢',
+        settingsChoicesPerTurn: '1ターンの選択肢の数',
+        settingsChoicesHint: '各選択肢には雰囲気とリスクのタグが付き、一覧を絞り込めます。次のターンまたは選択肢の引き直しから適用されます。',
+        settingsAccessibility: 'アクセシビリティ',
+        settingsSceneAltText: 'スクリーンリーダー向けに各シーンを説明する',
+        settingsSceneAltTextHint: '新しい画像ごとに、画像認識モデルが1文の代替テキストを付けます（画像ごとに1回の追加呼び出し）。',
+        settingsPrices: '料金とセッション予算（USD）',
+        settingsInputPrice: '入力 / 100万トークン',
+        settingsOutputPrice: '出力 / 100万トークン',
+        settingsImagePrice: '画像1枚あたり',
+        settingsSoftBudget: 'ソフト予算（警告）',
+        settingsHardBudget: '上限予算（停止）',
+        settingsBudgetHint: '費用は各呼び出しが報告するトークン使用量から見積もられます。ソフト予算を超えると毎ターン警告が表示され、上限予算に達するとモデルは呼び出されなくなります。0で制限をオフにします。',
+        settingsTimeouts: 'リクエストのタイムアウト',
+        settingsTextTimeout: 'テキストの呼び出し（秒）',
+        settingsImageTimeout: '画像の呼び出し（秒）',
+        settingsTimeoutsHint: '各試行はこの時間で打ち切られます。レート制限、サーバーエラー、タイムアウトは間隔を空けて再試行され、その他のクライアントエラーは再試行されません。',
+        settingsSave: '設定を保存',
+        settingsReset: '初期設定に戻す',
+        presetsTitle: 'カスタムのテーマと画風（{total}）',
+        presetsThemes: 'テーマ',
+        presetsStyles: '画風',
+        presetsAddTheme: '+ 新しいテーマ',
+        presetsAddStyle: '+ 新しい画風',
+        presetsBuiltIn: '（組み込み）',
+        presetsEditTheme: 'テーマ「{name}」を編集',
+        presetsEditStyle: '画風「{name}」を編集',
+        presetsNewTheme: '新しいテーマ',
+        presetsNewStyle: '新しい画風',
+        presetsName: '名前',
+        presetsContentModifier: '内容の修飾',
+        presetsContentModifierNote: '（すべての画像プロンプトに追加）',
+        presetsSystemPrompt: '選択肢のシステムプロンプト',
+        presetsSystemPromptNote: '（"choices" 配列を持つJSONオブジェクトを求めること。{count} は選択肢の数に置き換えられます）',
+        presetsStats: 'キャラクターの能力値',
+        presetsStatsNote: '（1行に1つ: 名前, 最小, 最大, 初期値）',
+        presetsStyleModifier: '画風の修飾',
+        presetsStyleModifierNote: '（すべての画像プロンプトの末尾に追加）',
+        presetsSaveTheme: 'テーマを保存',
+        presetsSaveStyle: '画風を保存',
+        presetsShare: 'カスタム設定を共有（JSON）',
+        presetsImport: '設定を読み込む',
+        presetsThemeExists: '「{name}」という名前のテーマはすでにあります。',
+        presetsStyleExists: '「{name}」という名前の画風はすでにあります。',
+        presetsThemeSaved: 'テーマ「{name}」を保存しました。',
+        presetsStyleSaved: '画風「{name}」を保存しました。',
+        presetsImported: '{themes}と{styles}を読み込みました。',
+        themeCount_other: '{count}件のテーマ',
+        styleCount_other: '{count}件の画風',
+        errorImportPresets: '設定を読み込めませんでした: {message}',
+        presetsDefaultThemeName: 'マイテーマ',
+        presetsDefaultStyleName: 'マイ画風',
+        presetsCopyName: '{name}（コピー）',
+        storybookUntitled: 'ある冒険',
+        storybookHtml: '絵本（HTML）',
+        storybookPrint: '絵本（印刷 / PDF）',
+        storybookIncludeRefinements: '修正の手順を別ページとして含める',
+        storybookPrintBlocked: '印刷ウィンドウがブロックされました。ポップアップを許可するか、HTMLをダウンロードして印刷してください。',
+        storybookTurnLabel: 'ターン{turn}',
+        storybookRefinementLabel: 'ターン{turn} · 修正',
+        storybookSceneAlt: 'シーン{number}',
+        storybookSceneShifts: '場面が変わる: {text}',
+        storybookCoverMeta: '{style}の画風で描かれた{theme}の冒険',
+        storybookCoverAlt: '表紙のイラスト',
+        storybookCoverAltWithText: '表紙のイラスト: {text}',
+        storybookEnd: 'おしまい……今のところは。',
+        comicExport: 'コミックのエクスポート...',
+        comicFromTurn: '開始ターン',
+        comicToTurn: '終了ターン',
+        comicLayout: 'レイアウト',
+        comicPageSize: 'ページサイズ',
+        comicGrid2x2: '2 x 2 グリッド',
+        comicGrid2x3: '2 x 3 グリッド',
+        comicGrid3x3: '3 x 3 グリッド',
+        comicStrip3: '縦の帯（3）',
+        comicStrip4: '横の帯（4）',
+        comicA4Portrait: 'A4 縦',
+        comicA4Landscape: 'A4 横',
+        comicLetterPortrait: 'USレター 縦',
+        comicSquare: '正方形（SNS向け）',
+        comicSpeechBubbles: '吹き出しのキャプション（キャプション枠の代わりに）',
+        comicRendering: '描画中...',
+        comicDownloadPng: 'PNGをダウンロード',
+        comicDownloadPdf: 'PDFをダウンロード',
+        comicExported: '{panels}を{pages}にエクスポートしました。',
+        panelCount_other: '{count}コマ',
+        pageCount_other: '{count}ページ',
+        errorComicExport: 'コミックのエクスポートに失敗しました: {message}',
+        comicContinuedTitle: '{title}（{page}ページ）',
+        sheetTitle: 'キャラクターシート',
+        sheetTitleWithLocation: 'キャラクターシート — {location}',
+        sheetInventory: '持ち物',
+        sheetCompanions: '仲間',
+        sheetQuestFlags: 'クエストの進行',
+        sheetNone: 'なし',
+        imagesPerTurn: '1ターンの画像数:',
+        imageCandidatesHint: '最も合う画像を選んでください。ほかの画像は「パフォーマンスとデバッグ情報」に残ります。',
+        imageCandidateLabel: '画像候補{number}',
+        inspectorTitle: 'リクエストインスペクター（{calls}）',
+        callCount_other: '{count}件の呼び出し',
+        retryCount_other: '再試行{count}回',
+        inspectorReplayTag: '（再実行）',
+        inspectorExport: 'バグレポートをエクスポート',
+        inspectorRequestImage: 'リクエスト画像{number}',
+        inspectorRequest: 'リクエスト',
+        inspectorTemplates: 'テンプレート: {templates}',
+        inspectorResponse: 'レスポンス',
+        inspectorError: 'エラー',
+        inspectorRetry: '試行{attempt}が失敗し、{seconds}秒後に再試行しました: {message}',
+        inspectorReplayTitle: '再実行（冒険は変わりません）',
+        inspectorReplaying: '再実行中...',
+        inspectorReplayAsIs: 'そのまま再実行',
+        inspectorReplayEdited: '編集したプロンプトで再実行',
+        usageTitle: '使用量と予算',
+        usageCostOfHard: '（{cost} / {hard}）',
+        usageCalls: 'モデル呼び出し:',
+        usageImages: '生成した画像:',
+        usageInputTokens: '入力トークン:',
+        usageOutputTokens: '出力トークン:',
+        usageEstimatedCost: '推定費用:',
+        usageUnpriced: '{models} の料金が設定されていないため、それらの呼び出しは見積もりに含まれません。「モデル設定」で追加してください。',
+        usageSoftBudget: 'ソフト予算（USD、警告）',
+        usageHardBudget: '上限予算（USD、停止）',
+        usageHint: '0で制限をオフにします。費用は料金表からの見積もりで、実際の請求額ではありません。',
+        usageSave: '予算を保存',
+        usageDownloadCsv: '使用量をダウンロード（CSV）',
+        templatesTitle: 'プロンプトテンプレート（{overridden}件を上書き）',
+        templatesOverriddenTag: '（上書き）',
+        templatesVariables: '変数: {variables}',
+        templatesNoVariables: 'なし',
+        templatesInUse: '使用中:',
+        templatesSaveRevision: 'リビジョン{revision}として保存',
+        templatesRevert: '組み込みに戻す',
+        templatesHint: '上書きはこの冒険と一緒に保存され、次の呼び出しから適用されます。各ターンと記録された呼び出しには、使用したテンプレートのバージョンが記録されます。',
+        pinnedTitle: '固定したキャラクター（{pinned}/{max}）',
+        pinnedHint: '固定したキャラクターはすべてのシーンと一緒に送信され、見た目が保たれます。',
+        pinnedEditTitle: 'キャラクターを編集',
+        pinnedNewTitle: 'キャラクターを固定',
+        pinnedNamePlaceholder: '名前（例:「ミラ船長」）',
+        pinnedLookPlaceholder: '見た目（例:「赤いコート、眼帯、銀髪」）',
+        pinnedFromScene: '現在のシーンの画像',
+        pinnedFromUpload: '画像をアップロード',
+        pinnedPinning: '固定中...',
+        pinnedPin: 'キャラクターを固定',
+        errorPinnedName: 'キャラクターに名前を付けてください。',
+        errorPinnedNoUpload: 'アップロードする画像を選んでください。',
+        errorPinnedNoScene: 'シーンの画像はまだありません。',
+        debugTitle: 'パフォーマンスとデバッグ情報（{status}）',
+        debugReady: '準備完了',
+        debugTimings: 'ステップの所要時間（秒）',
+        debugTotal: '合計:',
+        debugImage: '画像:',
+        debugDescribe: '記述:',
+        debugOptions: '選択肢:',
+        debugPayload: '画像リクエストのペイロード',
+        debugSent: '送信:',
+        debugFullHistory: '履歴全体:',
+        debugScenes: 'シーン:',
+        debugDownsampled: '縮小:',
+        debugSummarizedTurns: '要約したターン:',
+        debugReferences: 'キャラクター参照:',
+        debugCandidates: '候補:',
+        debugCandidatesTitle: '画像候補（このターン）',
+        debugCandidateAlt: '候補{number}',
+        debugChosenCandidateAlt: '候補{number}（選択済み）',
+        debugRetries: '再試行（{retries}）',
+        debugRetryEntry: '試行{attempt}が失敗、{seconds}秒後に再試行: {message}',
+        debugModelCalls: 'モデル呼び出し（{calls}件、最新{shown}件を表示）',
+        debugUsageEntry: '{model}: 入力{input} / 出力{output}',
+        imageCount_other: '画像{count}枚',
+        debugNoPrice: '料金なし',
+        debugVisionResponse: '画像認識モデルのレスポンス（ターン1のみ）',
+        debugNarrativeHistory: '物語の履歴（選択肢モデル用）',
+    },
+    ar: {
+        appTitle: 'مولّد المغامرات بذكاءين اصطناعيين',
+        startIntro: 'اكتب فكرة البداية أو ارفع صورة تبدأ فيها، واختر موضوعًا وأسلوبًا بصريًا، وابدأ رحلتك المصوّرة.',
+        storyLanguage: 'لغة القصة:',
+        storyLanguageHint: 'تُكتب الخيارات ونص القصة ووصف المشاهد بهذه اللغة.',
+        adventureTheme: 'موضوع المغامرة:',
+        visualStyle: 'الأسلوب البصري:',
+        premisePlaceholder: 'اكتب فكرة البداية لمغامرة {theme} (أو الصق صورة)...',
+        openingSceneAlt: 'المشهد الافتتاحي',
+        openingImageNote: 'تبدأ المغامرة في هذه الصورة.',
+        openingImageNoteWithPremise: 'تبدأ المغامرة في هذه الصورة، مع فكرتك.',
+        remove: 'إزالة',
+        startFromImage: 'ابدأ من صورة أو رسم (JPEG أو PNG أو WebP)',
+        starting: 'جارٍ البدء...',
+        startAdventure: 'ابدأ المغامرة!',
+        demoModeToggle: 'الوضع التجريبي (يعمل دون اتصال بمشاهد مؤقتة مولّدة، ولا يحتاج إلى مفتاح API)',
+        importSession: 'استيراد جلسة',
+        resumeLastAdventure: 'متابعة آخر مغامرة',
+        recentAdventures: 'المغامرات الأخيرة:',
+        savedAdventureTurn: 'الدور {turn}',
+        delete: 'حذف',
+        deleteSavedAdventure: 'حذف المغامرة المحفوظة: {title}',
+        currentScene: 'المشهد الحالي',
+        themeAndStyle: '(الموضوع: {theme} / الأسلوب: {style})',
+        applyingRefinement: 'جارٍ تطبيق التعديل...',
+        generatingScene: 'جارٍ إنشاء المشهد والخيارات...',
+        cancel: 'إلغاء',
+        imageLoading: 'جارٍ تحميل الصورة...',
+        currentSceneAlt: 'المشهد الحالي من المغامرة',
+        sceneAfterAlt: 'المشهد بعد: {prompt}',
+        downloadImage: 'تنزيل الصورة الحالية',
+        exportSession: 'تصدير الجلسة',
+        redescribingScene: 'جارٍ وصف المشهد من جديد...',
+        redescribeScene: 'صف المشهد من جديد',
+        refineTitle: 'عدّل المشهد:',
+        refinePlaceholder: "مثلًا: 'اجعل حراشف التنين زرقاء معدنية' أو 'أضف قطة صغيرة مشاكسة في المقدمة'",
+        refineLabel: 'تعليمات بصرية للتعديل',
+        applying: 'جارٍ التطبيق...',
+        applyRefinement: 'طبّق التعديل',
+        chooseNextStep: 'اختر خطوتك التالية:',
+        refineImageFirst: 'عدّل الصورة أولًا',
+        rerollChoices: 'خيارات أخرى',
+        rerollingChoices: 'جارٍ البحث عن خيارات أخرى...',
+        toneCombat: 'قتال',
+        toneStealth: 'تخفٍّ',
+        toneSocial: 'اجتماعي',
+        toneExploration: 'استكشاف',
+        toneCunning: 'دهاء',
+        toneCaution: 'حذر',
+        riskLow: 'مخاطرة منخفضة',
+        riskMedium: 'مخاطرة متوسطة',
+        riskHigh: 'مخاطرة عالية',
+        filterTone: 'النوع',
+        filterAllTones: 'كل الأنواع',
+        filterRisk: 'المخاطرة',
+        filterAnyRisk: 'أي مخاطرة',
+        filterLowRisk: 'مخاطرة منخفضة فقط',
+        filterUpToMedium: 'حتى المخاطرة المتوسطة',
+        choicesHidden_one: 'التصفية تخفي خيارًا واحدًا.',
+        choicesHidden_other: 'عدد الخيارات المخفية بالتصفية: {count}.',
+        showAllChoices: 'إظهار الكل',
+        budgetHardWarning: 'بلغت الميزانية حدّها: أُنفق ما يُقدَّر بـ {cost}. لن تُستدعى النماذج حتى ترفع الحد الأقصى.',
+        budgetSoftWarning: 'تنبيه: أُنفق ما يُقدَّر بـ {cost}، متجاوزًا حد التنبيه البالغ {soft}.',
+        budgetSoftWarningWithLimit: 'تنبيه: أُنفق ما يُقدَّر بـ {cost}، متجاوزًا حد التنبيه البالغ {soft}. تتوقف الاستدعاءات عند {hard}.',
+        queuedChoice: 'في الانتظار: يتابع فور جاهزية المشهد.',
+        awaitingChoices: 'في انتظار الخيارات التالية...',
+        customActionPlaceholder: "...أو اكتب تصرفك الخاص، مثلًا: 'سأختبئ خلف البرميل بدلًا من ذلك'",
+        customActionLabel: 'تصرفك الخاص',
+        doIt: 'نفّذ',
+        keysLabel: 'المفاتيح:',
+        shortcutChoose: 'اختيار خيار',
+        shortcutRefine: 'تعديل الصورة',
+        shortcutDownload: 'تنزيل الصورة',
+        shortcutCancel: 'إلغاء الخطوة الجارية أو إغلاق التعديل',
+        shortcutNewAdventure: 'بدء مغامرة جديدة',
+        startNewAdventure: 'ابدأ مغامرة جديدة',
+        storyMapTitle: 'خريطة القصة ({turns}، {branches})',
+        turnCount_one: 'دور واحد',
+        turnCount_other: 'الأدوار: {count}',
+        branchCount_one: 'فرع واحد',
+        branchCount_other: 'الفروع: {count}',
+        storyMapHint: 'اختر أي دور سابق للعودة إليه؛ يبدأ اختيارك التالي فرعًا جديدًا من هناك.',
+        storyMapBranch: 'الفرع {number}',
+        storyMapTurn: 'الدور {turn}',
+        storyMapRefine: 'تعديل',
+        storyMapYourAction: '(تصرفك)',
+        blockedSafety: 'حُظر بواسطة مرشح الأمان',
+        blockedRecitation: 'قريب جدًا من مواد موجودة',
+        blockedMaxTokens: 'انقطع الرد قبل اكتماله',
+        blockedAction: 'التصرف',
+        blockedRefinement: 'التعديل',
+        rephrasing: 'جارٍ إعادة الصياغة...',
+        rephraseAndRetry: 'أعد الصياغة وحاول مجددًا',
+        retryAsIs: 'حاول مجددًا كما هو',
+        backToChoices: 'العودة إلى الخيارات',
+        pickAnotherChoice: 'اختر خيارًا آخر',
+        backToLastScene: 'العودة إلى آخر مشهد سليم',
+        announceRefining: 'جارٍ تطبيق التعديل...',
+        announceQueued: 'الخيار في الانتظار: {choice}',
+        announceGenerating: 'جارٍ إنشاء المشهد والخيارات...',
+        announceSceneReady: 'المشهد الجديد جاهز.',
+        announceChoices_one: 'خيار واحد؛ اضغط 1 لاختياره.',
+        announceChoices_other: 'عدد الخيارات: {count}؛ اضغط من 1 إلى {last} لاختيار أحدها.',
+        errorRefineEmpty: 'يُرجى كتابة تعليمات بصرية لتعديل الصورة.',
+        errorRefineCancelled: 'أُلغي التعديل.',
+        errorRefineFailed: 'عذرًا! فشل التعديل: {message}.',
+        errorStepCancelled: 'أُلغي الطلب. اختر خيارًا أو حاول مجددًا.',
+        errorStepFailed: 'عذرًا! واجه مولّد المغامرات خطأً: {message}. جرّب مدخلًا مختلفًا أو ابدأ من جديد.',
+        errorRephraseCancelled: 'أُلغيت إعادة الصياغة.',
+        errorRephraseFailed: 'تعذّرت إعادة صياغة التصرف: {message}.',
+        errorRerollCancelled: 'أُلغي البحث عن خيارات أخرى؛ الخيارات الحالية باقية.',
+        errorRerollFailed: 'تعذّر العثور على خيارات أخرى: {message}.',
+        errorHardBudget: 'بلغت هذه المغامرة حدّ ميزانيتها الأقصى (ما يُقدَّر بـ {cost} من {hard}). ارفع الميزانية من لوحة الاستخدام والميزانية للمتابعة.',
+        errorImportSession: 'تعذّر استيراد الجلسة: {message}',
+        errorResumeAdventure: 'تعذّرت متابعة المغامرة المحفوظة: {message}',
+        errorDeleteAdventure: 'تعذّر حذف المغامرة المحفوظة: {message}',
+        confirmPruneSaves: 'مساحة تخزين المتصفح ممتلئة. هل تريد حذف أقدم مغامراتك المحفوظة لإفساح المجال لهذه المغامرة؟ ستُحفظ المغامرة الحالية وآخر مغامرة فتحتها.',
+        edit: 'تعديل',
+        duplicate: 'نسخ',
+        save: 'حفظ',
+        errorBanner: 'خطأ:',
+        refiningScene: 'جارٍ تحسين المشهد: "{prompt}"',
+        untitledAdventure: 'مغامرة بلا عنوان',
+        statusRegroundingSkipped: 'تم تخطي إعادة وصف المشهد: نفدت ميزانية الجلسة.',
+        statusRegrounding: 'جارٍ إعادة وصف المشهد...',
+        statusRegrounded: 'أُعيد وصف المشهد.',
+        statusRegroundingCancelled: 'أُلغيت إعادة وصف المشهد.',
+        statusRegroundingFailed: 'فشلت إعادة وصف المشهد: {message}',
+        statusSaving: 'جارٍ الحفظ...',
+        statusAutosaved: 'حُفظ تلقائيًا',
+        statusAutosavedPruned_one: 'حُفظ تلقائيًا (حُذف حفظ أقدم: {titles})',
+        statusAutosavedPruned_other: 'حُفظ تلقائيًا (حُذفت حفظات أقدم: {titles})',
+        statusAutosaveFailed: 'فشل الحفظ التلقائي: {message}',
+        statusStorageFull: 'فشل الحفظ التلقائي: مساحة تخزين المتصفح ممتلئة. صدّر الجلسة للاحتفاظ بها، أو احذف المغامرات المحفوظة التي لم تعد تحتاجها.',
+        errorDebugBundle: 'تعذّر إنشاء حزمة تقرير الخطأ: {message}',
+        settingsTitle: 'إعدادات النموذج ({provider})',
+        settingsDemoMode: 'الوضع التجريبي',
+        settingsProvider: 'المزوّد',
+        settingsApiKey: 'مفتاح API',
+        settingsApiKeyNote: '(يُخزَّن في هذا المتصفح فقط)',
+        settingsTextModel: 'نموذج النص والرؤية',
+        settingsImageModel: 'نموذج الصور',
+        settingsBaseUrl: 'عنوان URL الأساسي لواجهة API',
+        settingsDemoModeToggle: 'الوضع التجريبي: استخدام الخادم المحاكي دون اتصال بدلًا من المزوّد أعلاه',
+        settingsLatency: 'زمن الاستجابة (ms)',
+        settingsSeed: 'بذرة عشوائية',
+        settingsFailureMode: 'الفشل المُحقَن',
+        settingsFailureRate: 'معدل الفشل (0-1)',
+        mockFailureNone: 'بلا أعطال',
+        mockFailureHttp429: 'HTTP 429 (تجاوز حد الطلبات)',
+        mockFailureHttp500: 'HTTP 500 (خطأ في الخادم)',
+        mockFailureSafety: 'حظر الأمان',
+        mockFailureRecitation: 'توقف بسبب الاقتباس',
+        mockFailureMaxTokens: 'اقتطاع المخرجات (MAX_TOKENS)',
+        mockFailureMalformedJson: 'JSON خيارات غير صالح',
+        mockFailureRandom: 'مزيج عشوائي مما سبق',
+        settingsHistoryBudget: 'ميزانية سجل الصور',
+        settingsFullSizeScenes: 'مشاهد بالحجم الكامل',
+        settingsOlderWidth: 'عرض الأقدم (px)',
+        settingsPayloadBudget: 'الميزانية (KB)',
+        settingsHistoryBudgetHint: 'تُرسَل أحدث المشاهد بحجمها الكامل، وتُصغَّر الأقدم منها، وتُلخَّص أقدم الأدوار عندما يتجاوز طلب الصورة الميزانية.',
+        settingsRegrounding: 'إعادة وصف المشهد',
+        settingsRegroundEvery: 'كل N أدوار (0 = إيقاف)',
+        settingsRegroundMode: 'الوصف الجديد',
+        settingsRegroundMerge: 'دمجه مع السابق',
+        settingsRegroundReplace: 'استبدال السابق',
+        settingsRegroundAfterRefinement: 'إعادة الوصف بعد كل تحسين',
+        settingsRegroundingHint: 'يُعاد وصف أحدث صورة في الخلفية لتبقى الخيارات مطابقة للصورة. لا ينتظرها الدور التالي إلا إذا لم تنتهِ بعد.',
+        settingsNarration: 'سرد القصة',
+        settingsPassageLength: 'طول المقطع',
+        narrationTerse: 'موجز (جملة أو جملتان قصيرتان)',
+        narrationNormal: 'عادي (3-4 جمل)',
+        narrationRich: 'مفصّل (فقرة كاملة من 5-7 جمل)',
+        settingsNarrationHint: 'يأتي كل دور بمقطع قصير من نثر القصة بنبرة الموضوع، ويُستخدم أيضًا في تصدير كتاب القصة.',
+        settingsChoices: 'الخيارات',
+        settingsChoicesPerTurn: 'عدد الخيارات في كل دور',
+        settingsChoicesHint: 'يُوسَم كل خيار بنبرة ومستوى مخاطرة لتمكين تصفية القائمة. يسري ذلك من الدور التالي أو عند طلب خيارات جديدة.',
+        settingsAccessibility: 'إمكانية الوصول',
+        settingsSceneAltText: 'وصف كل مشهد لقارئات الشاشة',
+        settingsSceneAltTextHint: 'تحصل كل صورة جديدة على نص بديل من جملة واحدة من نموذج الرؤية (استدعاء إضافي لكل صورة).',
+        settingsPrices: 'الأسعار وميزانية الجلسة (USD)',
+        settingsInputPrice: 'الإدخال / مليون رمز',
+        settingsOutputPrice: 'الإخراج / مليون رمز',
+        settingsImagePrice: 'لكل صورة',
+        settingsSoftBudget: 'الميزانية المرنة (تنبيه)',
+        settingsHardBudget: 'الميزانية القصوى (إيقاف)',
+        settingsBudgetHint: 'تُقدَّر التكاليف من استخدام الرموز الذي يُبلغ عنه كل استدعاء. بعد تجاوز الميزانية المرنة يظهر تنبيه في كل دور، وعند بلوغ الميزانية القصوى لا تُجرى استدعاءات جديدة للنموذج. القيمة 0 تُلغي الحد.',
+        settingsTimeouts: 'مهلات الطلبات',
+        settingsTextTimeout: 'استدعاءات النص (ث)',
+        settingsImageTimeout: 'استدعاءات الصور (ث)',
+        settingsTimeoutsHint: 'تُترك كل محاولة بعد هذه المدة. يُعاد المحاولة مع تأخير متزايد عند تجاوز حد الطلبات وأخطاء الخادم وانتهاء المهلة، دون أخطاء العميل الأخرى.',
+        settingsSave: 'حفظ الإعدادات',
+        settingsReset: 'استعادة الإعدادات الافتراضية',
+        presetsTitle: 'المواضيع والأساليب المخصصة ({total})',
+        presetsThemes: 'المواضيع',
+        presetsStyles: 'الأساليب',
+        presetsAddTheme: '+ موضوع جديد',
+        presetsAddStyle: '+ أسلوب جديد',
+        presetsBuiltIn: '(مُضمَّن)',
+        presetsEditTheme: 'تعديل الموضوع "{name}"',
+        presetsEditStyle: 'تعديل الأسلوب "{name}"',
+        presetsNewTheme: 'موضوع جديد',
+        presetsNewStyle: 'أسلوب جديد',
+        presetsName: 'الاسم',
+        presetsContentModifier: 'مُعدِّل المحتوى',
+        presetsContentModifierNote: '(يُضاف إلى كل موجّه صورة)',
+        presetsSystemPrompt: 'موجّه النظام للخيارات',
+        presetsSystemPromptNote: '(يجب أن يطلب كائن JSON يحتوي على مصفوفة "choices"؛ ويُستبدل {count} بعدد الخيارات)',
+        presetsStats: 'إحصاءات الشخصية',
+        presetsStatsNote: '(واحدة في كل سطر: الاسم، الأدنى، الأقصى، البداية)',
+        presetsStyleModifier: 'مُعدِّل الأسلوب',
+        presetsStyleModifierNote: '(يُلحَق بنهاية كل موجّه صورة)',
+        presetsSaveTheme: 'حفظ الموضوع',
+        presetsSaveStyle: 'حفظ الأسلوب',
+        presetsShare: 'مشاركة الإعدادات المخصصة (JSON)',
+        presetsImport: 'استيراد الإعدادات',
+        presetsThemeExists: 'يوجد موضوع باسم "{name}" بالفعل.',
+        presetsStyleExists: 'يوجد أسلوب باسم "{name}" بالفعل.',
+        presetsThemeSaved: 'حُفظ الموضوع "{name}".',
+        presetsStyleSaved: 'حُفظ الأسلوب "{name}".',
+        presetsImported: 'تم الاستيراد ({themes}، {styles}).',
+        themeCount_one: 'موضوع واحد',
+        themeCount_other: 'المواضيع: {count}',
+        styleCount_one: 'أسلوب واحد',
+        styleCount_other: 'الأساليب: {count}',
+        errorImportPresets: 'تعذّر استيراد الإعدادات: {message}',
+        presetsDefaultThemeName: 'موضوعي',
+        presetsDefaultStyleName: 'أسلوبي',
+        presetsCopyName: '{name} (نسخة)',
+        storybookUntitled: 'مغامرة',
+        storybookHtml: 'كتاب القصة (HTML)',
+        storybookPrint: 'كتاب القصة (طباعة / PDF)',
+        storybookIncludeRefinements: 'تضمين خطوات التحسين كصفحات منفصلة',
+        storybookPrintBlocked: 'حُظرت نافذة الطباعة. اسمح بالنوافذ المنبثقة، أو نزّل ملف HTML واطبعه.',
+        storybookTurnLabel: 'الدور {turn}',
+        storybookRefinementLabel: 'الدور {turn} · تحسين',
+        storybookSceneAlt: 'المشهد {number}',
+        storybookSceneShifts: 'يتبدّل المشهد: {text}',
+        storybookCoverMeta: 'مغامرة من نوع {theme}، مرسومة بأسلوب {style}',
+        storybookCoverAlt: 'رسم الغلاف',
+        storybookCoverAltWithText: 'رسم الغلاف: {text}',
+        storybookEnd: 'النهاية... حتى الآن.',
+        comicExport: 'تصدير قصة مصورة...',
+        comicFromTurn: 'من الدور',
+        comicToTurn: 'إلى الدور',
+        comicLayout: 'التخطيط',
+        comicPageSize: 'حجم الصفحة',
+        comicGrid2x2: 'شبكة 2 × 2',
+        comicGrid2x3: 'شبكة 2 × 3',
+        comicGrid3x3: 'شبكة 3 × 3',
+        comicStrip3: 'شريط عمودي (3)',
+        comicStrip4: 'شريط أفقي (4)',
+        comicA4Portrait: 'A4 عمودي',
+        comicA4Landscape: 'A4 أفقي',
+        comicLetterPortrait: 'Letter الأمريكي عمودي',
+        comicSquare: 'مربع (للتواصل الاجتماعي)',
+        comicSpeechBubbles: 'تعليقات في فقاعات كلام (بدلًا من مربعات التعليق)',
+        comicRendering: 'جارٍ الإنشاء...',
+        comicDownloadPng: 'تنزيل PNG',
+        comicDownloadPdf: 'تنزيل PDF',
+        comicExported: 'اكتمل التصدير ({panels}، {pages}).',
+        panelCount_one: 'لوحة واحدة',
+        panelCount_other: 'اللوحات: {count}',
+        pageCount_one: 'صفحة واحدة',
+        pageCount_other: 'الصفحات: {count}',
+        errorComicExport: 'فشل تصدير القصة المصورة: {message}',
+        comicContinuedTitle: '{title} (الصفحة {page})',
+        sheetTitle: 'بطاقة الشخصية',
+        sheetTitleWithLocation: 'بطاقة الشخصية — {location}',
+        sheetInventory: 'المقتنيات',
+        sheetCompanions: 'الرفاق',
+        sheetQuestFlags: 'علامات المهمة',
+        sheetNone: 'لا شيء',
+        imagesPerTurn: 'عدد الصور في كل دور:',
+        imageCandidatesHint: 'اختر الصورة الأنسب؛ وتُحفظ البقية في الأداء ومعلومات التصحيح.',
+        imageCandidateLabel: 'الصورة المرشحة {number}',
+        inspectorTitle: 'فاحص الطلبات ({calls})',
+        callCount_one: 'استدعاء واحد',
+        callCount_other: 'الاستدعاءات: {count}',
+        retryCount_one: 'إعادة محاولة واحدة',
+        retryCount_other: 'إعادات المحاولة: {count}',
+        inspectorReplayTag: '(إعادة تشغيل)',
+        inspectorExport: 'تصدير تقرير الخطأ',
+        inspectorRequestImage: 'صورة الطلب {number}',
+        inspectorRequest: 'الطلب',
+        inspectorTemplates: 'القوالب: {templates}',
+        inspectorResponse: 'الاستجابة',
+        inspectorError: 'الخطأ',
+        inspectorRetry: 'فشلت المحاولة {attempt}، وأُعيدت بعد {seconds} ث: {message}',
+        inspectorReplayTitle: 'إعادة التشغيل (لا تغيّر المغامرة)',
+        inspectorReplaying: 'جارٍ إعادة التشغيل...',
+        inspectorReplayAsIs: 'إعادة التشغيل كما هو',
+        inspectorReplayEdited: 'إعادة التشغيل بالموجّه المعدَّل',
+        usageTitle: 'الاستخدام والميزانية',
+        usageCostOfHard: '({cost} من {hard})',
+        usageCalls: 'استدعاءات النموذج:',
+        usageImages: 'الصور المُنشأة:',
+        usageInputTokens: 'رموز الإدخال:',
+        usageOutputTokens: 'رموز الإخراج:',
+        usageEstimatedCost: 'التكلفة المقدَّرة:',
+        usageUnpriced: 'لم يُحدَّد سعر لـ {models}؛ لذا لا تدخل تلك الاستدعاءات في التقدير. أضِفه من إعدادات النموذج.',
+        usageSoftBudget: 'الميزانية المرنة (USD، تنبيه)',
+        usageHardBudget: 'الميزانية القصوى (USD، إيقاف)',
+        usageHint: 'القيمة 0 تُلغي الحد. التكاليف تقديرات من جدول الأسعار، وليست فاتورتك.',
+        usageSave: 'حفظ الميزانية',
+        usageDownloadCsv: 'تنزيل الاستخدام (CSV)',
+        templatesTitle: 'قوالب الموجّهات (المعدَّلة: {overridden})',
+        templatesOverriddenTag: '(معدَّل)',
+        templatesVariables: 'المتغيرات: {variables}',
+        templatesNoVariables: 'لا يوجد',
+        templatesInUse: 'قيد الاستخدام:',
+        templatesSaveRevision: 'الحفظ كمراجعة {revision}',
+        templatesRevert: 'العودة إلى القالب المُضمَّن',
+        templatesHint: 'تُحفظ التعديلات مع هذه المغامرة وتسري من الاستدعاء التالي. يسجّل كل دور وكل استدعاء مُسجَّل إصدارات القوالب التي استخدمها.',
+        pinnedTitle: 'الشخصيات المثبّتة ({pinned}/{max})',
+        pinnedHint: 'تُرسَل الشخصيات المثبّتة مع كل مشهد لتحافظ على مظهرها.',
+        pinnedEditTitle: 'تعديل الشخصية',
+        pinnedNewTitle: 'تثبيت شخصية',
+        pinnedNamePlaceholder: "الاسم، مثل 'القبطانة ميرا'",
+        pinnedLookPlaceholder: "المظهر، مثل 'معطف أحمر، رقعة عين، شعر فضي'",
+        pinnedFromScene: 'صورة المشهد الحالي',
+        pinnedFromUpload: 'رفع صورة',
+        pinnedPinning: 'جارٍ التثبيت...',
+        pinnedPin: 'تثبيت الشخصية',
+        errorPinnedName: 'أعطِ الشخصية اسمًا.',
+        errorPinnedNoUpload: 'اختر صورة لرفعها.',
+        errorPinnedNoScene: 'لا توجد صورة للمشهد بعد.',
+        debugTitle: 'الأداء ومعلومات التصحيح ({status})',
+        debugReady: 'جاهز',
+        debugTimings: 'توقيت الخطوات (ث)',
+        debugTotal: 'الإجمالي:',
+        debugImage: 'الصورة:',
+        debugDescribe: 'الوصف:',
+        debugOptions: 'الخيارات:',
+        debugPayload: 'حمولة طلب الصورة',
+        debugSent: 'المُرسَل:',
+        debugFullHistory: 'السجل الكامل:',
+        debugScenes: 'المشاهد:',
+        debugDownsampled: 'المُصغَّرة:',
+        debugSummarizedTurns: 'الأدوار الملخَّصة:',
+        debugReferences: 'مراجع الشخصيات:',
+        debugCandidates: 'المرشحة:',
+        debugCandidatesTitle: 'الصور المرشحة (هذا الدور)',
+        debugCandidateAlt: 'المرشحة {number}',
+        debugChosenCandidateAlt: 'المرشحة {number} (المختارة)',
+        debugRetries: 'إعادات المحاولة ({retries})',
+        debugRetryEntry: 'فشلت المحاولة {attempt}، إعادة المحاولة بعد {seconds} ث: {message}',
+        debugModelCalls: 'استدعاءات النموذج ({calls}، ويظهر آخر {shown})',
+        debugUsageEntry: '{model}: {input} إدخال / {output} إخراج',
+        imageCount_one: 'صورة واحدة',
+        imageCount_other: 'الصور: {count}',
+        debugNoPrice: 'بلا سعر',
+        debugVisionResponse: 'استجابة نموذج الرؤية (الدور 1 فقط)',
+        debugNarrativeHistory: 'السجل السردي (لنموذج الخيارات)',
+    },
+};
+
+/**
+ * Returns `t(key, params)` for a language's UI strings, filling in `{name}` parameters.
+ */
+const createTranslator = (language) => {
+    const pluralRules = new Intl.PluralRules(language);
+    const lookup = (strings, key, count) => count === undefined
+        ? strings?.[key]
+        : strings?.[`${key}_${pluralRules.select(count)}`] ?? strings?.[`${key}_other`];
+    return (key, params = {}) => (lookup(UI_STRINGS[language], key, params.count) ?? lookup(UI_STRINGS[DEFAULT_LANGUAGE], key, params.count) ?? key)
+        .replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match);
+};
+
+/**
+ * The language picked last in this browser, else the browser's own language when we have it, else English.
+ */
+const loadLanguage = () => {
+    try {
+        const saved = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+        if (LANGUAGES[saved]) return saved;
+    } catch (e) {
+        console.warn('Ignoring unreadable language setting:', e);
     }
+    const browserLanguage = (navigator.language || '').split('-')[0];
+    return LANGUAGES[browserLanguage] ? browserLanguage : DEFAULT_LANGUAGE;
+};
 
-    const duration = performance.now() - start; 
+const saveLanguage = (language) => {
+    try {
+        localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+    } catch (e) {
+        console.warn('Could not persist the language setting:', e);
+    }
+};
+
+// --- Usage & Cost ---
+// Providers report the token usage of every call they make (Gemini `usageMetadata`, OpenAI `usage`).
+// The App keeps a per-session log of those calls; costs are estimated from a price table in the
+// provider settings, and the session budget warns at the soft limit and stops new steps at the hard one.
+//
+// usage entry = { at, operation: 'text' | 'describe' | 'image', model, inputTokens, outputTokens, images }
+
+// Demo mode's stand-in model names (see createMockProvider).
+const MOCK_TEXT_MODEL = 'mock-text';
+const MOCK_IMAGE_MODEL = 'mock-image';
 
+// Estimated list prices in USD: per million input and output tokens, plus a flat price per generated
+// image for APIs that bill images rather than tokens. Demo mode is priced like Gemini so budgets can be tried offline.
+const DEFAULT_MODEL_PRICES = {
+    [TEXT_MODEL]: { inputPerMillion: 0.3, outputPerMillion: 2.5, perImage: 0 },
+    [IMAGE_MODEL]: { inputPerMillion: 0.3, outputPerMillion: 30, perImage: 0 },
+    'gpt-4o-mini': { inputPerMillion: 0.15, outputPerMillion: 0.6, perImage: 0 },
+    'gpt-image-1': { inputPerMillion: 5, outputPerMillion: 40, perImage: 0 },
+    'dall-e-3': { inputPerMillion: 0, outputPerMillion: 0, perImage: 0.04 },
+    [MOCK_TEXT_MODEL]: { inputPerMillion: 0.3, outputPerMillion: 2.5, perImage: 0 },
+    [MOCK_IMAGE_MODEL]: { inputPerMillion: 0.3, outputPerMillion: 30, perImage: 0 },
+};
+
+// Session budget in USD; 0 turns a limit off.
+const DEFAULT_SESSION_BUDGET = { softUSD: 1, hardUSD: 5 };
+
+// How many calls the Debug Console lists (the session log itself keeps them all).
+const MAX_USAGE_ROWS_SHOWN = 10;
+
+/**
+ * Normalizes Gemini `usageMetadata` or OpenAI `usage` into { inputTokens, outputTokens }.
+ */
+const readUsage = (raw) => {
+    const gemini = raw?.usageMetadata;
+    if (gemini) {
+        return { inputTokens: gemini.promptTokenCount || 0, outputTokens: (gemini.candidatesTokenCount || 0) + (gemini.thoughtsTokenCount || 0) };
+    }
+    const openai = raw?.usage;
     return {
-        dataUrl: `data:image/png;base64,${base64Data}`,
-        data: base64Data, // Raw data for immediate Vision grounding (if needed)
-        duration
+        inputTokens: openai?.prompt_tokens ?? openai?.input_tokens ?? 0,
+        outputTokens: openai?.completion_tokens ?? openai?.output_tokens ?? 0,
     };
 };
 
 /**
- * Uses the Vision model to describe the generated image (Narrative Grounding Step - runs ONLY ONCE).
+ * Estimated cost of one call in USD, or null when the model has no price.
  */
-const describeImage = async (base64Image) => {
-    const start = performance.now(); 
-    
-    const resizedBase64 = await resizeBase64Image(base64Image, 800);
-    
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${TEXT_MODEL}:generateContent?key=${apiKey}`;
+const estimateCallCost = (entry, prices) => {
+    const price = prices[entry.model];
+    if (!price) return null;
+    return (entry.inputTokens * price.inputPerMillion + entry.outputTokens * price.outputPerMillion) / 1e6 + entry.images * price.perImage;
+};
 
-    const prompt = `This is the initial scene description. Analyze the image and provide a single, detailed paragraph that describes the protagonist(s) and the major visual elements (objects, landscapes, atmosphere, or potential threats). This description is the sole visual seed for the continuing narrative thread.`;
-    
-    const payload = {
-        contents: [{
-            role: "user",
-            parts: [
-                { text: prompt },
-                {
-                    inlineData: {
-                        mimeType: "image/png",
-                        data: resizedBase64
-                    }
-                }
-            ]
-        }],
-        generationConfig: {
-             temperature: 0.5,    
-        },
-    };
+/**
+ * Totals for a usage log: tokens, images, estimated cost and the models that have no price.
+ */
+const summarizeUsage = (entries, prices) => {
+    const unpricedModels = new Set();
+    const totals = { calls: entries.length, inputTokens: 0, outputTokens: 0, images: 0, cost: 0 };
+    for (const entry of entries) {
+        totals.inputTokens += entry.inputTokens;
+        totals.outputTokens += entry.outputTokens;
+        totals.images += entry.images;
+        const cost = estimateCallCost(entry, prices);
+        if (cost === null) unpricedModels.add(entry.model);
+        else totals.cost += cost;
+    }
+    return { ...totals, unpricedModels: [...unpricedModels] };
+};
 
-    const response = await fetchWithRetry(url, payload);
-    const result = await response.json();
-    
-    const rawResultJson = JSON.stringify(result, null, 2);
+/**
+ * 'hard' once the estimated cost reaches the hard budget, 'soft' once it reaches the soft one, else 'ok'.
+ */
+const getBudgetStatus = (cost, budget) => {
+    if (budget.hardUSD > 0 && cost >= budget.hardUSD) return 'hard';
+    if (budget.softUSD > 0 && cost >= budget.softUSD) return 'soft';
+    return 'ok';
+};
+
+const formatUSD = (amount) => `$${amount.toFixed(amount < 1 ? 4 : 2)}`;
+
+/**
+ * A model call refused because the session has reached its hard budget.
+ */
+class BudgetExceededError extends Error {
+    constructor(cost, hardUSD) {
+        super(`The session budget is used up (an estimated ${formatUSD(cost)} of ${formatUSD(hardUSD)}).`);
+        this.name = 'BudgetExceededError';
+        this.cost = cost;
+        this.hardUSD = hardUSD;
+    }
+}
+
+const PROVIDER_OPERATIONS = ['generateText', 'streamText', 'describeImage', 'generateImage'];
+
+/**
+ * Wraps a provider so no call starts once the session has reached its hard budget. `getCost()` returns
+ * the estimated cost so far, including calls answered earlier in the same step. Calls already in flight
+ * (e.g. the other image candidates) still finish.
+ */
+const createBudgetedProvider = (provider, getCost, budget) => Object.fromEntries(PROVIDER_OPERATIONS.map(operation => [operation, (request) => {
+    const cost = getCost();
+    if (getBudgetStatus(cost, budget) === 'hard') {
+        return Promise.reject(new BudgetExceededError(cost, budget.hardUSD));
+    }
+    return provider[operation](request);
+}]));
+
+const isValidUsageLog = (entries) => Array.isArray(entries) && entries.every(entry =>
+    entry && Number.isFinite(entry.at) && typeof entry.operation === 'string' && typeof entry.model === 'string' &&
+    [entry.inputTokens, entry.outputTokens, entry.images].every(count => Number.isFinite(count) && count >= 0));
+
+/**
+ * The usage log as CSV, one row per call, with the estimated cost from the current price table.
+ */
+const buildUsageCsv = (entries, prices) => {
+    const header = ['time', 'operation', 'model', 'input_tokens', 'output_tokens', 'images', 'estimated_cost_usd'];
+    const rows = entries.map(entry => {
+        const cost = estimateCallCost(entry, prices);
+        return [new Date(entry.at).toISOString(), entry.operation, entry.model, entry.inputTokens, entry.outputTokens, entry.images, cost === null ? '' : cost.toFixed(6)];
+    });
+    return [header, ...rows].map(row => row.map(value => /[",\n]/.test(String(value)) ? `"${String(value).replace(/"/g, '""')}"` : value).join(',')).join('\n') + '\n';
+};
+
+// --- Model Providers ---
+// A provider implements the three model operations for one API family. Callers always speak
+// in the Gemini `contents` shape the histories are stored in; providers translate as needed.
+//
+//   generateText({ contents, systemPrompt, responseSchema, temperature }) -> { text, raw }
+//   describeImage({ prompt, image: { mimeType, data }, temperature })    -> { text, raw }
+//   generateImage({ contents })                                           -> { data, mimeType, raw }
+//   streamText({ ...same as generateText, onText })                       -> { text, raw }
+//       streams the response, calling onText(textSoFar) as each chunk arrives
+//
+// Any request may also carry its own `onRetry`, called for that call's retries only (the Request
+// Inspector uses it to attach retries to the call that made them).
+//
+// Factories take the saved settings plus `{ signal, onRetry, onUsage }`: aborting `signal` cancels every call the
+// provider has in flight, `onRetry` hears about each retry attempt, and `onUsage` gets the token usage of
+// every answered call (see Usage & Cost), including calls whose output was blocked.
+
+// Per-attempt timeouts. Image calls get longer because generation itself can take a minute.
+const DEFAULT_REQUEST_TIMEOUTS = { textSeconds: 60, imageSeconds: 180 };
+
+// How many retry attempts the Debug Console keeps.
+const MAX_RETRY_LOG_ENTRIES = 20;
+
+// Finish reasons (Gemini and OpenAI spellings) that mean the model stopped on purpose rather than
+// failing. Each kind gets its own recovery options in the UI.
+const BLOCKING_FINISH_REASONS = {
+    SAFETY: 'safety',
+    IMAGE_SAFETY: 'safety',
+    PROHIBITED_CONTENT: 'safety',
+    IMAGE_PROHIBITED_CONTENT: 'safety',
+    BLOCKLIST: 'safety',
+    SPII: 'safety',
+    content_filter: 'safety',
+    RECITATION: 'recitation',
+    IMAGE_RECITATION: 'recitation',
+    MAX_TOKENS: 'maxTokens',
+    length: 'maxTokens',
+};
+
+const GENERATION_STAGE_LABELS = { text: 'Text generation', describe: 'Scene description', image: 'Image generation' };
+
+/**
+ * Turns a safety category id such as HARM_CATEGORY_DANGEROUS_CONTENT into "dangerous content".
+ */
+const formatSafetyCategory = ({ category, probability }) =>
+    `${category.replace(/^HARM_CATEGORY_/, '').replace(/_/g, ' ').toLowerCase()}${probability ? ` (${probability.toLowerCase()})` : ''}`;
 
+/**
+ * The model refused or cut short a generation. `kind` is 'safety', 'recitation' or 'maxTokens';
+ * `stage` is 'text', 'describe' or 'image'; `categories` lists the safety ratings that tripped.
+ */
+class GenerationBlockedError extends Error {
+    constructor(kind, { finishReason, stage, categories = [] }) {
+        const what = GENERATION_STAGE_LABELS[stage] || 'Generation';
+        const messages = {
+            safety: `${what} was blocked by the safety filter${categories.length ? `: ${categories.map(formatSafetyCategory).join(', ')}` : ''}.`,
+            recitation: `${what} stopped because the output was too close to existing (possibly copyrighted) material.`,
+            maxTokens: `${what} ran out of output tokens before it finished.`,
+        };
+        super(messages[kind]);
+        this.name = 'GenerationBlockedError';
+        this.kind = kind;
+        this.finishReason = finishReason;
+        this.stage = stage;
+        this.categories = categories;
+    }
+}
+
+/**
+ * Returns a GenerationBlockedError for a blocking finish reason, or null. A truncated
+ * (MAX_TOKENS) response that still has content is returned to the caller instead.
+ */
+const toBlockedError = (finishReason, { stage, hasContent = false, categories = [] }) => {
+    const kind = BLOCKING_FINISH_REASONS[finishReason];
+    if (!kind || (kind === 'maxTokens' && hasContent)) return null;
+    return new GenerationBlockedError(kind, { finishReason, stage, categories });
+};
+
+/**
+ * Checks a Gemini response for a blocked prompt (`promptFeedback`) or a blocking finish reason.
+ */
+const getGeminiBlockedError = (result, stage, hasContent) => {
     const candidate = result?.candidates?.[0];
-    const description = candidate?.content?.parts?.[0]?.text;
-    
-    if (!description) {
-        let errorMessage = "Image description returned empty content. ";
-        
-        if (result.error) {
-            errorMessage = `API Error: ${result.error.message || 'Unknown API issue.'}`;
-        } else if (candidate) {
-             errorMessage += `Finish Reason: ${candidate.finishReason || 'N/A'}.`;
-            // Add safety check error handling for debug
-            const safetyRatings = candidate.safetyRatings;
-            if (safetyRatings && safetyRatings.length > 0) {
-                const blockedCategories = safetyRatings
-                    .filter(r => r.probability !== 'NEGLIGIBLE' && r.blocked)
-                    .map(r => `${r.category} (P: ${r.probability})`)
-                    .join(', ');
-                
-                if (blockedCategories) {
-                    errorMessage += ` Generation was blocked due to safety flags: ${blockedCategories}.`;
-                }
+    const blockReason = result?.promptFeedback?.blockReason;
+    const categories = [...(result?.promptFeedback?.safetyRatings || []), ...(candidate?.safetyRatings || [])]
+        .filter(r => r.probability !== 'NEGLIGIBLE' && r.blocked)
+        .map(({ category, probability }) => ({ category, probability }));
+    // Any blocked prompt is a policy block, whatever reason code it carries.
+    const finishReason = blockReason ? (BLOCKING_FINISH_REASONS[blockReason] === 'safety' ? blockReason : 'SAFETY') : candidate?.finishReason;
+    return toBlockedError(finishReason, { stage, hasContent, categories });
+};
+
+/**
+ * Reads a text/event-stream response, calling `onData` with the payload of each `data:` line.
+ * Aborting `signal` (the attempt's signal from fetchWithRetry) stops reading.
+ */
+const readServerSentEvents = async (response, onData, signal) => {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const cancel = () => reader.cancel().catch(() => {});
+    signal?.addEventListener('abort', cancel, { once: true });
+    let buffer = '';
+    try {
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (signal?.aborted) throw signal.reason ?? new DOMException('The request was cancelled.', 'AbortError');
+            buffer += decoder.decode(value, { stream: !done });
+            const lines = buffer.split(/\r?\n/);
+            buffer = done ? '' : lines.pop();
+            for (const line of lines) {
+                if (line.startsWith('data:')) onData(line.slice(5).trim());
             }
+            if (done) return;
         }
-        
-        throw new Error(errorMessage);
+    } finally {
+        signal?.removeEventListener('abort', cancel);
     }
-    
-    const duration = performance.now() - start; 
-    return { description, duration, rawResultJson };
 };
 
+/**
+ * Google Gemini (generativelanguage.googleapis.com) provider.
+ */
+const createGeminiProvider = ({ apiKey, textModel, imageModel, baseUrl, fetchImpl, timeouts = DEFAULT_REQUEST_TIMEOUTS, signal, onRetry, onUsage }) => {
+    // Resolves to the parsed JSON body, or to what `readBody` returns (see fetchWithRetry)
+    const post = (model, method, payload, timeoutSeconds, callOnRetry, readBody) => {
+        const url = `${baseUrl}/models/${model}:${method}?${method === 'streamGenerateContent' ? 'alt=sse&' : ''}key=${apiKey}`;
+        return fetchWithRetry(url, payload, { fetchImpl, signal, onRetry: combineRetryHandlers(onRetry, callOnRetry), timeoutMs: timeoutSeconds * 1000, readBody });
+    };
+    const reportUsage = (operation, model, result, images = 0) => {
+        onUsage?.({ at: Date.now(), operation, model, ...readUsage(result), images });
+    };
+    const callModel = (model, payload, timeoutSeconds = timeouts.textSeconds, callOnRetry) =>
+        post(model, 'generateContent', payload, timeoutSeconds, callOnRetry);
+    const textPayload = ({ contents, systemPrompt, responseSchema, temperature }) => ({
+        contents,
+        systemInstruction: { parts: [{ text: systemPrompt }] },
+        generationConfig: {
+            ...(responseSchema && { responseMimeType: "application/json", responseSchema }),
+            ...(temperature !== undefined && { temperature }),
+        }
+    });
 
-// --- Main React Component ---
+    return {
+        async generateText(request) {
+            const result = await callModel(textModel, textPayload(request), timeouts.textSeconds, request.onRetry);
+            reportUsage('text', textModel, result);
 
-const App = () => {
-    const inputRef = useRef(null); 
-    const refinementInputRef = useRef(null); 
-    
-    // THREAD 1: Stores full multimodal history (text + Base64) for image-to-image iteration.
-    const [imageHistory, setImageHistory] = useState([]); 
-    
-    // THREAD 2: Stores text history (user actions + (1x) model description + choice JSON).
-    const [narrativeHistory, setNarrativeHistory] = useState([]); 
-    
-    // Tracks if the initial description has been run.
-    const [isInitialSceneSet, setIsInitialSceneSet] = useState(false);
-    
-    const [theme, setTheme] = useState('Fantasy'); 
-    const [imageStyle, setImageStyle] = useState('Watercolor Concept'); 
+            const text = result?.candidates?.[0]?.content?.parts?.[0]?.text;
+            const blocked = getGeminiBlockedError(result, 'text', !!text);
+            if (blocked) throw blocked;
+            if (!text) throw new Error("Text generation returned empty content.");
+            return { text, raw: result, finishReason: result.candidates[0].finishReason };
+        },
 
-    const [adventureText, setAdventureText] = useState(null); 
-    const [options, setOptions] = useState([]);
-    const [imageUrl, setImageUrl] = useState(null); 
-    const [imageObjectUrl, setImageObjectUrl] = useState(null); 
-    const [loading, setLoading] = useState(false);
-    const [error, setError] = useState(null);
-    
-    // NEW STATE FOR REFINEMENT MODE
-    const [isRefining, setIsRefining] = useState(false);
-    const [refinementPrompt, setRefinementPrompt] = useState('');
-    
-    // Debug info
-    const [stepTimings, setStepTimings] = useState({ total: 0, image: 0, describe: 0, options: 0 });
-    const [visionModelResponse, setVisionModelResponse] = useState(null);
+        async streamText({ onText, ...request }) {
+            // Each event carries the next slice of the candidate; the last one also has the finish reason and usage.
+            // A retried attempt streams the text again from the start.
+            const { text, lastChunk } = await post(textModel, 'streamGenerateContent', textPayload(request), timeouts.textSeconds, request.onRetry, async (response, attemptSignal) => {
+                let text = '';
+                let lastChunk = null;
+                await readServerSentEvents(response, (data) => {
+                    lastChunk = JSON.parse(data);
+                    const delta = lastChunk?.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('');
+                    if (delta) {
+                        text += delta;
+                        onText(text);
+                    }
+                }, attemptSignal);
+                return { text, lastChunk };
+            });
+            reportUsage('text', textModel, lastChunk);
 
-    // Effect to clean up the object URL when the component unmounts or imageObjectUrl changes
-    React.useEffect(() => {
-        return () => {
-            if (imageObjectUrl) {
-                URL.revokeObjectURL(imageObjectUrl);
+            const blocked = getGeminiBlockedError(lastChunk, 'text', !!text);
+            if (blocked) throw blocked;
+            if (!text) throw new Error("Text generation returned empty content.");
+            return { text, raw: lastChunk, finishReason: lastChunk?.candidates?.[0]?.finishReason };
+        },
+
+        async describeImage({ prompt, image, temperature, onRetry: callOnRetry }) {
+            const result = await callModel(textModel, {
+                contents: [{
+                    role: "user",
+                    parts: [{ text: prompt }, { inlineData: image }]
+                }],
+                generationConfig: {
+                     temperature,
+                },
+            }, timeouts.textSeconds, callOnRetry);
+            reportUsage('describe', textModel, result);
+
+            const candidate = result?.candidates?.[0];
+            const text = candidate?.content?.parts?.[0]?.text;
+
+            // A description cut short by MAX_TOKENS is still usable grounding, so only an empty one fails.
+            const blocked = getGeminiBlockedError(result, 'describe', !!text);
+            if (blocked) throw blocked;
+            if (!text) {
+                let errorMessage = "Image description returned empty content. ";
+                if (result.error) {
+                    errorMessage = `API Error: ${result.error.message || 'Unknown API issue.'}`;
+                } else if (candidate) {
+                    errorMessage += `Finish Reason: ${candidate.finishReason || 'N/A'}.`;
+                }
+                throw new Error(errorMessage);
             }
-        };
-    }, [imageObjectUrl]);
-    
-    // Utility to revoke previous Object URL
-    const revokePreviousUrl = useCallback(() => {
-        if (imageObjectUrl) {
-            URL.revokeObjectURL(imageObjectUrl);
-        }
-        setImageObjectUrl(null);
-    }, [imageObjectUrl]);
+            return { text, raw: result };
+        },
+
+        async generateImage({ contents, onRetry: callOnRetry }) {
+            const result = await callModel(imageModel, {
+                contents,
+                generationConfig: {
+                    responseModalities: ['TEXT', 'IMAGE']
+                }
+            }, timeouts.imageSeconds, callOnRetry);
+
+            const part = result?.candidates?.[0]?.content?.parts?.find(p => p.inlineData);
+            reportUsage('image', imageModel, result, part?.inlineData?.data ? 1 : 0);
+            if (!part?.inlineData?.data) {
+                throw getGeminiBlockedError(result, 'image', false) || new Error("Image generation returned empty data.");
+            }
+            return { data: part.inlineData.data, mimeType: part.inlineData.mimeType || 'image/png', raw: result };
+        },
+    };
+};
+
+/**
+ * Converts a Gemini-style response schema (upper-case types, propertyOrdering) to JSON Schema.
+ */
+const toJsonSchema = (schema) => {
+    const { type, properties, items, propertyOrdering, ...rest } = schema;
+    return {
+        ...rest,
+        ...(type && { type: type.toLowerCase() }),
+        ...(properties && {
+            properties: Object.fromEntries(Object.entries(properties).map(([key, value]) => [key, toJsonSchema(value)])),
+        }),
+        ...(items && { items: toJsonSchema(items) }),
+    };
+};
+
+/**
+ * Converts Gemini `contents` to Chat Completions messages. Assistant messages can't carry images,
+ * so any entry holding an image is sent as user content.
+ */
+const toChatMessages = (contents) => contents.map(entry => {
+    if (!entry.parts.some(part => part.inlineData)) {
+        return {
+            role: entry.role === 'model' ? 'assistant' : 'user',
+            content: entry.parts.map(part => part.text).join('\n'),
+        };
+    }
+    return {
+        role: 'user',
+        content: entry.parts.map(part => part.inlineData
+            ? { type: 'image_url', image_url: { url: `data:${part.inlineData.mimeType};base64,${part.inlineData.data}` } }
+            : { type: 'text', text: part.text }),
+    };
+});
+
+/**
+ * Provider for any OpenAI-compatible HTTP API (Chat Completions + Images endpoints).
+ */
+const createOpenAICompatibleProvider = ({ apiKey, textModel, imageModel, baseUrl, timeouts = DEFAULT_REQUEST_TIMEOUTS, signal, onRetry, onUsage }) => {
+    const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+    const textOptions = { headers, signal, onRetry, timeoutMs: timeouts.textSeconds * 1000 };
+    const imageOptions = { headers, signal, onRetry, timeoutMs: timeouts.imageSeconds * 1000 };
+    const reportUsage = (operation, model, result, images = 0) => {
+        onUsage?.({ at: Date.now(), operation, model, ...readUsage(result), images });
+    };
+    const withCallRetry = (options, callOnRetry) => callOnRetry ? { ...options, onRetry: combineRetryHandlers(onRetry, callOnRetry) } : options;
+
+    const chat = async (messages, extra = {}, operation = 'text', callOnRetry) => {
+        const result = await fetchWithRetry(`${baseUrl}/chat/completions`, { model: textModel, messages, ...extra }, withCallRetry(textOptions, callOnRetry));
+        reportUsage(operation, textModel, result);
+        const text = result?.choices?.[0]?.message?.content;
+        return { text, raw: result, finishReason: result?.choices?.[0]?.finish_reason };
+    };
+    const textRequest = ({ contents, systemPrompt, responseSchema, temperature }) => {
+        // Not every compatible server supports `json_schema`, so the schema rides along in the system prompt.
+        const system = responseSchema
+            ? `${systemPrompt}\n\nRespond with a JSON object matching this JSON Schema: ${JSON.stringify(toJsonSchema(responseSchema))}`
+            : systemPrompt;
+        return {
+            model: textModel,
+            messages: [{ role: 'system', content: system }, ...toChatMessages(contents)],
+            ...(responseSchema && { response_format: { type: 'json_object' } }),
+            ...(temperature !== undefined && { temperature }),
+        };
+    };
+
+    return {
+        async generateText(request) {
+            const { messages, model, ...extra } = textRequest(request);
+            const { text, raw, finishReason } = await chat(messages, extra, 'text', request.onRetry);
+            const blocked = toBlockedError(finishReason, { stage: 'text', hasContent: !!text });
+            if (blocked) throw blocked;
+            if (!text) throw new Error("Text generation returned empty content.");
+            return { text, raw, finishReason };
+        },
+
+        async streamText({ onText, ...request }) {
+            // `include_usage` adds a final chunk with the token usage (and no choices).
+            // A retried attempt streams the text again from the start.
+            const readStream = async (response, attemptSignal) => {
+                let text = '';
+                let lastChunk = null;
+                let finishReason;
+                let usageChunk = null;
+                await readServerSentEvents(response, (data) => {
+                    if (data === '[DONE]') return;
+                    lastChunk = JSON.parse(data);
+                    if (lastChunk?.usage) usageChunk = lastChunk;
+                    finishReason = lastChunk?.choices?.[0]?.finish_reason || finishReason;
+                    const delta = lastChunk?.choices?.[0]?.delta?.content;
+                    if (delta) {
+                        text += delta;
+                        onText(text);
+                    }
+                }, attemptSignal);
+                return { text, lastChunk, finishReason, usageChunk };
+            };
+            const { text, lastChunk, finishReason, usageChunk } = await fetchWithRetry(`${baseUrl}/chat/completions`, { ...textRequest(request), stream: true, stream_options: { include_usage: true } }, { ...withCallRetry(textOptions, request.onRetry), readBody: readStream });
+            reportUsage('text', textModel, usageChunk);
+
+            const blocked = toBlockedError(finishReason, { stage: 'text', hasContent: !!text });
+            if (blocked) throw blocked;
+            if (!text) throw new Error("Text generation returned empty content.");
+            return { text, raw: lastChunk, finishReason };
+        },
+
+        async describeImage({ prompt, image, temperature, onRetry: callOnRetry }) {
+            const { text, raw, finishReason } = await chat(toChatMessages([{ role: 'user', parts: [{ text: prompt }, { inlineData: image }] }]), { temperature }, 'describe', callOnRetry);
+            const blocked = toBlockedError(finishReason, { stage: 'describe', hasContent: !!text });
+            if (blocked) throw blocked;
+            if (!text) {
+                throw new Error(`Image description returned empty content. Finish Reason: ${raw?.choices?.[0]?.finish_reason || 'N/A'}.`);
+            }
+            return { text, raw };
+        },
+
+        async generateImage({ contents, onRetry: callOnRetry }) {
+            const requestOptions = withCallRetry(imageOptions, callOnRetry);
+            // The Images API takes one prompt plus (for edits) the previous scene, not a conversation.
+            // Character reference images in the final turn are sent as extra input images.
+            const finalParts = contents[contents.length - 1].parts;
+            const prompt = finalParts.map(part => part.text).filter(Boolean).join('\n');
+            const inputImages = [findLatestImagePart(contents), ...finalParts.filter(part => part.inlineData).map(part => part.inlineData)].filter(Boolean);
+
+            let result;
+            try {
+                if (inputImages.length > 0) {
+                    const form = new FormData();
+                    form.append('model', imageModel);
+                    form.append('prompt', prompt);
+                    inputImages.forEach((image, index) => {
+                        form.append(inputImages.length > 1 ? 'image[]' : 'image', base64ToBlob(image.data, image.mimeType), `input-${index}.${IMAGE_FILE_EXTENSIONS[image.mimeType] || 'png'}`);
+                    });
+                    result = await fetchWithRetry(`${baseUrl}/images/edits`, form, requestOptions);
+                } else {
+                    result = await fetchWithRetry(`${baseUrl}/images/generations`, {
+                        model: imageModel,
+                        prompt,
+                        // DALL-E models default to returning URLs; gpt-image models always return base64.
+                        ...(imageModel.startsWith('dall-e') && { response_format: 'b64_json' }),
+                    }, requestOptions);
+                }
+            } catch (err) {
+                // The Images API reports moderation refusals as a 400 rather than a finish reason.
+                if (err instanceof HttpError && err.status === 400 && /content_policy_violation|moderation_blocked|safety system/i.test(err.message)) {
+                    throw new GenerationBlockedError('safety', { finishReason: 'content_filter', stage: 'image' });
+                }
+                throw err;
+            }
+
+            const data = result?.data?.[0]?.b64_json;
+            reportUsage('image', imageModel, result, data ? 1 : 0);
+            if (!data) throw new Error("Image generation returned empty data.");
+            return { data, mimeType: detectImageMimeType(data) || 'image/png', raw: result };
+        },
+    };
+};
+
+// --- Demo Mode (Mock Provider) ---
+// An offline stand-in for the Gemini API. It plugs a fake `fetch` into the real Gemini provider,
+// so canned responses and injected failures travel the same parsing and retry paths as live calls.
+// All randomness comes from a seeded PRNG: the same seed and the same clicks replay identically.
+
+// Injectable failures (the UI string of each).
+const MOCK_FAILURE_MODES = {
+    none: 'mockFailureNone',
+    http429: 'mockFailureHttp429',
+    http500: 'mockFailureHttp500',
+    safety: 'mockFailureSafety',
+    recitation: 'mockFailureRecitation',
+    maxTokens: 'mockFailureMaxTokens',
+    malformedJson: 'mockFailureMalformedJson',
+    random: 'mockFailureRandom',
+};
+
+const DEFAULT_MOCK_SETTINGS = { latencyMs: 800, failureMode: 'none', failureRate: 0.25, seed: 42 };
+
+const MOCK_CHOICES = [
+    { label: 'Follow the light', action: 'Follow the narrow path toward the flickering light in the distance', tone: 'exploration', risk: 'medium' },
+    { label: 'Search the wall', action: 'Search the crumbling wall for a hidden compartment', tone: 'cunning', risk: 'low' },
+    { label: 'Hail the figure', action: 'Call out to the shadowy figure watching from the ridge', tone: 'social', risk: 'medium' },
+    { label: 'Climb the tree', action: 'Climb the gnarled tree to get a better view of the land', tone: 'exploration', risk: 'low' },
+    { label: 'Light a fire', action: 'Light a small fire and wait to see who approaches', tone: 'caution', risk: 'medium' },
+    { label: 'Wade the stream', action: 'Wade across the shallow, glittering stream', tone: 'exploration', risk: 'low' },
+    { label: 'Force the door', action: 'Shoulder the heavy wooden door open with both hands', tone: 'combat', risk: 'medium' },
+    { label: 'Track the footprints', action: 'Follow the trail of muddy footprints into the undergrowth', tone: 'stealth', risk: 'medium' },
+    { label: 'Take the stone', action: 'Pick up the strange glowing stone lying in the grass', tone: 'exploration', risk: 'high' },
+    { label: 'Hide and watch', action: 'Hide behind the overturned cart and watch quietly', tone: 'stealth', risk: 'low' },
+    { label: 'Ring the bell', action: 'Ring the rusty bell hanging by the gate', tone: 'social', risk: 'high' },
+    { label: 'Charge the sentry', action: 'Draw your blade and charge the sentry by the stone marker', tone: 'combat', risk: 'high' },
+];
+
+// A choices response cut off inside its second choice, for the truncation failure modes.
+const MOCK_TRUNCATED_CHOICES = `{"choices": [${JSON.stringify(MOCK_CHOICES[6])}, {"label": "Run tow`;
+
+const MOCK_SCENE_DETAILS = {
+    moods: ['misty', 'sun-drenched', 'moonlit', 'stormy', 'quiet', 'golden-hour'],
+    landscapes: ['rolling hills', 'a ruined watchtower', 'a dense pine forest', 'a winding river valley', 'a cluttered courtyard'],
+    threats: ['a distant rumble of thunder', 'unseen eyes in the treeline', 'a loose rockslide above', 'nothing obvious yet'],
+    items: ['a brass key', 'a coil of rope', 'a half-eaten apple', 'a folded map', 'a lantern'],
+    companions: ['a curious fox', 'a wandering tinker', 'a talkative crow'],
+};
+
+/**
+ * Small deterministic PRNG (mulberry32) returning floats in [0, 1).
+ */
+const createSeededRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+const pickRandom = (random, items) => items[Math.floor(random() * items.length)];
+
+/**
+ * Draws a simple procedural landscape (sky, sun, hills, a figure and a caption) and returns base64 PNG data.
+ */
+const renderMockScene = (random, caption) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = 640;
+    canvas.height = 360;
+    const ctx = canvas.getContext('2d');
+    const hue = Math.floor(random() * 360);
+
+    const sky = ctx.createLinearGradient(0, 0, 0, canvas.height);
+    sky.addColorStop(0, `hsl(${hue}, 60%, 72%)`);
+    sky.addColorStop(1, `hsl(${(hue + 40) % 360}, 50%, 45%)`);
+    ctx.fillStyle = sky;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    ctx.fillStyle = `hsl(${(hue + 180) % 360}, 80%, 85%)`;
+    ctx.beginPath();
+    ctx.arc(80 + random() * 480, 40 + random() * 80, 20 + random() * 25, 0, Math.PI * 2);
+    ctx.fill();
+
+    for (let layer = 0; layer < 3; layer++) {
+        const baseY = 180 + layer * 50;
+        const amplitude = 15 + random() * 25;
+        const frequency = 0.005 + random() * 0.015;
+        const phase = random() * Math.PI * 2;
+        ctx.fillStyle = `hsl(${(hue + 90 + layer * 20) % 360}, 35%, ${40 - layer * 10}%)`;
+        ctx.beginPath();
+        ctx.moveTo(0, canvas.height);
+        for (let x = 0; x <= canvas.width; x += 10) {
+            ctx.lineTo(x, baseY + Math.sin(x * frequency + phase) * amplitude);
+        }
+        ctx.lineTo(canvas.width, canvas.height);
+        ctx.fill();
+    }
+
+    // The protagonist: a simple silhouette standing on the nearest hill.
+    const figureX = 100 + random() * 440;
+    ctx.fillStyle = '#111827';
+    ctx.beginPath();
+    ctx.arc(figureX, 262, 7, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillRect(figureX - 5, 270, 10, 26);
+
+    ctx.fillStyle = 'rgba(17, 24, 39, 0.75)';
+    ctx.fillRect(0, canvas.height - 34, canvas.width, 34);
+    ctx.fillStyle = '#F9FAFB';
+    ctx.font = '14px sans-serif';
+    ctx.fillText(`DEMO: ${caption}`.slice(0, 80), 12, canvas.height - 12);
+
+    return canvas.toDataURL('image/png').split(',')[1];
+};
+
+const mockJsonResponse = (body, status = 200, headers = {}) => new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers },
+});
+
+/**
+ * Replays a mock response body as a Gemini server-sent event stream, a few characters per event.
+ */
+const mockStreamResponse = (body, latencyMs, signal) => {
+    const candidate = body.candidates[0];
+    const text = candidate.content?.parts?.[0]?.text;
+    const pieces = text ? text.match(/[\s\S]{1,16}/g) : [null];
+    const events = pieces.map((piece, index) => ({
+        candidates: [{
+            ...candidate,
+            ...(piece !== null && { content: { role: 'model', parts: [{ text: piece }] } }),
+            finishReason: index === pieces.length - 1 ? candidate.finishReason : undefined,
+        }],
+        ...(index === pieces.length - 1 && { usageMetadata: body.usageMetadata }),
+    }));
+
+    const encoder = new TextEncoder();
+    const stream = new ReadableStream({
+        async start(controller) {
+            try {
+                for (const event of events) {
+                    await sleep(latencyMs / 10, signal);
+                    controller.enqueue(encoder.encode(`data: ${JSON.stringify(event)}\r\n\r\n`));
+                }
+                controller.close();
+            } catch (e) {
+                controller.error(e);
+            }
+        },
+    });
+    return new Response(stream, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+};
+
+const mockUsage = (random, isImageCall = false) => {
+    const promptTokenCount = 200 + Math.floor(random() * 800);
+    // A generated image is billed as a fixed block of output tokens.
+    const candidatesTokenCount = isImageCall ? 1290 : 50 + Math.floor(random() * 250);
+    return { promptTokenCount, candidatesTokenCount, totalTokenCount: promptTokenCount + candidatesTokenCount };
+};
+
+/**
+ * Creates a `fetch` replacement that answers Gemini generateContent requests offline.
+ */
+const createMockFetch = ({ latencyMs, failureMode, failureRate, seed }) => {
+    const random = createSeededRandom(seed);
+
+    return async (url, init) => {
+        const payload = JSON.parse(init.body);
+        await sleep(latencyMs * (0.5 + random()), init.signal);
+        // Successful streaming calls are answered as an event stream; errors stay plain JSON, as the real API does.
+        const isStreamCall = url.includes(':streamGenerateContent');
+        const reply = (body, status = 200, headers = {}) => isStreamCall && status === 200
+            ? mockStreamResponse(body, latencyMs, init.signal)
+            : mockJsonResponse(body, status, headers);
+
+        const isImageCall = payload.generationConfig?.responseModalities?.includes('IMAGE');
+        const isChoicesCall = payload.generationConfig?.responseMimeType === 'application/json';
+        const isDescribeCall = payload.contents.some(entry => entry.parts.some(part => part.inlineData));
+        const lastEntry = payload.contents[payload.contents.length - 1];
+        const lastText = lastEntry.parts.map(part => part.text).filter(Boolean).join(' ');
+
+        if (failureMode !== 'none' && random() < failureRate) {
+            const mode = failureMode === 'random'
+                ? pickRandom(random, ['http429', 'http500', 'safety', 'recitation', 'maxTokens', 'malformedJson'])
+                : failureMode;
+            if (mode === 'http429') {
+                return reply({ error: { code: 429, message: 'Resource has been exhausted (demo mode).', status: 'RESOURCE_EXHAUSTED' } }, 429, { 'Retry-After': '1' });
+            }
+            if (mode === 'http500') {
+                return reply({ error: { code: 500, message: 'Internal error encountered (demo mode).', status: 'INTERNAL' } }, 500);
+            }
+            if (mode === 'safety') {
+                return reply({
+                    candidates: [{
+                        finishReason: 'SAFETY',
+                        safetyRatings: [{ category: 'HARM_CATEGORY_DANGEROUS_CONTENT', probability: 'HIGH', blocked: true }],
+                    }],
+                    usageMetadata: mockUsage(random),
+                });
+            }
+            if (mode === 'recitation') {
+                return reply({ candidates: [{ finishReason: 'RECITATION', safetyRatings: [] }], usageMetadata: mockUsage(random) });
+            }
+            if (mode === 'maxTokens') {
+                // Choices keep the first complete entry, as a real truncated JSON response would.
+                const content = isChoicesCall ? { role: 'model', parts: [{ text: MOCK_TRUNCATED_CHOICES }] } : undefined;
+                return reply({ candidates: [{ content, finishReason: 'MAX_TOKENS', safetyRatings: [] }], usageMetadata: mockUsage(random) });
+            }
+            if (mode === 'malformedJson' && isChoicesCall) {
+                return reply({
+                    candidates: [{ content: { role: 'model', parts: [{ text: MOCK_TRUNCATED_CHOICES }] }, finishReason: 'STOP' }],
+                    usageMetadata: mockUsage(random),
+                });
+            }
+        }
+
+        let parts;
+        if (isImageCall) {
+            const caption = lastText.match(/(?:user's action|visual instruction): ([\s\S]*?)\. [^.]*--ar/)?.[1] || lastText;
+            parts = [{ inlineData: { mimeType: 'image/png', data: renderMockScene(random, caption) } }];
+        } else if (isChoicesCall) {
+            const pool = [...MOCK_CHOICES];
+            // The schema asks for an exact number of choices (see generateOptions).
+            const count = payload.generationConfig.responseSchema?.properties?.choices?.maxItems ?? DEFAULT_CHOICE_COUNT;
+            const choices = Array.from({ length: count }, () => pool.splice(Math.floor(random() * pool.length), 1)[0]);
+            // Game-state turns list the stats in the system prompt as "- Name: value (range ...)".
+            const statNames = [...(payload.systemInstruction?.parts?.[0]?.text || '').matchAll(/^- (.+?): -?[\d.]+ \(range/gm)].map(match => match[1]);
+            const stateChanges = statNames.length > 0 ? {
+                itemsGained: random() < 0.4 ? [pickRandom(random, MOCK_SCENE_DETAILS.items)] : [],
+                itemsLost: [],
+                statChanges: [{ stat: pickRandom(random, statNames), delta: pickRandom(random, [-2, -1, 1, 2]) }],
+                companionsJoined: random() < 0.15 ? [pickRandom(random, MOCK_SCENE_DETAILS.companions)] : [],
+                companionsLeft: [],
+                location: random() < 0.3 ? pickRandom(random, MOCK_SCENE_DETAILS.landscapes) : '',
+                questFlagsSet: [],
+                questFlagsCleared: [],
+            } : undefined;
+            // Narrated turns ask for a "narration" passage in the system prompt.
+            const narration = (payload.systemInstruction?.parts?.[0]?.text || '').includes('"narration"')
+                ? `Under a ${pickRandom(random, MOCK_SCENE_DETAILS.moods)} sky you press on toward ${pickRandom(random, MOCK_SCENE_DETAILS.landscapes)}. ` +
+                    `You notice ${pickRandom(random, MOCK_SCENE_DETAILS.threats)}. (Demo mode narration.)`
+                : undefined;
+            parts = [{ text: JSON.stringify({ narration, choices, stateChanges }) }];
+        } else if (!isDescribeCall && (payload.systemInstruction?.parts?.[0]?.text || '').includes('You translate')) {
+            // Translations for the image prompt keep the action as it is.
+            parts = [{ text: lastText.match(/"([^"]+)"/)?.[1] || lastText }];
+        } else if (!isDescribeCall) {
+            // Plain text requests are action rephrasings (safety recovery).
+            const action = lastText.match(/"([^"]+)"/)?.[1] || lastText;
+            parts = [{ text: `Carefully and peacefully, ${action.charAt(0).toLowerCase()}${action.slice(1)}` }];
+        } else if (lastText.includes('alt text')) {
+            parts = [{ text: `A lone cloaked traveler among ${pickRandom(random, MOCK_SCENE_DETAILS.landscapes)}. (Demo mode alt text.)` }];
+        } else {
+            const { moods, landscapes, threats } = MOCK_SCENE_DETAILS;
+            parts = [{
+                text: `A ${pickRandom(random, moods)} scene set among ${pickRandom(random, landscapes)}. ` +
+                    `A lone protagonist in a travel-worn cloak stands in the foreground, small against the wide landscape. ` +
+                    `The light is soft and the colors are muted. Potential threats: ${pickRandom(random, threats)}. (Demo mode description.)`,
+            }];
+        }
+
+        return reply({
+            candidates: [{ content: { role: 'model', parts }, finishReason: 'STOP', safetyRatings: [] }],
+            usageMetadata: mockUsage(random, isImageCall),
+        });
+    };
+};
+
+/**
+ * The demo-mode provider: the Gemini provider wired to the offline mock `fetch`.
+ */
+const createMockProvider = (mockSettings, requestOptions = {}) => createGeminiProvider({
+    ...requestOptions,
+    apiKey: 'demo',
+    textModel: MOCK_TEXT_MODEL,
+    imageModel: MOCK_IMAGE_MODEL,
+    baseUrl: 'mock://gemini',
+    fetchImpl: createMockFetch({ ...DEFAULT_MOCK_SETTINGS, ...mockSettings }),
+});
+
+const MODEL_PROVIDERS = {
+    gemini: {
+        label: 'Google Gemini',
+        create: createGeminiProvider,
+        defaults: { textModel: TEXT_MODEL, imageModel: IMAGE_MODEL, baseUrl: 'https://generativelanguage.googleapis.com/v1beta' },
+    },
+    openai: {
+        label: 'OpenAI-compatible',
+        create: createOpenAICompatibleProvider,
+        defaults: { textModel: 'gpt-4o-mini', imageModel: 'gpt-image-1', baseUrl: 'https://api.openai.com/v1' },
+    },
+};
+
+// Re-describes the latest image so choices stay grounded in what the picture actually shows.
+// `everyNTurns` of 0 turns the periodic check off; `mode` is 'merge' (update the previous
+// description) or 'replace' (describe from scratch).
+const DEFAULT_REGROUNDING = { everyNTurns: 3, afterRefinement: true, mode: 'merge' };
+
+// How long the narrated passage of each turn is (see the 'choices.narration' prompt template).
+// `label` is a UI string; `length` goes into the prompt.
+const NARRATION_LENGTHS = {
+    terse: { label: 'narrationTerse', length: '1-2 short sentences' },
+    normal: { label: 'narrationNormal', length: '3-4 sentences' },
+    rich: { label: 'narrationRich', length: 'one full paragraph of 5-7 sentences' },
+};
+const DEFAULT_NARRATION_LENGTH = 'normal';
+
+// How many choices each turn offers (the number keys pick the first nine).
+const DEFAULT_CHOICE_COUNT = 3;
+const MIN_CHOICE_COUNT = 2;
+const MAX_CHOICE_COUNT = 6;
+
+const PROVIDER_SETTINGS_STORAGE_KEY = 'cyob-provider-settings';
+// `demoMode` swaps in the offline mock provider without forgetting the real provider's settings.
+const DEFAULT_PROVIDER_SETTINGS = {
+    provider: 'gemini',
+    apiKey,
+    ...MODEL_PROVIDERS.gemini.defaults,
+    demoMode: false,
+    mock: DEFAULT_MOCK_SETTINGS,
+    historyBudget: DEFAULT_HISTORY_BUDGET,
+    regrounding: DEFAULT_REGROUNDING,
+    timeouts: DEFAULT_REQUEST_TIMEOUTS,
+    narrationLength: DEFAULT_NARRATION_LENGTH,
+    choiceCount: DEFAULT_CHOICE_COUNT,
+    prices: DEFAULT_MODEL_PRICES,
+    budget: DEFAULT_SESSION_BUDGET,
+    // One extra vision call per new image writes its alt text for screen readers (see describeSceneForAltText)
+    sceneAltText: true,
+};
+
+/**
+ * Reads the provider settings saved in this browser, falling back to the built-in Gemini defaults.
+ */
+const loadProviderSettings = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PROVIDER_SETTINGS_STORAGE_KEY));
+        if (saved && MODEL_PROVIDERS[saved.provider]) {
+            return {
+                ...DEFAULT_PROVIDER_SETTINGS,
+                ...MODEL_PROVIDERS[saved.provider].defaults,
+                ...saved,
+                mock: { ...DEFAULT_MOCK_SETTINGS, ...saved.mock },
+                historyBudget: { ...DEFAULT_HISTORY_BUDGET, ...saved.historyBudget },
+                regrounding: { ...DEFAULT_REGROUNDING, ...saved.regrounding },
+                timeouts: { ...DEFAULT_REQUEST_TIMEOUTS, ...saved.timeouts },
+                narrationLength: NARRATION_LENGTHS[saved.narrationLength] ? saved.narrationLength : DEFAULT_NARRATION_LENGTH,
+                choiceCount: Number.isInteger(saved.choiceCount) && saved.choiceCount >= MIN_CHOICE_COUNT && saved.choiceCount <= MAX_CHOICE_COUNT
+                    ? saved.choiceCount : DEFAULT_CHOICE_COUNT,
+                prices: { ...DEFAULT_MODEL_PRICES, ...saved.prices },
+                budget: { ...DEFAULT_SESSION_BUDGET, ...saved.budget },
+            };
+        }
+    } catch (e) {
+        console.warn('Ignoring unreadable provider settings:', e);
+    }
+    return DEFAULT_PROVIDER_SETTINGS;
+};
+
+const saveProviderSettings = (settings) => {
+    try {
+        localStorage.setItem(PROVIDER_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (e) {
+        console.warn('Could not persist provider settings:', e);
+    }
+};
+
+const createModelProvider = (settings, { signal, onRetry, onUsage } = {}) => settings.demoMode
+    ? createMockProvider(settings.mock, { timeouts: settings.timeouts, signal, onRetry, onUsage })
+    : (MODEL_PROVIDERS[settings.provider] || MODEL_PROVIDERS.gemini).create({ ...settings, signal, onRetry, onUsage });
+
+// --- Request Inspector ---
+// Every provider call is recorded (request, response or error, retries, timing) for the Debug Console,
+// where any call can be replayed as-is or with an edited prompt. Replays only add log entries; they
+// never touch the adventure. The log can be downloaded as a bug-report bundle.
+//
+// call = { id, at, operation, request, response, status: 'ok' | 'blocked' | 'cancelled' | 'error',
+//          error, httpStatus, retries: [{ attempt, delayMs, message }], durationMs, replayOf,
+//          templates }   // the prompt templates the request was rendered from (see Prompt Templates)
+
+// Calls kept in memory; they share image data with the story, so only the envelopes add up.
+const MAX_CALL_LOG_ENTRIES = 50;
+
+const DEBUG_BUNDLE_FORMAT = 'cyob-debug-bundle';
+const BUNDLE_THUMBNAIL_WIDTH = 128;
+
+/**
+ * Wraps a provider so every call is reported to `onCall` when it settles. Calls take an optional
+ * second argument `{ replayOf }` to mark a replay of a logged call.
+ */
+const createInspectedProvider = (provider, onCall) => Object.fromEntries(PROVIDER_OPERATIONS.map(operation => [operation, async (request, { replayOf = null } = {}) => {
+    const retries = [];
+    const { onText, onRetry, templates = [], ...loggedRequest } = request;
+    const entry = { id: createId('call'), at: Date.now(), operation, request: loggedRequest, replayOf, retries, templates };
+    const start = performance.now();
+    try {
+        const result = await provider[operation]({
+            ...request,
+            onRetry: combineRetryHandlers(onRetry, ({ attempt, delayMs, error }) => retries.push({ attempt, delayMs, message: error.message })),
+        });
+        onCall({ ...entry, status: 'ok', response: result.raw, durationMs: performance.now() - start });
+        return result;
+    } catch (err) {
+        onCall({
+            ...entry,
+            status: isAbortError(err) ? 'cancelled' : err instanceof GenerationBlockedError ? 'blocked' : 'error',
+            error: err.message,
+            httpStatus: err instanceof HttpError ? err.status : null,
+            durationMs: performance.now() - start,
+        });
+        throw err;
+    }
+}]));
+
+/**
+ * The prompt text a replay can edit: the final user text of an image request, the describe prompt,
+ * or the system prompt of a text request.
+ */
+const getEditablePrompt = (operation, request) => {
+    if (operation === 'describeImage') return request.prompt;
+    if (operation === 'generateImage') {
+        return request.contents[request.contents.length - 1].parts.filter(part => typeof part.text === 'string').pop()?.text ?? '';
+    }
+    return request.systemPrompt;
+};
+
+/**
+ * A copy of a logged request with its editable prompt replaced.
+ */
+const withEditedPrompt = (operation, request, prompt) => {
+    if (operation === 'describeImage') return { ...request, prompt };
+    if (operation === 'generateImage') {
+        const last = request.contents[request.contents.length - 1];
+        const textIndex = last.parts.map(part => typeof part.text === 'string').lastIndexOf(true);
+        const parts = last.parts.map((part, index) => index === textIndex ? { text: prompt } : part);
+        return { ...request, contents: [...request.contents.slice(0, -1), { ...last, parts }] };
+    }
+    return { ...request, systemPrompt: prompt };
+};
+
+/**
+ * Maps every image in a request or response (Gemini `inlineData`, OpenAI `b64_json`) through `mapImage`.
+ */
+const mapPayloadImages = (value, mapImage) => {
+    if (Array.isArray(value)) return value.map(item => mapPayloadImages(item, mapImage));
+    if (!value || typeof value !== 'object') return value;
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        if (key === 'inlineData' && typeof item?.data === 'string') copy[key] = mapImage(item);
+        else if (key === 'b64_json' && typeof item === 'string') copy[key] = mapImage({ mimeType: detectImageMimeType(item) || 'image/png', data: item });
+        else copy[key] = mapPayloadImages(item, mapImage);
+    }
+    return copy;
+};
+
+/**
+ * A request or response as readable JSON, with each image shortened to its type and size.
+ */
+const formatPayloadForDisplay = (value) => JSON.stringify(
+    mapPayloadImages(value, ({ mimeType, data }) => `[${mimeType} image, ${formatBytes(data.length * 0.75)}]`),
+    null, 2
+);
+
+/**
+ * Every image in a request or response, in order, for the inspector's thumbnail strip.
+ */
+const collectPayloadImages = (value) => {
+    const images = [];
+    mapPayloadImages(value, (image) => images.push(image));
+    return images;
+};
+
+/**
+ * Builds the bug-report bundle: the call log with images shrunk to thumbnails, the retry log, the
+ * session's prompt template overrides, and the settings without the API key.
+ */
+const buildDebugBundle = async ({ calls, retryLog, settings, stepTimings, promptOverrides }) => {
+    const thumbnails = new Map();
+    const thumbnail = async ({ data }) => {
+        if (!thumbnails.has(data)) thumbnails.set(data, await resizeBase64Image(data, BUNDLE_THUMBNAIL_WIDTH, 'image/jpeg'));
+        return { mimeType: 'image/jpeg', data: thumbnails.get(data), thumbnail: true };
+    };
+    // Resize every distinct image first, then substitute synchronously.
+    await Promise.all(calls.flatMap(call => [...collectPayloadImages(call.request), ...collectPayloadImages(call.response)]).map(thumbnail));
+    const shrink = ({ data }) => ({ mimeType: 'image/jpeg', data: thumbnails.get(data), thumbnail: true });
+
+    const { apiKey: _apiKey, ...safeSettings } = settings;
+    return {
+        format: DEBUG_BUNDLE_FORMAT,
+        exportedAt: new Date().toISOString(),
+        userAgent: navigator.userAgent,
+        settings: safeSettings,
+        stepTimings,
+        promptOverrides,
+        retryLog,
+        calls: calls.map(call => ({ ...call, request: mapPayloadImages(call.request, shrink), response: mapPayloadImages(call.response, shrink) })),
+    };
+};
+
+
+// --- Prompt Templates ---
+// Every prompt the app writes is rendered from a named template with `{variable}` slots. Each
+// template has an id and a version: bump the version whenever its built-in text changes. Every call
+// records the refs of the templates it used ({ id, version, revision? }) in its request, and each turn
+// records them in the story tree, so a session says exactly which wording produced it.
+//
+// A session can override any template (Prompt Templates panel). Overrides are kept as an
+// append-only list of revisions per template, so earlier revisions stay reproducible:
+//
+// promptOverrides = { [templateId]: [{ revision, text, basedOnVersion, createdAt }] }
+//
+// The latest revision is in effect; a revision with `text: null` goes back to the built-in text.
+// A custom theme's choice system prompt is the theme's own text rather than a template: calls record it
+// as { id: 'choices.system.custom', version: 1, hash } with a hash of that text.
+
+const PROMPT_TEMPLATES = {
+    // The themes' choice system prompts. The history's scene descriptions (from the vision model) are the sole visual grounding.
+    'choices.system.Fantasy': {
+        version: 1,
+        description: 'The system prompt of every choices call in the Fantasy theme.',
+        variables: ['count'],
+        text: `You are a creative co-author for an epic quest. Look back through the history to find the most recent detailed scene description (provided by the Vision Model on the first turn). Use this as your primary grounding for the visual state. Your task is to generate the next {count} distinct action options for the user. These options MUST: 1) Be a concrete, descriptive action the protagonist is taking; 2) Be highly visually descriptive and distinct; 3) Drive an epic quest or high-stakes confrontation, focusing on magic, combat, or ancient lore. Your response MUST be a JSON object containing one field: "choices", an array of choice objects as described below.`,
+    },
+    'choices.system.Comedy': {
+        version: 1,
+        description: 'The system prompt of every choices call in the Comedy theme.',
+        variables: ['count'],
+        text: `You are a hilarious, chaotic co-author for a comedy adventure. Look back through the history to find the most recent detailed scene description (provided by the Vision Model on the first turn). Use this as your primary grounding for the visual state. Your task is to generate the next {count} distinct action options for the user. These options MUST: 1) Be a concrete, descriptive action the protagonist is taking; 2) Be highly visually descriptive and distinct; 3) Prioritize physical comedy, absurd/unlikely actions, or bizarre character interaction to create chaos and plot divergence. Your response MUST be a JSON object containing one field: "choices", an array of choice objects as described below.`,
+    },
+    'choices.system.Domestic': {
+        version: 1,
+        description: 'The system prompt of every choices call in the Domestic theme.',
+        variables: ['count'],
+        text: `You are a mindful, grounded co-author for a domestic adventure. Look back through the history to find the most recent detailed scene description (provided by the Vision Model on the first turn). Use this as your primary grounding for the visual state. Your task is to generate the next {count} distinct action options for the user. These options MUST: 1) Be a concrete, descriptive action the protagonist is taking; 2) Be highly visually descriptive and distinct; 3) Focus on low-stakes, relatable, simple physical tasks (e.g., cleaning, minor repairs, food prep) or simple decision points. Your response MUST be a JSON object containing one field: "choices", an array of choice objects as described below.`,
+    },
+    'choices.format': {
+        version: 1,
+        description: 'Describes the choice objects and how many to offer; follows the theme\'s system prompt on every choices call.',
+        variables: ['count', 'tones'],
+        text: `Offer exactly {count} choices. Each choice is an object with "label": the choice as a short button caption of 2-5 words; "action": the full action the protagonist takes, as one descriptive sentence; "tone": one of {tones}; and "risk": "low", "medium" or "high", how likely the action is to go badly for the protagonist. Vary the tones and risks where the scene allows it.`,
+    },
+    'choices.reroll': {
+        version: 1,
+        description: 'Asks for a new set of choices for the same moment, when the player rerolls the choices.',
+        variables: ['count'],
+        text: `Nothing has happened since your last reply: the player would like other options for this same moment. Offer {count} new choices that differ clearly from the ones you just offered.`,
+    },
+    'choices.narration': {
+        version: 1,
+        description: 'Asks the choices model for a passage of story prose along with the choices, in the theme\'s tone.',
+        variables: ['length'],
+        text: `Your JSON object MUST also include "narration": {length} of story prose in the second person, in the tone of this story, telling what happens as a direct result of the player's latest action (on the first turn, setting the opening scene). Don't repeat the action word for word and don't list the choices; the choices should follow naturally from the narration.`,
+    },
+    'choices.offScript': {
+        version: 1,
+        description: 'Added after a typed action, so the choices follow from it rather than from the skipped choices.',
+        variables: [],
+        text: `The player's latest turn is their own typed action rather than one of the choices you offered. Treat it as what actually happened: ground the next choices on the direct consequences of that action and the scene it leaves behind, not on the choices that were skipped.`,
+    },
+    'choices.gameState': {
+        version: 1,
+        description: 'Asks for the state changes of the latest action, given the current game state.',
+        variables: ['gameState'],
+        text: `Besides "choices", your JSON object MUST include "stateChanges": how the player's latest action changed the game state below. List items gained or lost, stat changes as small whole-number deltas (only for the stats listed), companions who joined or left, the new location (an empty string if it didn't change), and quest flags set or cleared. Use empty lists when nothing changed. Keep the choices consistent with the state, e.g. only use items the player is carrying.\n\nCurrent game state:\n{gameState}`,
+    },
+    'choices.language': {
+        version: 2,
+        description: 'The language of the story text, for adventures not told in English.',
+        variables: ['language'],
+        text: `Write all story text (narration, choice labels and actions, and game state entries) in {language}. Keep the JSON keys, tones and risk levels in English and use any stat names exactly as listed.`,
+    },
+    'image.advance': {
+        version: 1,
+        description: 'The image prompt of a narrative step.',
+        variables: ['theme', 'action', 'style'],
+        text: `{theme}. Advance the scene in the previous image (provided in history) based on the user's action: {action}. {style} --ar 16:9`,
+    },
+    'image.refine': {
+        version: 1,
+        description: 'The image prompt of a refinement.',
+        variables: ['theme', 'action', 'style'],
+        text: `{theme}. Modify the scene in the previous image (provided in history) using this visual instruction: {action}. {style} --ar 16:9`,
+    },
+    'image.characterReferences': {
+        version: 1,
+        description: 'Introduces the pinned character reference images.',
+        variables: [],
+        text: `Character references: whenever these characters appear in the scene, keep their face, build, hair, clothing and colors consistent with their reference image. The references are not the scene to edit.`,
+    },
+    'describe.opening': {
+        version: 1,
+        description: 'Describes the opening image; the description grounds the narrative.',
+        variables: [],
+        text: `This is the initial scene description. Analyze the image and provide a single, detailed paragraph that describes the protagonist(s) and the major visual elements (objects, landscapes, atmosphere, or potential threats). This description is the sole visual seed for the continuing narrative thread.`,
+    },
+    'describe.merge': {
+        version: 1,
+        description: 'Re-grounding that updates the previous scene description.',
+        variables: ['previousDescription'],
+        text: `This is the latest scene of an ongoing adventure. The previous scene description was:\n"{previousDescription}"\nCompare it with the image and write a single, updated, detailed paragraph: keep details that still hold, change what has changed, drop anything no longer visible, and add new protagonists, objects, landscapes, atmosphere or threats. This replaces the previous description as the visual ground truth for the narrative.`,
+    },
+    'describe.replace': {
+        version: 1,
+        description: 'Re-grounding that describes the scene from scratch.',
+        variables: [],
+        text: `This is the latest scene of an ongoing adventure. Analyze the image and provide a single, detailed paragraph that describes the protagonist(s) and the major visual elements (objects, landscapes, atmosphere, or potential threats) exactly as they appear now. This replaces any earlier description as the visual ground truth for the narrative.`,
+    },
+    'describe.altText': {
+        version: 1,
+        description: 'The one-sentence alt text of each scene, for screen readers.',
+        variables: [],
+        text: `Write alt text for this illustration from an interactive story, for a player using a screen reader. One sentence, at most 150 characters: the main figures, what they are doing and the setting. Don't start with "An image of" and don't mention the art style. Reply with the alt text only.`,
+    },
+    'describe.language': {
+        version: 1,
+        description: 'Added to vision prompts for adventures not told in English.',
+        variables: ['language'],
+        text: `Write your reply in {language}.`,
+    },
+    'rephrase.system': {
+        version: 1,
+        description: 'System prompt for rewording a blocked action.',
+        variables: [],
+        text: `You rewrite player actions for an illustrated interactive story so they can be safely illustrated.`,
+    },
+    'rephrase.request': {
+        version: 1,
+        description: 'Asks for a safe rewording of a blocked action.',
+        variables: ['theme', 'reason', 'action'],
+        text: `Story setting: {theme}\nThis player action could not be illustrated because {reason}:\n"{action}"\nRewrite it as one short action that keeps the player's intent and the story moving, but avoids graphic, explicit or copyrighted content. Reply with the rewritten action only, in the same language as the original.`,
+    },
+    'translate.system': {
+        version: 1,
+        description: 'System prompt for translating actions into English for the image model.',
+        variables: [],
+        text: `You translate player actions into English for an image generation model. Keep names as they are and keep the meaning exact.`,
+    },
+    'translate.request': {
+        version: 1,
+        description: 'Asks for the English translation of an action or refinement.',
+        variables: ['language', 'text'],
+        text: `Translate this {language} action from an illustrated interactive story into English:\n"{text}"\nReply with the translation only.`,
+    },
+};
+
+/**
+ * The wording in effect for a template: the session's latest override, or the built-in text.
+ */
+const resolvePromptTemplate = (id, overrides = {}) => {
+    const template = PROMPT_TEMPLATES[id];
+    const revisions = overrides[id] || [];
+    const latest = revisions[revisions.length - 1];
+    return latest && latest.text !== null
+        ? { text: latest.text, ref: { id, version: template.version, revision: latest.revision } }
+        : { text: template.text, ref: { id, version: template.version } };
+};
+
+/**
+ * Fills a template's `{variable}` slots; placeholders without a value are left as they are.
+ */
+const fillTemplate = (text, variables) => text.replace(/\{(\w+)\}/g, (match, name) => variables[name] ?? match);
+
+/**
+ * Renders prompts with a session's overrides applied. `render(id, variables)` returns `{ text, ref }`.
+ */
+const createPromptRenderer = (overrides = {}) => ({
+    render: (id, variables = {}) => {
+        const { text, ref } = resolvePromptTemplate(id, overrides);
+        return { text: fillTemplate(text, variables), ref };
+    },
+});
+
+const DEFAULT_PROMPTS = createPromptRenderer();
+
+const CUSTOM_SYSTEM_PROMPT_ID = 'choices.system.custom';
+
+const getChoiceSystemTemplateId = (builtInTheme) => `choices.system.${builtInTheme}`;
+
+/**
+ * Renders a theme's choice system prompt: a built-in theme's template, or a custom theme's own text
+ * (with the same variables), recorded by a hash of that text.
+ */
+const renderChoiceSystemPrompt = (themeDefinition, prompts, variables) => themeDefinition.systemPromptTemplate
+    ? prompts.render(themeDefinition.systemPromptTemplate, variables)
+    : {
+        text: fillTemplate(themeDefinition.systemPrompt, variables),
+        ref: { id: CUSTOM_SYSTEM_PROMPT_ID, version: 1, hash: hashString(themeDefinition.systemPrompt) },
+    };
+
+/**
+ * Adds a revision to a template's overrides; `text` null goes back to the built-in text.
+ */
+const addPromptOverride = (overrides, id, text) => {
+    const revisions = overrides[id] || [];
+    const revision = { revision: revisions.length + 1, text, basedOnVersion: PROMPT_TEMPLATES[id].version, createdAt: Date.now() };
+    return { ...overrides, [id]: [...revisions, revision] };
+};
+
+/**
+ * Merges lists of template refs, dropping duplicates.
+ */
+const mergeTemplateRefs = (...lists) => {
+    const refs = new Map();
+    lists.flat().filter(Boolean).forEach(ref => refs.set(formatTemplateRef(ref), ref));
+    return [...refs.values()];
+};
+
+const formatTemplateRef = ({ id, version, revision, hash }) => `${id} v${version}${revision ? ` r${revision}` : ''}${hash ? ` #${hash}` : ''}`;
+
+const isValidTemplateRefs = (refs) => Array.isArray(refs) && refs.every(ref =>
+    typeof ref?.id === 'string' && Number.isInteger(ref.version) && (ref.revision === undefined || Number.isInteger(ref.revision)) &&
+    (ref.hash === undefined || typeof ref.hash === 'string'));
+
+/**
+ * Checks a session's template overrides, throwing a player-readable Error on the first problem.
+ */
+const validatePromptOverrides = (overrides) => {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        throw new Error("The session's prompt template overrides are malformed.");
+    }
+    for (const [id, revisions] of Object.entries(overrides)) {
+        if (!PROMPT_TEMPLATES[id]) {
+            throw new Error(`The session overrides an unknown prompt template "${id}".`);
+        }
+        if (!Array.isArray(revisions) || !revisions.every((entry, index) => entry?.revision === index + 1 &&
+            (entry.text === null || typeof entry.text === 'string') && Number.isInteger(entry.basedOnVersion))) {
+            throw new Error(`The overrides of prompt template "${id}" are malformed.`);
+        }
+    }
+};
+
+// --- Choices ---
+// Each turn offers a few choices (the count is a provider setting). The choices model tags every
+// choice with a tone and a risk level; the player can filter the list by both, or reroll the choices
+// of the latest turn without touching its image. Choices from older sessions have no tags.
+//
+// choice = { label, action, tone, risk }   // `action` is what the turn is played with; tone and risk may be null
+
+// Tone tags (the UI string of each).
+const CHOICE_TONES = {
+    combat: 'toneCombat',
+    stealth: 'toneStealth',
+    social: 'toneSocial',
+    exploration: 'toneExploration',
+    cunning: 'toneCunning',
+    caution: 'toneCaution',
+};
+
+// Risk levels, lowest first.
+const CHOICE_RISKS = {
+    low: { label: 'riskLow', rank: 0, className: 'bg-green-800 text-green-100' },
+    medium: { label: 'riskMedium', rank: 1, className: 'bg-yellow-700 text-yellow-100' },
+    high: { label: 'riskHigh', rank: 2, className: 'bg-red-800 text-red-100' },
+};
+
+// `tone` null shows every tone; `maxRisk` null shows every risk level.
+const DEFAULT_CHOICE_FILTER = { tone: null, maxRisk: null };
+
+/**
+ * Turns a choice from the model (or a plain-string choice from an older session) into a choice
+ * object, or null when it has no action. Unknown tones and risk levels become null.
+ */
+const normalizeChoice = (value) => {
+    if (typeof value === 'string') {
+        return value.trim() ? { label: value.trim(), action: value.trim(), tone: null, risk: null } : null;
+    }
+    const action = typeof value?.action === 'string' ? value.action.trim() : '';
+    if (!action) return null;
+    return {
+        label: isNonEmptyString(value.label) ? value.label.trim() : action,
+        action,
+        tone: CHOICE_TONES[value.tone] ? value.tone : null,
+        risk: CHOICE_RISKS[value.risk] ? value.risk : null,
+    };
+};
+
+const isValidChoice = (choice) => isNonEmptyString(choice?.label) && isNonEmptyString(choice.action) &&
+    (choice.tone === null || !!CHOICE_TONES[choice.tone]) && (choice.risk === null || !!CHOICE_RISKS[choice.risk]);
+
+/**
+ * Whether a choice passes the player's filter. Untagged choices always pass: there's nothing to filter them by.
+ */
+const matchesChoiceFilter = (choice, { tone, maxRisk }) =>
+    (!tone || !choice.tone || choice.tone === tone) &&
+    (!maxRisk || !choice.risk || CHOICE_RISKS[choice.risk].rank <= CHOICE_RISKS[maxRisk].rank);
+
+// --- Generation Steps ---
+
+// Marks a typed (off-script) action in the narrative thread, so the options model can tell it apart from a picked choice.
+const PLAYER_AUTHORED_ACTION_PREFIX = "Player's own action (typed by the player, not one of the offered choices):";
+
+// The opening action recorded when the player starts from an uploaded image without a premise.
+const UPLOADED_SCENE_PROMPT = "The adventure begins in this scene.";
+
+// Response schema for one choice (see Choices).
+const CHOICE_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        "label": { "type": "STRING" },
+        "action": { "type": "STRING" },
+        "tone": { "type": "STRING", "enum": Object.keys(CHOICE_TONES) },
+        "risk": { "type": "STRING", "enum": Object.keys(CHOICE_RISKS) }
+    },
+    "required": ["label", "action", "tone", "risk"],
+    // The risk comes last, so a streamed choice is complete once it has one.
+    "propertyOrdering": ["label", "action", "tone", "risk"]
+};
+
+// Response schema for one turn's `stateChanges` (see applyStateChanges).
+const STATE_CHANGES_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        "itemsGained": { "type": "ARRAY", "items": { "type": "STRING" } },
+        "itemsLost": { "type": "ARRAY", "items": { "type": "STRING" } },
+        "statChanges": {
+            "type": "ARRAY",
+            "items": {
+                "type": "OBJECT",
+                "properties": { "stat": { "type": "STRING" }, "delta": { "type": "NUMBER" } },
+                "required": ["stat", "delta"]
+            }
+        },
+        "companionsJoined": { "type": "ARRAY", "items": { "type": "STRING" } },
+        "companionsLeft": { "type": "ARRAY", "items": { "type": "STRING" } },
+        "location": { "type": "STRING" },
+        "questFlagsSet": { "type": "ARRAY", "items": { "type": "STRING" } },
+        "questFlagsCleared": { "type": "ARRAY", "items": { "type": "STRING" } }
+    },
+    "propertyOrdering": ["itemsGained", "itemsLost", "statChanges", "companionsJoined", "companionsLeft", "location", "questFlagsSet", "questFlagsCleared"]
+};
+
+/**
+ * Parses JSON that may be cut off part-way, e.g. a response that is still streaming in.
+ * Unfinished objects and arrays come back with the members received so far; an unfinished
+ * string, number or literal is left out. Returns undefined if no value has started yet.
+ */
+const parsePartialJson = (text) => {
+    const INCOMPLETE = undefined;
+    let i = 0;
+    const skipWhitespace = () => {
+        while (i < text.length && /\s/.test(text[i])) i++;
+    };
+    const parseString = () => {
+        let end = i + 1;
+        while (end < text.length && text[end] !== '"') end += text[end] === '\\' ? 2 : 1;
+        let value = INCOMPLETE;
+        try {
+            if (end < text.length) value = JSON.parse(text.slice(i, end + 1));
+        } catch (e) {
+            // A malformed escape sequence: treat the string as unfinished.
+        }
+        i = value === INCOMPLETE ? text.length : end + 1;
+        return value;
+    };
+    const parseContainer = (close, readMember) => {
+        const container = close === '}' ? {} : [];
+        i++;
+        for (;;) {
+            skipWhitespace();
+            if (i >= text.length) return container;
+            if (text[i] === close) {
+                i++;
+                return container;
+            }
+            if (text[i] === ',') {
+                i++;
+                continue;
+            }
+            if (!readMember(container)) {
+                // Cut off (or malformed) inside a member: stop here and keep what was complete.
+                i = text.length;
+                return container;
+            }
+        }
+    };
+    const parseValue = () => {
+        skipWhitespace();
+        if (i >= text.length) return INCOMPLETE;
+        if (text[i] === '"') return parseString();
+        if (text[i] === '{') {
+            return parseContainer('}', (object) => {
+                if (text[i] !== '"') return false;
+                const key = parseString();
+                skipWhitespace();
+                if (key === INCOMPLETE || text[i] !== ':') return false;
+                i++;
+                const value = parseValue();
+                if (value === INCOMPLETE) return false;
+                object[key] = value;
+                return true;
+            });
+        }
+        if (text[i] === '[') {
+            return parseContainer(']', (array) => {
+                const value = parseValue();
+                if (value === INCOMPLETE) return false;
+                array.push(value);
+                return true;
+            });
+        }
+        // A number or literal running to the end of the text may still be growing.
+        const literal = /^(?:-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)/.exec(text.slice(i))?.[0];
+        if (!literal || i + literal.length >= text.length) {
+            i = text.length;
+            return INCOMPLETE;
+        }
+        i += literal.length;
+        return JSON.parse(literal);
+    };
+
+    // Models sometimes wrap JSON in a markdown code fence.
+    const start = text.search(/[[{]/);
+    if (start === -1) return undefined;
+    text = text.slice(start);
+    return parseValue();
+};
+
+/**
+ * Generates `choiceCount` choices using the light narrative history, returning choices and duration.
+ * `isOffScript` is set when the latest action was typed by the player.
+ * `onPartialChoices(choices)`, when given, streams the response and reports the choices completed so far.
+ * With a `gameState`, the model also returns the `stateChanges` caused by the latest action.
+ */
+const generateOptions = async (provider, narrativeHistory, themeDefinition, isOffScript = false, onPartialChoices = null, gameState = null, narrationLength = null, onNarration = null, language = DEFAULT_LANGUAGE, prompts = DEFAULT_PROMPTS, choiceCount = DEFAULT_CHOICE_COUNT) => {
+    const start = performance.now(); 
+    
+    const instructions = [
+        prompts.render('choices.format', { count: choiceCount, tones: Object.keys(CHOICE_TONES).map(tone => `"${tone}"`).join(', ') }),
+        ...(narrationLength ? [prompts.render('choices.narration', { length: NARRATION_LENGTHS[narrationLength].length })] : []),
+        ...(isOffScript ? [prompts.render('choices.offScript')] : []),
+        ...(gameState ? [prompts.render('choices.gameState', { gameState: describeGameState(gameState, themeDefinition.stats) })] : []),
+        ...(language !== DEFAULT_LANGUAGE ? [prompts.render('choices.language', { language: LANGUAGES[language].name })] : []),
+    ];
+    const system = renderChoiceSystemPrompt(themeDefinition, prompts, { count: choiceCount });
+    const dynamicSystemPrompt = [system.text, ...instructions.map(instruction => instruction.text)].join('\n\n');
+    const templates = [system.ref, ...instructions.map(instruction => instruction.ref)];
+
+    const request = {
+        contents: narrativeHistory, 
+        systemPrompt: dynamicSystemPrompt,
+        templates,
+        responseSchema: {
+            type: "OBJECT",
+            properties: {
+                ...(narrationLength && { "narration": { "type": "STRING" } }),
+                "choices": {
+                    "type": "ARRAY",
+                    "items": CHOICE_SCHEMA,
+                    "minItems": choiceCount,
+                    "maxItems": choiceCount,
+                    "description": `Exactly ${choiceCount} distinct, compelling, and descriptive choices.`
+                },
+                ...(gameState && { "stateChanges": STATE_CHANGES_SCHEMA })
+            },
+            // The narration leads so the choices follow from it; choices then stream in before the state changes.
+            "propertyOrdering": [...(narrationLength ? ["narration"] : []), "choices", ...(gameState ? ["stateChanges"] : [])]
+        }
+    };
+
+    // Streaming reports the narration once it is complete, and each choice as soon as its risk (its last field) arrives.
+    const isCompleteChoice = (choice) => typeof choice === 'string' || typeof choice?.risk === 'string';
+    let streamedCount = 0;
+    let narrationShown = false;
+    const onText = (textSoFar) => {
+        const partial = parsePartialJson(textSoFar);
+        if (onNarration && !narrationShown && typeof partial?.narration === 'string') {
+            narrationShown = true;
+            onNarration(partial.narration);
+        }
+        const completedChoices = Array.isArray(partial?.choices)
+            ? partial.choices.filter(isCompleteChoice).map(normalizeChoice).filter(Boolean)
+            : [];
+        if (completedChoices.length > streamedCount) {
+            streamedCount = completedChoices.length;
+            onPartialChoices(completedChoices);
+        }
+    };
+    // A retried attempt streams again from the start, so whatever the failed attempt showed is withdrawn.
+    const onRetry = () => {
+        streamedCount = 0;
+        onPartialChoices([]);
+        if (onNarration && narrationShown) {
+            narrationShown = false;
+            onNarration('');
+        }
+    };
+    const { text: jsonText, finishReason } = onPartialChoices && provider.streamText
+        ? await provider.streamText({ ...request, onText, onRetry })
+        : await provider.generateText(request);
+
+    let parsed;
+    try {
+        // Remove markdown triple backticks and 'json' tag if present
+        const cleanJsonText = jsonText.replace(/```json\n?|```/g, '').trim();
+        parsed = JSON.parse(cleanJsonText);
+    } catch (e) {
+        console.error("Failed to parse JSON from model:", jsonText, e);
+        if (BLOCKING_FINISH_REASONS[finishReason] !== 'maxTokens') {
+            throw new Error("Model returned malformed JSON structure.");
+        }
+        // Cut off by the token limit: keep whichever choices were completed before it.
+        const salvaged = (parsePartialJson(jsonText)?.choices || []).filter(isCompleteChoice);
+        if (salvaged.length === 0) {
+            throw new GenerationBlockedError('maxTokens', { finishReason, stage: 'text' });
+        }
+        const { narration, stateChanges } = parsePartialJson(jsonText);
+        parsed = { narration, choices: salvaged, stateChanges };
+    }
+    
+    // Plain-string choices (a model ignoring the schema) still work, just without tags.
+    const choices = Array.isArray(parsed.choices) ? parsed.choices.map(normalizeChoice).filter(Boolean) : [];
+    if (choices.length === 0) {
+        throw new Error("Model returned invalid choices array structure.");
+    }
+    
+    // State changes are best-effort: a missing or malformed object just leaves the state as it was.
+    const stateChanges = parsed.stateChanges && typeof parsed.stateChanges === 'object' ? parsed.stateChanges : null;
+    // So is the narration: a turn without one just shows the action.
+    const narration = typeof parsed.narration === 'string' ? parsed.narration.trim() : '';
+
+    const duration = performance.now() - start; 
+    return { narration, choices, stateChanges, templates, duration };
+};
+
+/**
+ * Generates a new set of choices for the moment the narrative history ends on, for a reroll. Asks for
+ * no narration or state changes: the turn keeps its own, along with its image.
+ */
+const rerollOptions = async (provider, narrativeHistory, themeDefinition, choiceCount, language = DEFAULT_LANGUAGE, prompts = DEFAULT_PROMPTS) => {
+    const request = prompts.render('choices.reroll', { count: choiceCount });
+    const result = await generateOptions(provider, [...narrativeHistory, { role: "user", parts: [{ text: request.text }] }], themeDefinition, false, null, null, null, null, language, prompts, choiceCount);
+    return { ...result, templates: [...result.templates, request.ref] };
+};
+
+/**
+ * Generates the scene image, using the full multimodal image history, returning image data and duration.
+ * This uses the Image-to-Image model.
+ */
+const generateImage = async (provider, imageHistory, currentPrompt, themeDefinition, styleDefinition, isRefiningStep = false, historyBudget = DEFAULT_HISTORY_BUDGET, characterReferences = [], prompts = DEFAULT_PROMPTS) => {
+    const start = performance.now(); 
+    
+    // Theme content + refine or advance instruction + style (see the 'image.*' prompt templates)
+    const finalImagePrompt = prompts.render(isRefiningStep ? 'image.refine' : 'image.advance', {
+        theme: themeDefinition.contentModifier,
+        action: currentPrompt,
+        style: styleDefinition.styleModifier,
+    });
+    const referenceInstruction = characterReferences.length > 0 ? prompts.render('image.characterReferences') : null;
+    const templates = [finalImagePrompt.ref, ...(referenceInstruction ? [referenceInstruction.ref] : [])];
+    
+    // Keep the request within budget (older scenes downsampled or summarized)
+    const { contents: compactedHistory, stats } = await compactImageHistory(imageHistory, historyBudget);
+
+    // Append the final constructed prompt (as the user's latest input) to the compacted multimodal history.
+    // Pinned character references ride in the same turn, so compaction can never drop them.
+    const contentsForImage = [
+        ...compactedHistory, 
+        { role: "user", parts: [...buildCharacterReferenceParts(characterReferences, referenceInstruction?.text), { text: finalImagePrompt.text }] } 
+    ];
+    const payloadStats = { ...stats, referenceCount: characterReferences.length, payloadBytes: estimatePayloadBytes(contentsForImage) };
+
+    const { data: base64Data, mimeType } = await provider.generateImage({ contents: contentsForImage, templates });
+
+    const duration = performance.now() - start; 
+
+    return {
+        dataUrl: `data:${mimeType};base64,${base64Data}`,
+        data: base64Data, // Raw data for immediate Vision grounding (if needed)
+        mimeType,
+        payloadStats,
+        templates,
+        duration
+    };
+};
+
+// How many images a step may generate to pick from (a per-adventure setting).
+const MAX_IMAGE_CANDIDATES = 4;
+
+/**
+ * Runs `generate` (one generateImage call) `count` times in parallel. Candidates that fail are
+ * dropped; only when all of them fail is the first error rethrown, so a blocked prompt still
+ * surfaces as blocked. Returns the successful results in request order.
+ */
+const generateImageCandidates = async (count, generate) => {
+    const results = await Promise.allSettled(Array.from({ length: count }, () => generate()));
+    const candidates = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+    if (candidates.length === 0) throw results[0].reason;
+    return {
+        candidates,
+        failedCount: count - candidates.length,
+        duration: Math.max(...candidates.map(candidate => candidate.duration)),
+    };
+};
+
+/**
+ * Translates a player action or refinement into English for the image prompt: the image models
+ * follow English best, whatever language the story is told in. English adventures skip the call.
+ */
+const translateForImageModel = async (provider, text, language, prompts = DEFAULT_PROMPTS) => {
+    if (language === DEFAULT_LANGUAGE) return text;
+    const request = prompts.render('translate.request', { language: LANGUAGES[language].name, text });
+    const system = prompts.render('translate.system');
+    const { text: translated } = await provider.generateText({
+        contents: [{ role: "user", parts: [{ text: request.text }] }],
+        systemPrompt: system.text,
+        temperature: 0.2,
+        templates: [system.ref, request.ref],
+    });
+    return translated.trim().replace(/^["']|["']$/g, '') || text;
+};
+
+/**
+ * Asks the text model to reword an action that was blocked, keeping its intent but avoiding what
+ * tripped the filter. Returns the new action text.
+ */
+const rephraseBlockedAction = async (provider, action, blockedError, themeDefinition, prompts = DEFAULT_PROMPTS) => {
+    const reason = blockedError.kind === 'recitation'
+        ? 'it produced output too close to existing copyrighted material'
+        : `it was blocked by a safety filter${blockedError.categories.length ? ` (${blockedError.categories.map(formatSafetyCategory).join(', ')})` : ''}`;
+    const request = prompts.render('rephrase.request', { theme: themeDefinition.contentModifier, reason, action });
+    const system = prompts.render('rephrase.system');
+    const { text } = await provider.generateText({
+        contents: [{ role: "user", parts: [{ text: request.text }] }],
+        systemPrompt: system.text,
+        temperature: 0.7,
+        templates: [system.ref, request.ref],
+    });
+    return text.trim().replace(/^["']|["']$/g, '');
+};
+
+/**
+ * Uses the Vision model to describe the generated image (Narrative Grounding Step).
+ * Without `regrounding` this is the opening description; with `{ mode, previousDescription }` it
+ * re-grounds a later scene, either updating the previous description ('merge') or starting over ('replace').
+ * The description is written in the adventure's language, like the narrative it grounds.
+ */
+const describeImage = async (provider, base64Image, regrounding = null, language = DEFAULT_LANGUAGE, prompts = DEFAULT_PROMPTS) => {
+    const start = performance.now(); 
+    
+    const resizedBase64 = await resizeBase64Image(base64Image, 800);
+    
+    let prompt = prompts.render('describe.opening');
+    if (regrounding?.mode === 'merge' && regrounding.previousDescription) {
+        prompt = prompts.render('describe.merge', { previousDescription: regrounding.previousDescription });
+    } else if (regrounding) {
+        prompt = prompts.render('describe.replace');
+    }
+    const parts = [prompt, ...(language !== DEFAULT_LANGUAGE ? [prompts.render('describe.language', { language: LANGUAGES[language].name })] : [])];
+    const templates = parts.map(part => part.ref);
+    
+    const { text: description, raw } = await provider.describeImage({
+        prompt: parts.map(part => part.text).join(' '),
+        image: { mimeType: detectImageMimeType(resizedBase64) || "image/png", data: resizedBase64 },
+        temperature: 0.5,
+        templates,
+    });
+
+    const rawResultJson = JSON.stringify(raw, null, 2);
+    
+    const duration = performance.now() - start; 
+    return { description, duration, rawResultJson, templates };
+};
+
+/**
+ * Asks the Vision model for a one-sentence alt text of a scene image.
+ */
+const describeSceneForAltText = async (provider, base64Image, language = DEFAULT_LANGUAGE, prompts = DEFAULT_PROMPTS) => {
+    const resizedBase64 = await resizeBase64Image(base64Image, 512);
+    const parts = [prompts.render('describe.altText'), ...(language !== DEFAULT_LANGUAGE ? [prompts.render('describe.language', { language: LANGUAGES[language].name })] : [])];
+    const { text } = await provider.describeImage({
+        prompt: parts.map(part => part.text).join(' '),
+        image: { mimeType: detectImageMimeType(resizedBase64) || "image/png", data: resizedBase64 },
+        temperature: 0.3,
+        templates: parts.map(part => part.ref),
+    });
+    return text.trim().replace(/^["']|["']$/g, '');
+};
+
+// --- Custom Themes & Styles ---
+// Players can add their own themes (content modifier + choice system prompt) and styles (style
+// modifier) next to the built-in presets above, which stay read-only. Custom presets persist in
+// localStorage and can be shared as a JSON file.
+//
+// presets = {
+//     themes: { [name]: { contentModifier, systemPrompt, stats } },   // stats is optional (see THEME_STAT_SETS)
+//     styles: { [name]: { styleModifier } },
+// }
+
+const CUSTOM_PRESETS_STORAGE_KEY = 'cyob-custom-presets';
+const PRESETS_FILE_FORMAT = 'cyob-presets';
+const PRESETS_FILE_VERSION = 1;
+const EMPTY_PRESETS = { themes: {}, styles: {} };
+
+const DEFAULT_THEME = 'Fantasy';
+const DEFAULT_STYLE = 'Watercolor Concept';
+
+const isBuiltInTheme = (name) => Object.prototype.hasOwnProperty.call(THEME_CONTENT_MODIFIERS, name);
+const isBuiltInStyle = (name) => Object.prototype.hasOwnProperty.call(STYLE_MODIFIERS, name);
+
+/**
+ * Returns `{ contentModifier, systemPrompt, systemPromptTemplate, stats }` for a theme name, falling back to
+ * the default theme. Built-in themes name the prompt template of their system prompt; custom themes have
+ * none and use their own `systemPrompt`. Custom themes without their own stat set get DEFAULT_STAT_SET.
+ */
+const resolveTheme = (name, customPresets) => {
+    if (customPresets.themes[name]) return { stats: DEFAULT_STAT_SET, ...customPresets.themes[name], systemPromptTemplate: null };
+    const builtInName = isBuiltInTheme(name) ? name : DEFAULT_THEME;
+    const systemPromptTemplate = getChoiceSystemTemplateId(builtInName);
+    return { contentModifier: THEME_CONTENT_MODIFIERS[builtInName], systemPrompt: PROMPT_TEMPLATES[systemPromptTemplate].text, systemPromptTemplate, stats: THEME_STAT_SETS[builtInName] };
+};
+
+/**
+ * Returns `{ styleModifier }` for a style name, falling back to the default style.
+ */
+const resolveStyle = (name, customPresets) => {
+    if (customPresets.styles[name]) return customPresets.styles[name];
+    return { styleModifier: STYLE_MODIFIERS[isBuiltInStyle(name) ? name : DEFAULT_STYLE] };
+};
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Checks a `{ themes, styles }` collection, throwing a player-readable Error on the first problem.
+ */
+const validatePresets = (presets) => {
+    if (!presets || typeof presets.themes !== 'object' || typeof presets.styles !== 'object' || !presets.themes || !presets.styles) {
+        throw new Error("Presets must contain \"themes\" and \"styles\" objects.");
+    }
+    for (const [name, theme] of Object.entries(presets.themes)) {
+        if (!isNonEmptyString(name) || !isNonEmptyString(theme?.contentModifier) || !isNonEmptyString(theme?.systemPrompt)) {
+            throw new Error(`Theme "${name}" needs a content modifier and a system prompt.`);
+        }
+        if (theme.stats !== undefined && !isValidStatSet(theme.stats)) {
+            throw new Error(`Theme "${name}" has an invalid stat set (up to ${MAX_THEME_STATS} uniquely named stats, each with min < max and a starting value in range).`);
+        }
+    }
+    for (const [name, style] of Object.entries(presets.styles)) {
+        if (!isNonEmptyString(name) || !isNonEmptyString(style?.styleModifier)) {
+            throw new Error(`Style "${name}" needs a style modifier.`);
+        }
+    }
+    return presets;
+};
+
+const loadCustomPresets = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(CUSTOM_PRESETS_STORAGE_KEY));
+        if (saved) return validatePresets(saved);
+    } catch (e) {
+        console.warn('Ignoring unreadable custom presets:', e);
+    }
+    return EMPTY_PRESETS;
+};
+
+const saveCustomPresets = (presets) => {
+    try {
+        localStorage.setItem(CUSTOM_PRESETS_STORAGE_KEY, JSON.stringify(presets));
+    } catch (e) {
+        console.warn('Could not persist custom presets:', e);
+    }
+};
+
+const buildPresetsFile = (presets) => ({ format: PRESETS_FILE_FORMAT, version: PRESETS_FILE_VERSION, ...presets });
+
+/**
+ * Parses a shared presets file. Entries named like a built-in preset are rejected.
+ */
+const parsePresetsFile = (fileText) => {
+    let file;
+    try {
+        file = JSON.parse(fileText);
+    } catch (e) {
+        throw new Error("The file is not valid JSON.");
+    }
+    if (file?.format !== PRESETS_FILE_FORMAT) {
+        throw new Error("The file is not a theme & style presets export.");
+    }
+    if (file.version !== PRESETS_FILE_VERSION) {
+        throw new Error(`Unsupported presets file version (v${file.version}).`);
+    }
+    const presets = validatePresets({ themes: file.themes, styles: file.styles });
+    const clash = Object.keys(presets.themes).find(isBuiltInTheme) || Object.keys(presets.styles).find(isBuiltInStyle);
+    if (clash) {
+        throw new Error(`"${clash}" is the name of a built-in preset.`);
+    }
+    return presets;
+};
+
+/**
+ * The custom definitions an adventure depends on, embedded in sessions so they can be continued elsewhere.
+ */
+const collectSessionPresets = (theme, style, customPresets) => ({
+    themes: customPresets.themes[theme] ? { [theme]: customPresets.themes[theme] } : {},
+    styles: customPresets.styles[style] ? { [style]: customPresets.styles[style] } : {},
+});
+
+/**
+ * Adds presets from `incoming` that aren't already defined (custom or built-in).
+ */
+const mergeMissingPresets = (customPresets, incoming) => ({
+    themes: {
+        ...Object.fromEntries(Object.entries(incoming.themes).filter(([name]) => !isBuiltInTheme(name))),
+        ...customPresets.themes,
+    },
+    styles: {
+        ...Object.fromEntries(Object.entries(incoming.styles).filter(([name]) => !isBuiltInStyle(name))),
+        ...customPresets.styles,
+    },
+});
+
+// --- Story Tree ---
+// An adventure is a tree of turns. Each node records only what its turn APPENDED to the two
+// history threads, so both threads can be rebuilt for any node from the path root -> node.
+//
+// node = {
+//     id, parentId,        // parentId is null for the opening turn
+//     kind,                // 'action' (narrative step) or 'refine' (image-only step)
+//     prompt,              // the action taken, or the refinement instruction
+//     imageParts,          // entries appended to THREAD 1 (user prompt + model image)
+//     narrativeParts,      // entries appended to THREAD 2 (empty for refinements)
+//     choices,             // the choices on offer after this turn (see Choices)
+//     playerAuthored,      // true when the action was typed by the player (optional)
+//     sceneDescription,    // { text, mode, trigger, templates } from re-grounding on this turn's image (optional)
+//     altText,             // a one-sentence description of this turn's image for screen readers (optional)
+//     templates,           // [{ id, version, revision }] the prompt templates this turn was generated with (optional)
+//     gameState,           // the game state after this action, and the stateChanges that produced it (optional; see Game State)
+//     stateChanges,
+//     createdAt,
+// }
+//
+// The opening turn's narrativeParts are [premise, initial description, choices]. A later
+// sceneDescription supersedes whichever description is current, so THREAD 2 only ever carries one.
+
+const EMPTY_STORY_TREE = { nodes: {}, rootId: null, currentId: null };
+
+/**
+ * Returns the nodes from the root down to `nodeId` (inclusive). Empty if the node doesn't exist.
+ */
+const getStoryPath = (tree, nodeId) => {
+    const path = [];
+    let node = tree.nodes[nodeId];
+    // Bounded by the node count so a corrupt parent chain can't loop forever.
+    while (node && path.length <= Object.keys(tree.nodes).length) {
+        path.unshift(node);
+        node = node.parentId === null ? null : tree.nodes[node.parentId];
+    }
+    return path;
+};
+
+const SCENE_DESCRIPTION_PREFIX = '[Current scene, as shown in the latest image]';
+
+/**
+ * Rebuilds both history threads for a path of turns. A re-grounded scene description replaces the
+ * previous description in the narrative thread and sits after the turn whose image it describes.
+ */
+const buildHistoriesFromPath = (path) => {
+    const narrativeHistory = [];
+    let descriptionIndex = path[0]?.narrativeParts.length > 2 ? 1 : -1;
+    for (const node of path) {
+        narrativeHistory.push(...node.narrativeParts);
+        if (node.sceneDescription) {
+            if (descriptionIndex >= 0) narrativeHistory.splice(descriptionIndex, 1);
+            narrativeHistory.push({ role: "model", parts: [{ text: `${SCENE_DESCRIPTION_PREFIX} ${node.sceneDescription.text}` }] });
+            descriptionIndex = narrativeHistory.length - 1;
+        }
+    }
+    return { imageHistory: path.flatMap(node => node.imageParts), narrativeHistory };
+};
+
+/**
+ * The scene description the narrative is currently grounded on, or null before the first turn.
+ */
+const getCurrentSceneDescription = (path) => {
+    const grounded = [...path].reverse().find(node => node.sceneDescription);
+    if (grounded) return grounded.sceneDescription.text;
+    return path[0]?.narrativeParts.length > 2 ? path[0].narrativeParts[1].parts[0]?.text ?? null : null;
+};
+
+/**
+ * Attaches a re-grounded description to an existing turn without changing the current turn.
+ */
+const setSceneDescription = (tree, nodeId, sceneDescription) => tree.nodes[nodeId]
+    ? { ...tree, nodes: { ...tree.nodes, [nodeId]: { ...tree.nodes[nodeId], sceneDescription } } }
+    : tree;
+
+/**
+ * Swaps a turn's image for another of its candidate images; the rejected ones stay on the turn.
+ */
+const selectImageCandidate = (tree, nodeId, index) => {
+    const node = tree.nodes[nodeId];
+    const candidate = node?.imageCandidates?.[index];
+    if (!candidate) return tree;
+    const imageParts = node.imageParts.map(entry => entry.role === 'model' ? { ...entry, parts: [{ inlineData: candidate.inlineData }] } : entry);
+    // The alt text described the previous image
+    const { altText, ...rest } = node;
+    return { ...tree, nodes: { ...tree.nodes, [nodeId]: { ...rest, imageParts, selectedCandidate: index } } };
+};
+
+const setNodeAltText = (tree, nodeId, altText) => tree.nodes[nodeId]
+    ? { ...tree, nodes: { ...tree.nodes, [nodeId]: { ...tree.nodes[nodeId], altText } } }
+    : tree;
+
+/**
+ * Replaces a turn's choices with a rerolled set. An action turn's narrative parts end with the choices
+ * JSON the model replied with, which is updated too so later turns see the choices actually offered.
+ */
+const setNodeChoices = (tree, nodeId, choices, templates = []) => {
+    const node = tree.nodes[nodeId];
+    if (!node) return tree;
+    const lastIndex = node.narrativeParts.length - 1;
+    const narrativeParts = node.kind === 'action' && lastIndex >= 0
+        ? node.narrativeParts.map((entry, index) => {
+            if (index !== lastIndex) return entry;
+            try {
+                return { ...entry, parts: [{ text: JSON.stringify({ ...JSON.parse(entry.parts[0].text), choices }) }] };
+            } catch (e) {
+                return entry;
+            }
+        })
+        : node.narrativeParts;
+    const updated = { ...node, choices, narrativeParts, templates: mergeTemplateRefs(node.templates, templates) };
+    return { ...tree, nodes: { ...tree.nodes, [nodeId]: updated } };
+};
+
+/**
+ * The extra fields a turn stores when it was generated with several candidate images.
+ */
+const buildCandidateFields = (candidates) => candidates.length > 1 ? {
+    imageCandidates: candidates.map(candidate => ({ inlineData: { mimeType: candidate.mimeType, data: candidate.data } })),
+    selectedCandidate: 0,
+} : {};
+
+/**
+ * Adds a turn to the tree and makes it the current turn.
+ */
+const addStoryNode = (tree, node) => ({
+    nodes: { ...tree.nodes, [node.id]: node },
+    rootId: tree.rootId ?? node.id,
+    currentId: node.id,
+});
+
+/**
+ * Returns the child turns of a node, oldest first.
+ */
+const getChildNodes = (tree, nodeId) => Object.values(tree.nodes)
+    .filter(node => node.parentId === nodeId)
+    .sort((a, b) => a.createdAt - b.createdAt);
+
+/**
+ * Text shown on the scene card for a turn, in the language of the translator `t`.
+ */
+const describeStoryNode = (node, t) => node.kind === 'refine' ? t('refiningScene', { prompt: node.prompt }) : node.prompt;
+
+const countTurns = (path) => path.filter(node => node.kind === 'action').length;
+
+// --- Game State ---
+// What the story has established so far: the theme's stats, inventory, companions, location and
+// quest flags. The choices model reports `stateChanges` for each action; the turn stores the state
+// that results, so rewinding or branching the story rewinds the state with it.
+//
+// gameState = { stats: { [name]: number }, inventory: [], companions: [], location, questFlags: [] }
+
+const DEFAULT_STAT_SET = [
+    { name: 'Health', min: 0, max: 10, initial: 10 },
+    { name: 'Mood', min: 0, max: 10, initial: 5 },
+];
+const MAX_THEME_STATS = 8;
+
+const isValidStatSet = (stats) => Array.isArray(stats) && stats.length <= MAX_THEME_STATS &&
+    new Set(stats.map(stat => stat?.name)).size === stats.length &&
+    stats.every(stat =>
+        isNonEmptyString(stat?.name) &&
+        [stat.min, stat.max, stat.initial].every(Number.isFinite) &&
+        stat.min < stat.max && stat.initial >= stat.min && stat.initial <= stat.max
+    );
+
+/**
+ * Formats a stat set for the preset editor, one "Name, min, max, start" line per stat.
+ */
+const formatStatSet = (stats) => stats.map(({ name, min, max, initial }) => `${name}, ${min}, ${max}, ${initial}`).join('\n');
+
+/**
+ * Parses the preset editor's stat lines. The starting value defaults to the maximum.
+ */
+const parseStatSet = (text) => text.split('\n').map(line => line.trim()).filter(Boolean).map(line => {
+    const [name, ...numbers] = line.split(',').map(field => field.trim());
+    const [min, max, initial = max] = numbers.map(Number);
+    if (!name || numbers.length < 2 || numbers.length > 3 || ![min, max, initial].every(Number.isFinite)) {
+        throw new Error(`Stat line "${line}" should look like "Health, 0, 10, 10".`);
+    }
+    return { name, min, max, initial };
+});
+
+const createInitialGameState = (statSet) => ({
+    stats: Object.fromEntries(statSet.map(stat => [stat.name, stat.initial])),
+    inventory: [],
+    companions: [],
+    location: null,
+    questFlags: [],
+});
+
+const isValidGameState = (state) => !!state &&
+    typeof state.stats === 'object' && state.stats !== null && Object.values(state.stats).every(Number.isFinite) &&
+    ['inventory', 'companions', 'questFlags'].every(key => Array.isArray(state[key]) && state[key].every(entry => typeof entry === 'string')) &&
+    (state.location === null || typeof state.location === 'string');
+
+/**
+ * Applies the choices model's `stateChanges`. Names match case-insensitively; stats outside the
+ * stat set are ignored and the rest stay within their range.
+ */
+const applyStateChanges = (state, changes, statSet) => {
+    if (!changes) return state;
+    // Model output is untrusted: anything that isn't a list of names counts as no change.
+    const names = (value) => Array.isArray(value) ? value.filter(isNonEmptyString) : [];
+    const matches = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+    const without = (list, removed) => list.filter(entry => !names(removed).some(r => matches(r, entry)));
+    const withAdded = (list, added) => names(added)
+        .reduce((result, entry) => result.some(existing => matches(existing, entry)) ? result : [...result, entry.trim()], list);
+
+    const stats = { ...state.stats };
+    for (const { stat, delta } of (Array.isArray(changes.statChanges) ? changes.statChanges : []).filter(Boolean)) {
+        const definition = statSet.find(candidate => isNonEmptyString(stat) && matches(candidate.name, stat));
+        if (!definition || !Number.isFinite(delta)) continue;
+        const current = stats[definition.name] ?? definition.initial;
+        stats[definition.name] = Math.min(definition.max, Math.max(definition.min, current + delta));
+    }
+
+    return {
+        stats,
+        inventory: withAdded(without(state.inventory, changes.itemsLost), changes.itemsGained),
+        companions: withAdded(without(state.companions, changes.companionsLeft), changes.companionsJoined),
+        location: isNonEmptyString(changes.location) ? changes.location.trim() : state.location,
+        questFlags: withAdded(without(state.questFlags, changes.questFlagsCleared), changes.questFlagsSet),
+    };
+};
+
+/**
+ * The game state at the end of a path: from the latest turn that recorded one, else the starting state.
+ */
+const getGameStateForPath = (path, statSet) =>
+    [...path].reverse().find(node => node.gameState)?.gameState ?? createInitialGameState(statSet);
+
+/**
+ * Describes the game state for the choices system prompt. Stats missing from an older state start at their initial value.
+ */
+const describeGameState = (state, statSet) => {
+    const list = (entries) => entries.length > 0 ? entries.join('; ') : 'none';
+    return [
+        'Stats:',
+        ...statSet.map(stat => `- ${stat.name}: ${state.stats[stat.name] ?? stat.initial} (range ${stat.min} to ${stat.max})`),
+        `Inventory: ${list(state.inventory)}`,
+        `Companions: ${list(state.companions)}`,
+        `Location: ${state.location || 'not yet established'}`,
+        `Quest flags: ${list(state.questFlags)}`,
+    ].join('\n');
+};
+
+// --- Character References ---
+// Players pin named characters (a reference image plus a short description) from any scene or an
+// uploaded picture. Every image request carries them in its final turn, which history compaction
+// never touches, so the references are always sent at their pinned size.
+//
+// character = { id, name, description, inlineData: { mimeType, data }, createdAt }
+
+const MAX_CHARACTER_REFERENCES = 4;
+// Reference images are stored downsampled; the model needs the likeness, not the detail.
+const CHARACTER_REFERENCE_WIDTH = 512;
+
+/**
+ * Creates a pinned character from base64 image data (downsampled to a JPEG reference).
+ */
+const createCharacterReference = async ({ name, description, data }) => ({
+    id: createId('character'),
+    name: name.trim(),
+    description: description.trim(),
+    inlineData: { mimeType: 'image/jpeg', data: await resizeBase64Image(data, CHARACTER_REFERENCE_WIDTH, 'image/jpeg') },
+    createdAt: Date.now(),
+});
+
+/**
+ * Checks a list of pinned characters, throwing a player-readable Error on the first problem.
+ */
+const validateCharacterReferences = (characters) => {
+    if (!Array.isArray(characters) || characters.length > MAX_CHARACTER_REFERENCES) {
+        throw new Error(`The pinned characters must be a list of at most ${MAX_CHARACTER_REFERENCES}.`);
+    }
+    for (const character of characters) {
+        if (typeof character?.id !== 'string' || !isNonEmptyString(character.name) || typeof character.description !== 'string' ||
+            typeof character.inlineData?.data !== 'string' || typeof character.inlineData?.mimeType !== 'string') {
+            throw new Error(`Pinned character "${character?.name ?? '?'}" is malformed.`);
+        }
+    }
+};
+
+/**
+ * The parts that introduce the pinned characters to the image model: the instruction (the
+ * 'image.characterReferences' prompt template), then each character's name and description followed
+ * by its reference image.
+ */
+const buildCharacterReferenceParts = (characters, instruction) => characters.length === 0 ? [] : [
+    { text: instruction },
+    ...characters.flatMap(character => [
+        { text: `${character.name}${character.description ? ` - ${character.description}` : ''}:` },
+        { inlineData: character.inlineData },
+    ]),
+];
+
+// --- Session Files ---
+
+const SESSION_FILE_FORMAT = 'cyob-session';
+const SESSION_FILE_VERSION = 4;
+
+// Upgrades an older session file by exactly one version, keyed by the version it upgrades FROM.
+const SESSION_MIGRATIONS = {
+    // v1 stored the flat history threads; they become a single opening turn of the story tree.
+    1: (session) => {
+        const { imageHistory, narrativeHistory, options, adventureText, theme, imageStyle, step } = session || {};
+        const node = {
+            id: 'turn-v1',
+            parentId: null,
+            kind: 'action',
+            prompt: adventureText || 'Imported adventure',
+            imageParts: imageHistory,
+            narrativeParts: narrativeHistory,
+            choices: options,
+            createdAt: 0,
+        };
+        return { storyTree: addStoryNode(EMPTY_STORY_TREE, node), theme, imageStyle, step };
+    },
+    // v2 had no pinned character references.
+    2: (session) => ({ ...session, characters: [] }),
+    // v3 stored choices as plain strings; they become choices without a tone or risk.
+    3: (session) => {
+        const nodes = session?.storyTree?.nodes;
+        if (!nodes || typeof nodes !== 'object') return session;
+        const migrated = Object.fromEntries(Object.entries(nodes).map(([id, node]) => [id,
+            Array.isArray(node?.choices) ? { ...node, choices: node.choices.map(choice => normalizeChoice(choice) ?? choice) } : node,
+        ]));
+        return { ...session, storyTree: { ...session.storyTree, nodes: migrated } };
+    },
+};
+
+/**
+ * Checks that a value looks like a Gemini `contents` array (role + text/inlineData parts).
+ */
+const isValidContentsArray = (contents) => Array.isArray(contents) && contents.every(entry =>
+    entry &&
+    (entry.role === 'user' || entry.role === 'model') &&
+    Array.isArray(entry.parts) &&
+    entry.parts.every(part =>
+        typeof part?.text === 'string' ||
+        (typeof part?.inlineData?.data === 'string' && typeof part?.inlineData?.mimeType === 'string')
+    )
+);
+
+/**
+ * Checks the structure of a story tree: a single root, no dangling parents or cycles,
+ * and well-formed history parts on every turn. Throws a player-readable Error.
+ */
+const validateStoryTree = (tree) => {
+    if (!tree || typeof tree.nodes !== 'object' || tree.nodes === null) {
+        throw new Error("The session file has no story tree.");
+    }
+    if (!tree.nodes[tree.rootId] || !tree.nodes[tree.currentId]) {
+        throw new Error("The story tree is missing its opening or current turn.");
+    }
+
+    for (const [id, node] of Object.entries(tree.nodes)) {
+        if (!node || node.id !== id) {
+            throw new Error(`Turn "${id}" in the story tree is malformed.`);
+        }
+        if (id === tree.rootId ? node.parentId !== null : !tree.nodes[node.parentId]) {
+            throw new Error(`Turn "${id}" has a missing or invalid parent turn.`);
+        }
+        if ((node.kind !== 'action' && node.kind !== 'refine') || typeof node.prompt !== 'string') {
+            throw new Error(`Turn "${id}" has an unknown kind or missing prompt.`);
+        }
+        if (!isValidContentsArray(node.imageParts) || !findLatestImagePart(node.imageParts)) {
+            throw new Error(`Turn "${id}" has a missing or malformed image history.`);
+        }
+        if (!isValidContentsArray(node.narrativeParts)) {
+            throw new Error(`Turn "${id}" has a malformed narrative history.`);
+        }
+        if (!Array.isArray(node.choices) || !node.choices.every(isValidChoice)) {
+            throw new Error(`Turn "${id}" has a malformed list of choices.`);
+        }
+        if (node.sceneDescription !== undefined && typeof node.sceneDescription?.text !== 'string') {
+            throw new Error(`Turn "${id}" has a malformed scene description.`);
+        }
+        if (node.narration !== undefined && typeof node.narration !== 'string') {
+            throw new Error(`Turn "${id}" has a malformed narration.`);
+        }
+        if (node.altText !== undefined && typeof node.altText !== 'string') {
+            throw new Error(`Turn "${id}" has a malformed alt text.`);
+        }
+        if (node.templates !== undefined && !isValidTemplateRefs(node.templates)) {
+            throw new Error(`Turn "${id}" has a malformed list of prompt templates.`);
+        }
+        if (node.gameState !== undefined && !isValidGameState(node.gameState)) {
+            throw new Error(`Turn "${id}" has a malformed game state.`);
+        }
+        if (node.imageCandidates !== undefined && (!Array.isArray(node.imageCandidates) ||
+            !node.imageCandidates.every(candidate => typeof candidate?.inlineData?.data === 'string' && typeof candidate.inlineData.mimeType === 'string') ||
+            !Number.isInteger(node.selectedCandidate) || !node.imageCandidates[node.selectedCandidate])) {
+            throw new Error(`Turn "${id}" has malformed image candidates.`);
+        }
+        if (getStoryPath(tree, id)[0]?.id !== tree.rootId) {
+            throw new Error(`Turn "${id}" is not connected to the opening turn.`);
+        }
+    }
+};
+
+/**
+ * Wraps the adventure state in a versioned envelope ready to be written to disk.
+ */
+const buildSessionFile = (session) => ({
+    format: SESSION_FILE_FORMAT,
+    version: SESSION_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    session,
+});
+
+/**
+ * Validates a session envelope, migrating older versions forward.
+ * Throws an Error with a player-readable message when the file cannot be used.
+ */
+const validateSessionFile = (file) => {
+    if (file?.format !== SESSION_FILE_FORMAT) {
+        throw new Error("The file is not an adventure session export.");
+    }
+    if (!Number.isInteger(file.version) || file.version < 1) {
+        throw new Error("The session file has a missing or invalid version number.");
+    }
+    if (file.version > SESSION_FILE_VERSION) {
+        throw new Error(`The session file was saved by a newer version of the app (v${file.version}; this app reads up to v${SESSION_FILE_VERSION}).`);
+    }
+
+    let session = file.session;
+    for (let version = file.version; version < SESSION_FILE_VERSION; version++) {
+        const migrate = SESSION_MIGRATIONS[version];
+        if (!migrate) {
+            throw new Error(`Session files from v${version} can no longer be imported.`);
+        }
+        session = migrate(session);
+    }
+
+    if (!session || typeof session !== 'object') {
+        throw new Error("The session file has no adventure data.");
+    }
+    validateStoryTree(session.storyTree);
+    if (typeof session.theme !== 'string' || typeof session.imageStyle !== 'string') {
+        throw new Error("The session file is missing its theme or visual style.");
+    }
+    if (session.language !== undefined && !LANGUAGES[session.language]) {
+        throw new Error(`The session's story language "${session.language}" isn't supported.`);
+    }
+    if (session.presets !== undefined) {
+        validatePresets(session.presets);
+    }
+    validateCharacterReferences(session.characters);
+    if (session.imageCandidates !== undefined &&
+        !(Number.isInteger(session.imageCandidates) && session.imageCandidates >= 1 && session.imageCandidates <= MAX_IMAGE_CANDIDATES)) {
+        throw new Error(`The number of image candidates must be between 1 and ${MAX_IMAGE_CANDIDATES}.`);
+    }
+    if (session.usage !== undefined && !isValidUsageLog(session.usage)) {
+        throw new Error("The session's usage history is malformed.");
+    }
+    if (session.promptOverrides !== undefined) {
+        validatePromptOverrides(session.promptOverrides);
+    }
+
+    return session;
+};
+
+/**
+ * Parses and validates the text of an exported session file.
+ */
+const parseSessionFile = (fileText) => {
+    let file;
+    try {
+        file = JSON.parse(fileText);
+    } catch (e) {
+        throw new Error("The file is not valid JSON.");
+    }
+    return validateSessionFile(file);
+};
+
+/**
+ * Returns the most recent model-generated image in a multimodal history, or null.
+ */
+const findLatestImagePart = (imageHistory) => {
+    for (let i = imageHistory.length - 1; i >= 0; i--) {
+        const part = imageHistory[i].role === 'model' && imageHistory[i].parts.find(p => p.inlineData);
+        if (part) return part.inlineData;
+    }
+    return null;
+};
+
+/**
+ * Triggers a browser download of a Blob.
+ */
+const downloadBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // Some browsers start the download after click() returns, so the URL has to outlive this call.
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+};
+
+/**
+ * Triggers a browser download of a JSON-serializable value.
+ */
+const downloadJsonFile = (value, filename) => {
+    downloadBlob(new Blob([JSON.stringify(value)], { type: 'application/json' }), filename);
+};
+
+// --- Local Autosave (IndexedDB) ---
+
+const SAVE_DB_NAME = 'cyob-adventures';
+const SAVE_DB_VERSION = 1;
+// Small per-adventure records: the session envelope with every image swapped for an `imageRef`.
+const SAVE_META_STORE = 'saves';
+// Image Blobs, keyed by `${saveId}:${contentHash}` so unchanged images are never rewritten.
+const SAVE_IMAGE_STORE = 'images';
+
+let saveDatabasePromise = null;
+
+/**
+ * Opens (and on first use creates) the autosave database. The connection is shared.
+ */
+const openSaveDatabase = () => {
+    if (!saveDatabasePromise) {
+        saveDatabasePromise = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('This browser does not support IndexedDB.'));
+                return;
+            }
+            const request = indexedDB.open(SAVE_DB_NAME, SAVE_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore(SAVE_META_STORE, { keyPath: 'id' });
+                const images = db.createObjectStore(SAVE_IMAGE_STORE, { keyPath: 'key' });
+                images.createIndex('saveId', 'saveId');
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow a later attempt to retry after a failed open (e.g. private browsing).
+        saveDatabasePromise.catch(() => { saveDatabasePromise = null; });
+    }
+    return saveDatabasePromise;
+};
+
+/**
+ * Wraps an IDBRequest in a Promise.
+ */
+const idbRequest = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Resolves when a transaction commits, rejecting with its error (e.g. QuotaExceededError) on abort.
+ */
+const idbTransactionDone = (transaction) => new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onabort = () => reject(transaction.error || new Error('Storage transaction was aborted.'));
+    transaction.onerror = () => reject(transaction.error);
+});
+
+const isQuotaError = (error) => error?.name === 'QuotaExceededError' ||
+    (error?.name === 'UnknownError' && /quota|space/i.test(error.message || ''));
+
+// Content hashes per inlineData object, so repeated autosaves don't rehash megabytes of base64.
+const imageHashCache = new WeakMap();
+
+/**
+ * Cheap 53-bit string hash (cyrb53), used to give identical images identical storage keys.
+ */
+const hashString = (str) => {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+        const ch = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+};
+
+/**
+ * Deep-copies a JSON value, replacing every inlineData image with `{ mimeType, imageRef }`
+ * and collecting the extracted images into `images` (keyed by imageRef).
+ */
+const extractImages = (value, saveId, images) => {
+    if (Array.isArray(value)) return value.map(item => extractImages(item, saveId, images));
+    if (!value || typeof value !== 'object') return value;
+    if (value.inlineData && typeof value.inlineData.data === 'string') {
+        const { inlineData } = value;
+        let hash = imageHashCache.get(inlineData);
+        if (!hash) {
+            hash = hashString(inlineData.data);
+            imageHashCache.set(inlineData, hash);
+        }
+        const imageRef = `${saveId}:${hash}`;
+        images.set(imageRef, inlineData);
+        return { ...value, inlineData: { mimeType: inlineData.mimeType, imageRef } };
+    }
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) copy[key] = extractImages(item, saveId, images);
+    return copy;
+};
+
+/**
+ * Reverses extractImages, using a map of imageRef -> base64 data.
+ */
+const restoreImages = (value, imageData) => {
+    if (Array.isArray(value)) return value.map(item => restoreImages(item, imageData));
+    if (!value || typeof value !== 'object') return value;
+    if (value.inlineData && typeof value.inlineData.imageRef === 'string') {
+        const data = imageData.get(value.inlineData.imageRef);
+        if (data === undefined) throw new Error('The saved adventure is missing one of its images.');
+        return { ...value, inlineData: { mimeType: value.inlineData.mimeType, data } };
+    }
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) copy[key] = restoreImages(item, imageData);
+    return copy;
+};
+
+/**
+ * Lists saved adventures (metadata only), most recently updated first.
+ */
+const listSavedAdventures = async () => {
+    const db = await openSaveDatabase();
+    const records = await idbRequest(db.transaction(SAVE_META_STORE).objectStore(SAVE_META_STORE).getAll());
+    return records
+        .map(({ id, title, theme, imageStyle, turn, createdAt, updatedAt, openedAt }) => ({ id, title, theme, imageStyle, turn, createdAt, updatedAt, openedAt }))
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+/**
+ * Deletes a saved adventure and all of its images.
+ */
+const deleteSavedAdventure = async (saveId) => {
+    const db = await openSaveDatabase();
+    const transaction = db.transaction([SAVE_META_STORE, SAVE_IMAGE_STORE], 'readwrite');
+    transaction.objectStore(SAVE_META_STORE).delete(saveId);
+    const imageStore = transaction.objectStore(SAVE_IMAGE_STORE);
+    const keys = await idbRequest(imageStore.index('saveId').getAllKeys(saveId));
+    keys.forEach(key => imageStore.delete(key));
+    await idbTransactionDone(transaction);
+};
+
+/**
+ * Records that the player just opened (resumed) a saved adventure, so pruning leaves it alone.
+ */
+const markSavedAdventureOpened = async (saveId) => {
+    const db = await openSaveDatabase();
+    const transaction = db.transaction(SAVE_META_STORE, 'readwrite');
+    const store = transaction.objectStore(SAVE_META_STORE);
+    const record = await idbRequest(store.get(saveId));
+    if (record) store.put({ ...record, openedAt: Date.now() });
+    await idbTransactionDone(transaction);
+};
+
+/**
+ * Saves that may be pruned to make room for `saveId`, oldest last: never that save itself, nor the
+ * other save the player opened most recently.
+ */
+const listPrunableSaves = async (saveId) => {
+    const others = (await listSavedAdventures()).filter(save => save.id !== saveId);
+    const lastOpened = others.reduce((latest, save) => (save.openedAt || 0) > (latest?.openedAt || 0) ? save : latest, null);
+    return others.filter(save => save !== lastOpened);
+};
+
+/**
+ * Writes one adventure save: new images, the metadata record, and removal of images it no longer uses.
+ */
+const writeSavedAdventure = async (record, images) => {
+    const db = await openSaveDatabase();
+    const transaction = db.transaction([SAVE_META_STORE, SAVE_IMAGE_STORE], 'readwrite');
+    const imageStore = transaction.objectStore(SAVE_IMAGE_STORE);
+    const existingKeys = new Set(await idbRequest(imageStore.index('saveId').getAllKeys(record.id)));
+
+    for (const [key, inlineData] of images) {
+        if (!existingKeys.has(key)) {
+            imageStore.put({ key, saveId: record.id, blob: base64ToBlob(inlineData.data, inlineData.mimeType) });
+        }
+    }
+    existingKeys.forEach(key => { if (!images.has(key)) imageStore.delete(key); });
+    transaction.objectStore(SAVE_META_STORE).put(record);
+    await idbTransactionDone(transaction);
+};
+
+/**
+ * Autosaves an adventure session under `saveId`. When the browser quota is exhausted, `confirmPrune()`
+ * is asked once, then the oldest prunable saves (see listPrunableSaves) are deleted one at a time until
+ * the write fits. Saves are never removed otherwise; the player deletes them from the start screen.
+ * Returns the pruned saves as `{ id, title }`. Rethrows the quota error when the player declines or
+ * nothing is left to prune.
+ */
+const saveAdventure = async (saveId, session, title, confirmPrune) => {
+    const images = new Map();
+    const file = extractImages(buildSessionFile(session), saveId, images);
+    const now = Date.now();
+    const existing = (await listSavedAdventures()).find(save => save.id === saveId);
+    const record = {
+        id: saveId,
+        title,
+        theme: session.theme,
+        imageStyle: session.imageStyle,
+        turn: session.step?.turn || 0,
+        createdAt: existing?.createdAt || now,
+        updatedAt: now,
+        // A new adventure counts as opened when it is first saved.
+        openedAt: existing?.openedAt || now,
+        file,
+    };
+
+    const pruned = [];
+    let isPruneConfirmed = false;
+    for (;;) {
+        try {
+            await writeSavedAdventure(record, images);
+            break;
+        } catch (error) {
+            if (!isQuotaError(error)) throw error;
+            const oldest = (await listPrunableSaves(saveId)).pop();
+            if (!oldest) throw error;
+            if (!isPruneConfirmed) {
+                isPruneConfirmed = await confirmPrune();
+                if (!isPruneConfirmed) throw error;
+            }
+            await deleteSavedAdventure(oldest.id);
+            pruned.push({ id: oldest.id, title: oldest.title });
+        }
+    }
+    return pruned;
+};
+
+/**
+ * Loads a saved adventure, restoring its images and validating it like an imported session file.
+ */
+const loadSavedAdventure = async (saveId) => {
+    const db = await openSaveDatabase();
+    const transaction = db.transaction([SAVE_META_STORE, SAVE_IMAGE_STORE]);
+    const record = await idbRequest(transaction.objectStore(SAVE_META_STORE).get(saveId));
+    if (!record) throw new Error('That saved adventure no longer exists.');
+    const imageRecords = await idbRequest(transaction.objectStore(SAVE_IMAGE_STORE).index('saveId').getAll(saveId));
+
+    const imageData = new Map();
+    for (const imageRecord of imageRecords) {
+        imageData.set(imageRecord.key, await blobToBase64(imageRecord.blob));
+    }
+    return validateSessionFile(restoreImages(record.file, imageData));
+};
+
+const createSaveId = () => createId('save');
+
+
+// --- Storybook Export ---
+// Turns the path to the current turn into a self-contained, illustrated HTML storybook (images
+// embedded as data URLs). The same document carries print styles, one page per turn, so the
+// browser's "Save as PDF" produces the printable version.
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * One page per turn on the path: the scene image paired with the action that led to it.
+ * Without refinements, a refined scene replaces the image of the turn it refined.
+ */
+const buildStorybookPages = (path, includeRefinements) => {
+    const pages = [];
+    let turn = 0;
+    for (const node of path) {
+        const image = findLatestImagePart(node.imageParts);
+        if (node.kind === 'action') {
+            turn += 1;
+            pages.push({ kind: 'action', turn, text: node.prompt, narration: node.narration || '', image, altText: node.altText || '', playerAuthored: !!node.playerAuthored });
+        } else if (includeRefinements) {
+            pages.push({ kind: 'refine', turn, text: node.prompt, image, altText: node.altText || '' });
+        } else if (pages.length > 0) {
+            pages[pages.length - 1] = { ...pages[pages.length - 1], image, altText: node.altText || '' };
+        }
+    }
+    return pages;
+};
+
+/**
+ * Renders storybook pages as a standalone HTML document in the adventure's language. `autoPrint` opens
+ * the print dialog on load.
+ */
+const buildStorybookHtml = ({ title, theme, style, pages, language = DEFAULT_LANGUAGE, autoPrint = false }) => {
+    const t = createTranslator(language);
+    const imageTag = (image, alt) => `<img src="data:${image.mimeType};base64,${image.data}" alt="${escapeHtml(alt)}">`;
+    const coverImage = pages[0]?.image;
+
+    const pageHtml = pages.map((page, index) => `
+    <section class="page">
+        <p class="label">${escapeHtml(t(page.kind === 'refine' ? 'storybookRefinementLabel' : 'storybookTurnLabel', { turn: page.turn }))}</p>
+        ${imageTag(page.image, page.altText || t('storybookSceneAlt', { number: index + 1 }))}
+        <p class="action">${escapeHtml(page.kind === 'refine' ? t('storybookSceneShifts', { text: page.text }) : page.text)}</p>
+        ${page.narration ? `<p class="prose">${escapeHtml(page.narration)}</p>` : ''}
+    </section>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="${language}" dir="${LANGUAGES[language].dir}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+    body { margin: 0; background: #1f2937; color: #111827; font-family: Georgia, 'Times New Roman', serif; }
+    .page { max-width: 900px; margin: 2rem auto; padding: 2.5rem; background: #fdfaf3; box-shadow: 0 4px 20px rgba(0,0,0,.4); }
+    .cover { text-align: center; }
+    .cover h1 { font-size: 2.5rem; margin: 0 0 .5rem; }
+    .cover .meta { color: #6b7280; font-style: italic; }
+    img { display: block; width: 100%; height: auto; border-radius: 6px; }
+    .label { margin: 0 0 .75rem; color: #92400e; font-size: .85rem; letter-spacing: .1em; text-transform: uppercase; }
+    .action { font-size: 1.25rem; line-height: 1.6; margin: 1.25rem 0 0; }
+    .action + .prose { margin-top: .75rem; }
+    .prose { font-size: 1.15rem; line-height: 1.7; margin: 0; }
+    .page:has(.prose) .action { font-size: 1rem; font-style: italic; color: #6b7280; }
+    .end { text-align: center; font-style: italic; color: #6b7280; }
+    @media print {
+        body { background: none; }
+        .page { box-shadow: none; margin: 0; max-width: none; page-break-after: always; break-after: page; }
+        img { max-height: 65vh; object-fit: contain; }
+    }
+</style>
+</head>
+<body>
+    <section class="page cover">
+        <h1>${escapeHtml(title)}</h1>
+        <p class="meta">${escapeHtml(t('storybookCoverMeta', { theme, style }))}</p>
+        ${coverImage ? imageTag(coverImage, pages[0].altText ? t('storybookCoverAltWithText', { text: pages[0].altText }) : t('storybookCoverAlt')) : ''}
+        <p class="meta">${escapeHtml(t('turnCount', { count: pages.filter(page => page.kind === 'action').length }))} &middot; ${escapeHtml(new Date().toLocaleDateString(language))}</p>
+    </section>
+    ${pageHtml}
+    <section class="page end"><p>${escapeHtml(t('storybookEnd'))}</p></section>
+    ${autoPrint ? '<script>window.addEventListener("load", function () { window.print(); });</script>' : ''}
+</body>
+</html>
+`;
+};
+
+// --- Comic Export ---
+// Lays a range of turns out as comic panels on large canvases, with the chosen action as a caption
+// box under each panel (or as a speech bubble inside it). Pages download as PNGs or as one PDF.
+
+// Panel layouts (`label` is a UI string, as for the page sizes below).
+const COMIC_TEMPLATES = {
+    'grid-2x2': { label: 'comicGrid2x2', columns: 2, rows: 2 },
+    'grid-2x3': { label: 'comicGrid2x3', columns: 2, rows: 3 },
+    'grid-3x3': { label: 'comicGrid3x3', columns: 3, rows: 3 },
+    'strip-3': { label: 'comicStrip3', columns: 1, rows: 3 },
+    'strip-4': { label: 'comicStrip4', columns: 4, rows: 1 },
+};
+
+// Pixel sizes are ~150 DPI; point sizes (1/72 in) are used for the PDF page boxes.
+const COMIC_PAGE_SIZES = {
+    'a4-portrait': { label: 'comicA4Portrait', width: 1240, height: 1754, widthPt: 595, heightPt: 842 },
+    'a4-landscape': { label: 'comicA4Landscape', width: 1754, height: 1240, widthPt: 842, heightPt: 595 },
+    'letter-portrait': { label: 'comicLetterPortrait', width: 1275, height: 1650, widthPt: 612, heightPt: 792 },
+    'square': { label: 'comicSquare', width: 1500, height: 1500, widthPt: 540, heightPt: 540 },
+};
+
+const loadImageElement = (src) => new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Failed to load a scene image for the comic.'));
+    img.src = src;
+});
+
+/**
+ * Splits text into lines that fit `maxWidth` with the context's current font.
+ */
+const wrapCanvasText = (ctx, text, maxWidth) => {
+    const lines = [];
+    let line = '';
+    for (const word of text.split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (line && ctx.measureText(candidate).width > maxWidth) {
+            lines.push(line);
+            line = word;
+        } else {
+            line = candidate;
+        }
+    }
+    if (line) lines.push(line);
+    return lines;
+};
+
+/**
+ * Draws up to `maxLines` of wrapped text, ending with an ellipsis when it doesn't all fit.
+ */
+const drawWrappedText = (ctx, text, x, y, maxWidth, lineHeight, maxLines) => {
+    const lines = wrapCanvasText(ctx, text, maxWidth);
+    const shown = lines.slice(0, maxLines);
+    if (lines.length > maxLines) {
+        let last = shown[maxLines - 1];
+        while (last.length > 1 && ctx.measureText(`${last}...`).width > maxWidth) last = last.slice(0, -1);
+        shown[maxLines - 1] = `${last}...`;
+    }
+    shown.forEach((line, index) => ctx.fillText(line, x, y + index * lineHeight));
+    return shown.length;
+};
+
+/**
+ * Draws an image scaled to cover the box (cropping the overflow), like CSS object-fit: cover.
+ */
+const drawImageCover = (ctx, img, x, y, width, height) => {
+    const scale = Math.max(width / img.width, height / img.height);
+    const sourceWidth = width / scale;
+    const sourceHeight = height / scale;
+    ctx.drawImage(img, (img.width - sourceWidth) / 2, (img.height - sourceHeight) / 2, sourceWidth, sourceHeight, x, y, width, height);
+};
+
+const drawSpeechBubble = (ctx, text, panelX, panelY, panelWidth, fontSize) => {
+    const padding = fontSize * 0.6;
+    const bubbleWidth = panelWidth * 0.7;
+    const lineHeight = fontSize * 1.2;
+    const lines = Math.min(wrapCanvasText(ctx, text, bubbleWidth - padding * 2).length, 4);
+    const bubbleHeight = lines * lineHeight + padding * 2;
+    const x = panelX + panelWidth * 0.05;
+    const y = panelY + panelWidth * 0.04;
+    const radius = Math.min(bubbleHeight / 2, fontSize * 1.2);
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.strokeStyle = '#111111';
+    ctx.lineWidth = Math.max(2, fontSize / 8);
+    ctx.beginPath();
+    ctx.moveTo(x + radius, y);
+    ctx.arcTo(x + bubbleWidth, y, x + bubbleWidth, y + bubbleHeight, radius);
+    ctx.arcTo(x + bubbleWidth, y + bubbleHeight, x, y + bubbleHeight, radius);
+    // The tail points down towards the scene.
+    ctx.lineTo(x + bubbleWidth * 0.35, y + bubbleHeight);
+    ctx.lineTo(x + bubbleWidth * 0.25, y + bubbleHeight + fontSize * 1.5);
+    ctx.lineTo(x + bubbleWidth * 0.22, y + bubbleHeight);
+    ctx.arcTo(x, y + bubbleHeight, x, y, radius);
+    ctx.arcTo(x, y, x + bubbleWidth, y, radius);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.fillStyle = '#111111';
+    drawWrappedText(ctx, text, x + padding, y + padding + fontSize * 0.9, bubbleWidth - padding * 2, lineHeight, 4);
+};
+
+/**
+ * Renders comic pages for the given storybook pages. Returns one canvas per comic page; the title of
+ * each later page is marked with its page number in `language`.
+ */
+const renderComicPages = async (pages, { template, pageSize, speechBubbles, title, language = DEFAULT_LANGUAGE }) => {
+    const t = createTranslator(language);
+    const { columns, rows } = COMIC_TEMPLATES[template];
+    const { width, height } = COMIC_PAGE_SIZES[pageSize];
+    const margin = Math.round(width * 0.04);
+    const gutter = Math.round(width * 0.02);
+    const titleHeight = title ? Math.round(height * 0.05) : 0;
+    const cellWidth = (width - margin * 2 - gutter * (columns - 1)) / columns;
+    const cellHeight = (height - margin * 2 - titleHeight - gutter * (rows - 1)) / rows;
+    const captionHeight = speechBubbles ? 0 : Math.round(cellHeight * 0.2);
+    const fontSize = Math.max(14, Math.round(Math.min(cellWidth, cellHeight) * 0.045));
+
+    const images = await Promise.all(pages.map(page => loadImageElement(`data:${page.image.mimeType};base64,${page.image.data}`)));
+    const panelsPerPage = columns * rows;
+    const canvases = [];
+
+    for (let first = 0; first < pages.length; first += panelsPerPage) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(0, 0, width, height);
+        ctx.textBaseline = 'alphabetic';
+
+        if (title) {
+            ctx.fillStyle = '#111111';
+            ctx.font = `bold ${Math.round(titleHeight * 0.6)}px 'Comic Sans MS', 'Comic Neue', sans-serif`;
+            drawWrappedText(ctx, first === 0 ? title : t('comicContinuedTitle', { title, page: canvases.length + 1 }), margin, margin + titleHeight * 0.7, width - margin * 2, titleHeight, 1);
+        }
+
+        pages.slice(first, first + panelsPerPage).forEach((page, index) => {
+            const x = margin + (index % columns) * (cellWidth + gutter);
+            const y = margin + titleHeight + Math.floor(index / columns) * (cellHeight + gutter);
+            const panelHeight = cellHeight - captionHeight;
+
+            drawImageCover(ctx, images[first + index], x, y, cellWidth, panelHeight);
+            ctx.strokeStyle = '#111111';
+            ctx.lineWidth = Math.max(3, Math.round(width / 300));
+            ctx.strokeRect(x, y, cellWidth, panelHeight);
+
+            ctx.font = `${fontSize}px 'Comic Sans MS', 'Comic Neue', sans-serif`;
+            if (speechBubbles) {
+                drawSpeechBubble(ctx, page.text, x, y, cellWidth, fontSize);
+            } else {
+                ctx.fillStyle = '#FFF8DC';
+                ctx.fillRect(x, y + panelHeight, cellWidth, captionHeight);
+                ctx.strokeRect(x, y + panelHeight, cellWidth, captionHeight);
+                ctx.fillStyle = '#111111';
+                const lineHeight = fontSize * 1.2;
+                const maxLines = Math.max(1, Math.floor((captionHeight - fontSize * 0.6) / lineHeight));
+                drawWrappedText(ctx, page.text, x + fontSize * 0.5, y + panelHeight + fontSize * 1.2, cellWidth - fontSize, lineHeight, maxLines);
+            }
+        });
+        canvases.push(canvas);
+    }
+    return canvases;
+};
+
+const canvasToBlob = (canvas, mimeType, quality) => new Promise((resolve, reject) => {
+    canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Failed to encode the comic page.')), mimeType, quality);
+});
+
+/**
+ * Writes a minimal PDF with one full-page JPEG image per page.
+ * pages: [{ jpeg: Uint8Array, pixelWidth, pixelHeight, widthPt, heightPt }]
+ */
+const buildJpegPdf = (pages) => {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+    const write = (data) => {
+        const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+    const writeObject = (id, body, stream) => {
+        offsets[id] = length;
+        write(`${id} 0 obj\n${body}\n`);
+        if (stream) {
+            write('stream\n');
+            write(stream);
+            write('\nendstream\n');
+        }
+        write('endobj\n');
+    };
+
+    // Object ids: 1 catalog, 2 page tree, then (page, image, content) triples.
+    const pageIds = pages.map((page, index) => 3 + index * 3);
+    write('%PDF-1.4\n');
+    writeObject(1, '<< /Type /Catalog /Pages 2 0 R >>');
+    writeObject(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+    pages.forEach((page, index) => {
+        const pageId = pageIds[index];
+        const drawImage = encoder.encode(`q ${page.widthPt} 0 0 ${page.heightPt} 0 0 cm /Im0 Do Q`);
+        writeObject(pageId, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${page.widthPt} ${page.heightPt}] /Resources << /XObject << /Im0 ${pageId + 1} 0 R >> >> /Contents ${pageId + 2} 0 R >>`);
+        writeObject(pageId + 1, `<< /Type /XObject /Subtype /Image /Width ${page.pixelWidth} /Height ${page.pixelHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>`, page.jpeg);
+        writeObject(pageId + 2, `<< /Length ${drawImage.length} >>`, drawImage);
+    });
+
+    const objectCount = 3 + pages.length * 3;
+    const xrefOffset = length;
+    write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+    for (let id = 1; id < objectCount; id++) {
+        write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+    }
+    write(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+    return new Blob(chunks, { type: 'application/pdf' });
+};
+
+// --- Settings Components ---
+// These keep their own draft state, so they live outside App.
+
+/**
+ * Collapsible form for choosing the model provider, API key, model names and endpoint.
+ */
+const ProviderSettingsPanel = ({ settings, onSave, disabled, t }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [draft, setDraft] = useState(settings);
+
+    const updateDraft = (field) => (e) => setDraft({ ...draft, [field]: e.target.value });
+    const updateMockDraft = (field, parse = Number) => (e) => setDraft({ ...draft, mock: { ...draft.mock, [field]: parse(e.target.value) } });
+    const updateBudgetDraft = (field) => (e) => setDraft({ ...draft, historyBudget: { ...draft.historyBudget, [field]: Math.max(0, Number(e.target.value)) } });
+    const updateRegroundingDraft = (field, parse) => (e) => setDraft({ ...draft, regrounding: { ...draft.regrounding, [field]: parse(e.target) } });
+    const updateTimeoutDraft = (field) => (e) => setDraft({ ...draft, timeouts: { ...draft.timeouts, [field]: Math.max(5, Number(e.target.value)) } });
+    const updatePriceDraft = (model, field) => (e) => setDraft({
+        ...draft,
+        prices: { ...draft.prices, [model]: { inputPerMillion: 0, outputPerMillion: 0, perImage: 0, ...draft.prices[model], [field]: Math.max(0, Number(e.target.value) || 0) } },
+    });
+    const updateSessionBudgetDraft = (field) => (e) => setDraft({ ...draft, budget: { ...draft.budget, [field]: Math.max(0, Number(e.target.value) || 0) } });
+
+    // Prices are edited for the models these settings would call.
+    const pricedModels = [...new Set(draft.demoMode ? [MOCK_TEXT_MODEL, MOCK_IMAGE_MODEL] : [draft.textModel, draft.imageModel])].filter(Boolean);
+
+    // Switching provider swaps in that provider's default models and endpoint.
+    const changeProvider = (e) => setDraft({ ...draft, provider: e.target.value, ...MODEL_PROVIDERS[e.target.value].defaults });
+
+    const inputClassName = "w-full p-2 text-sm bg-gray-900 border border-gray-600 rounded-lg text-white focus:ring-yellow-500 focus:border-yellow-500";
+
+    return (
+        <div className="w-full mt-3">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className="flex justify-between items-center w-full text-sm font-semibold text-gray-400 hover:text-yellow-400 transition"
+            >
+                {t('settingsTitle', { provider: settings.demoMode ? t('settingsDemoMode') : MODEL_PROVIDERS[settings.provider]?.label || settings.provider })}
+                <svg className={`w-4 h-4 transform transition-transform ${isOpen ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
+            </button>
+
+            {isOpen && (
+                <div className="mt-2 p-3 bg-gray-700 rounded-lg space-y-2 text-sm text-gray-300">
+                    <label className="block">
+                        {t('settingsProvider')}
+                        <select value={draft.provider} onChange={changeProvider} className={inputClassName} disabled={disabled}>
+                            {Object.entries(MODEL_PROVIDERS).map(([id, { label }]) => (
+                                <option key={id} value={id}>{label}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <label className="block">
+                        {t('settingsApiKey')} <span className="text-xs text-gray-400">{t('settingsApiKeyNote')}</span>
+                        <input type="password" value={draft.apiKey} onChange={updateDraft('apiKey')} className={inputClassName} disabled={disabled} autoComplete="off" />
+                    </label>
+                    <label className="block">
+                        {t('settingsTextModel')}
+                        <input type="text" value={draft.textModel} onChange={updateDraft('textModel')} className={inputClassName} disabled={disabled} />
+                    </label>
+                    <label className="block">
+                        {t('settingsImageModel')}
+                        <input type="text" value={draft.imageModel} onChange={updateDraft('imageModel')} className={inputClassName} disabled={disabled} />
+                    </label>
+                    <label className="block">
+                        {t('settingsBaseUrl')}
+                        <input type="url" value={draft.baseUrl} onChange={updateDraft('baseUrl')} className={inputClassName} disabled={disabled} />
+                    </label>
+                    <label className="flex items-center gap-2 pt-1">
+                        <input type="checkbox" checked={draft.demoMode} onChange={(e) => setDraft({ ...draft, demoMode: e.target.checked })} disabled={disabled} />
+                        <span>{t('settingsDemoModeToggle')}</span>
+                    </label>
+                    {draft.demoMode && (
+                        <div className="grid grid-cols-2 gap-2 ps-6">
+                            <label className="block">
+                                {t('settingsLatency')}
+                                <input type="number" min="0" step="100" value={draft.mock.latencyMs} onChange={updateMockDraft('latencyMs')} className={inputClassName} disabled={disabled} />
+                            </label>
+                            <label className="block">
+                                {t('settingsSeed')}
+                                <input type="number" step="1" value={draft.mock.seed} onChange={updateMockDraft('seed')} className={inputClassName} disabled={disabled} />
+                            </label>
+                            <label className="block">
+                                {t('settingsFailureMode')}
+                                <select value={draft.mock.failureMode} onChange={updateMockDraft('failureMode', String)} className={inputClassName} disabled={disabled}>
+                                    {Object.entries(MOCK_FAILURE_MODES).map(([id, label]) => (
+                                        <option key={id} value={id}>{t(label)}</option>
+                                    ))}
+                                </select>
+                            </label>
+                            <label className="block">
+                                {t('settingsFailureRate')}
+                                <input type="number" min="0" max="1" step="0.05" value={draft.mock.failureRate} onChange={updateMockDraft('failureRate')} className={inputClassName} disabled={disabled || draft.mock.failureMode === 'none'} />
+                            </label>
+                        </div>
+                    )}
+                    <h4 className="font-semibold text-yellow-300 pt-2">{t('settingsHistoryBudget')}</h4>
+                    <div className="grid grid-cols-3 gap-2">
+                        <label className="block">
+                            {t('settingsFullSizeScenes')}
+                            <input type="number" min="1" step="1" value={draft.historyBudget.fullResolutionImages} onChange={updateBudgetDraft('fullResolutionImages')} className={inputClassName} disabled={disabled} />
+                        </label>
+                        <label className="block">
+                            {t('settingsOlderWidth')}
+                            <input type="number" min="64" step="32" value={draft.historyBudget.olderImageWidth} onChange={updateBudgetDraft('olderImageWidth')} className={inputClassName} disabled={disabled} />
+                        </label>
+                        <label className="block">
+                            {t('settingsPayloadBudget')}
+                            <input type="number" min="256" step="256" value={draft.historyBudget.maxPayloadKB} onChange={updateBudgetDraft('maxPayloadKB')} className={inputClassName} disabled={disabled} />
+                        </label>
+                    </div>
+                    <p className="text-xs text-gray-400">{t('settingsHistoryBudgetHint')}</p>
+                    <h4 className="font-semibold text-yellow-300 pt-2">{t('settingsRegrounding')}</h4>
+                    <div className="grid grid-cols-2 gap-2">
+                        <label className="block">
+                            {t('settingsRegroundEvery')}
+                            <input type="number" min="0" step="1" value={draft.regrounding.everyNTurns} onChange={updateRegroundingDraft('everyNTurns', target => Math.max(0, Math.floor(Number(target.value))))} className={inputClassName} disabled={disabled} />
+                        </label>
+                        <label className="block">
+                            {t('settingsRegroundMode')}
+                            <select value={draft.regrounding.mode} onChange={updateRegroundingDraft('mode', target => target.value)} className={inputClassName} disabled={disabled}>
+                                <option value="merge">{t('settingsRegroundMerge')}</option>
+                                <option value="replace">{t('settingsRegroundReplace')}</option>
+                            </select>
+                        </label>
+                    </div>
+                    <label className="flex items-center gap-2">
+                        <input type="checkbox" checked={draft.regrounding.afterRefinement} onChange={updateRegroundingDraft('afterRefinement', target => target.checked)} disabled={disabled} />
+                        <span>{t('settingsRegroundAfterRefinement')}</span>
+                    </label>
+                    <p className="text-xs text-gray-400">{t('settingsRegroundingHint')}</p>
+                    <h4 className="font-semibold text-yellow-300 pt-2">{t('settingsNarration')}</h4>
+                    <label className="block">
+                        {t('settingsPassageLength')}
+                        <select value={draft.narrationLength} onChange={(e) => setDraft({ ...draft, narrationLength: e.target.value })} className={inputClassName} disabled={disabled}>
+                            {Object.entries(NARRATION_LENGTHS).map(([value, { label }]) => (
+                                <option key={value} value={value}>{t(label)}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <p className="text-xs text-gray-400">{t('settingsNarrationHint')}</p>
+                    <h4 className="font-semibold text-yellow-300 pt-2">{t('settingsChoices')}</h4>
+                    <label className="block">
+                        {t('settingsChoicesPerTurn')}
+                        <select value={draft.choiceCount} onChange={(e) => setDraft({ ...draft, choiceCount: Number(e.target.value) })} className={inputClassName} disabled={disabled}>
+                            {Array.from({ length: MAX_CHOICE_COUNT - MIN_CHOICE_COUNT + 1 }, (_, index) => MIN_CHOICE_COUNT + index).map(count => (
+                                <option key={count} value={count}>{count}</option>
+                            ))}
+                        </select>
+                    </label>
+                    <p className="text-xs text-gray-400">{t('settingsChoicesHint')}</p>
+                    <h4 className="font-semibold text-yellow-300 pt-2">{t('settingsAccessibility')}</h4>
+                    <label className="flex items-center gap-2">
+                        <input type="checkbox" checked={draft.sceneAltText} onChange={(e) => setDraft({ ...draft, sceneAltText: e.target.checked })} disabled={disabled} />
+                        <span>{t('settingsSceneAltText')}</span>
+                    </label>
+                    <p className="text-xs text-gray-400">{t('settingsSceneAltTextHint')}</p>
+                    <h4 className="font-semibold text-yellow-300 pt-2">{t('settingsPrices')}</h4>
+                    {pricedModels.map(model => (
+                        <div key={model} className="space-y-1">
+                            <p className="text-xs font-mono text-gray-400">{model}</p>
+                            <div className="grid grid-cols-3 gap-2">
+                                <label className="block text-xs">
+                                    {t('settingsInputPrice')}
+                                    <input type="number" min="0" step="0.01" value={draft.prices[model]?.inputPerMillion ?? 0} onChange={updatePriceDraft(model, 'inputPerMillion')} className={inputClassName} disabled={disabled} />
+                                </label>
+                                <label className="block text-xs">
+                                    {t('settingsOutputPrice')}
+                                    <input type="number" min="0" step="0.01" value={draft.prices[model]?.outputPerMillion ?? 0} onChange={updatePriceDraft(model, 'outputPerMillion')} className={inputClassName} disabled={disabled} />
+                                </label>
+                                <label className="block text-xs">
+                                    {t('settingsImagePrice')}
+                                    <input type="number" min="0" step="0.01" value={draft.prices[model]?.perImage ?? 0} onChange={updatePriceDraft(model, 'perImage')} className={inputClassName} disabled={disabled} />
+                                </label>
+                            </div>
+                        </div>
+                    ))}
+                    <div className="grid grid-cols-2 gap-2">
+                        <label className="block">
+                            {t('settingsSoftBudget')}
+                            <input type="number" min="0" step="0.5" value={draft.budget.softUSD} onChange={updateSessionBudgetDraft('softUSD')} className={inputClassName} disabled={disabled} />
+                        </label>
+                        <label className="block">
+                            {t('settingsHardBudget')}
+                            <input type="number" min="0" step="0.5" value={draft.budget.hardUSD} onChange={updateSessionBudgetDraft('hardUSD')} className={inputClassName} disabled={disabled} />
+                        </label>
+                    </div>
+                    <p className="text-xs text-gray-400">{t('settingsBudgetHint')}</p>
+                    <h4 className="font-semibold text-yellow-300 pt-2">{t('settingsTimeouts')}</h4>
+                    <div className="grid grid-cols-2 gap-2">
+                        <label className="block">
+                            {t('settingsTextTimeout')}
+                            <input type="number" min="5" step="5" value={draft.timeouts.textSeconds} onChange={updateTimeoutDraft('textSeconds')} className={inputClassName} disabled={disabled} />
+                        </label>
+                        <label className="block">
+                            {t('settingsImageTimeout')}
+                            <input type="number" min="5" step="5" value={draft.timeouts.imageSeconds} onChange={updateTimeoutDraft('imageSeconds')} className={inputClassName} disabled={disabled} />
+                        </label>
+                    </div>
+                    <p className="text-xs text-gray-400">{t('settingsTimeoutsHint')}</p>
+                    <div className="flex gap-2 pt-1">
+                        <button
+                            onClick={() => { onSave({ ...draft, baseUrl: draft.baseUrl.replace(/\/+$/, '') }); setIsOpen(false); }}
+                            disabled={disabled || !draft.textModel.trim() || !draft.imageModel.trim() || !draft.baseUrl.trim()}
+                            className="flex-1 p-2 bg-yellow-600 hover:bg-yellow-700 text-gray-900 font-bold rounded-lg transition duration-300 disabled:opacity-50"
+                        >
+                            {t('settingsSave')}
+                        </button>
+                        <button
+                            onClick={() => setDraft({ ...DEFAULT_PROVIDER_SETTINGS })}
+                            disabled={disabled}
+                            className="p-2 bg-gray-500 hover:bg-gray-600 text-white font-medium rounded-lg transition duration-300 disabled:opacity-50"
+                        >
+                            {t('settingsReset')}
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Collapsible editor for custom themes and styles. Built-in presets are listed read-only and can be
+ * duplicated as a starting point; custom ones can be edited, duplicated, deleted and shared as JSON.
+ */
+const PresetEditorPanel = ({ customPresets, onChange, disabled, t }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    // The preset being edited: { kind: 'theme' | 'style', originalName (null when new), name, ...fields }
+    const [editing, setEditing] = useState(null);
+    const [message, setMessage] = useState(null);
+    const presetsFileInputRef = useRef(null);
+
+    const builtIn = {
+        theme: Object.keys(THEME_CONTENT_MODIFIERS).map(name => ({ name, ...resolveTheme(name, EMPTY_PRESETS) })),
+        style: Object.keys(STYLE_MODIFIERS).map(name => ({ name, ...resolveStyle(name, EMPTY_PRESETS) })),
+    };
+    const custom = {
+        theme: Object.entries(customPresets.themes).map(([name, definition]) => ({ name, ...definition })),
+        style: Object.entries(customPresets.styles).map(([name, definition]) => ({ name, ...definition })),
+    };
+    const collectionKey = (kind) => kind === 'theme' ? 'themes' : 'styles';
+
+    const uniqueName = (kind, base) => {
+        const taken = (name) => (kind === 'theme' ? isBuiltInTheme(name) : isBuiltInStyle(name)) || customPresets[collectionKey(kind)][name];
+        let name = base;
+        for (let i = 2; taken(name); i++) name = `${base} ${i}`;
+        return name;
+    };
+
+    // Themes edit their stat set as text (`statsText`), parsed back into `stats` on save.
+    const toEditing = (kind, { stats, ...preset }) => kind === 'theme'
+        ? { kind, ...preset, statsText: formatStatSet(stats ?? DEFAULT_STAT_SET) }
+        : { kind, ...preset };
+
+    const startNew = (kind) => {
+        setMessage(null);
+        setEditing(kind === 'theme'
+            ? toEditing(kind, { originalName: null, name: uniqueName(kind, t('presetsDefaultThemeName')), contentModifier: '', systemPrompt: builtIn.theme[0].systemPrompt })
+            : { kind, originalName: null, name: uniqueName(kind, t('presetsDefaultStyleName')), styleModifier: '' });
+    };
+
+    const duplicate = (kind, preset) => {
+        setMessage(null);
+        // A copy of a built-in theme is a custom theme with its own system prompt, not the built-in template.
+        const { name, systemPromptTemplate, ...definition } = preset;
+        setEditing(toEditing(kind, { originalName: null, name: uniqueName(kind, t('presetsCopyName', { name })), ...definition }));
+    };
+
+    const remove = (kind, name) => {
+        const key = collectionKey(kind);
+        const { [name]: removed, ...rest } = customPresets[key];
+        onChange({ ...customPresets, [key]: rest });
+        if (editing?.originalName === name && editing.kind === kind) setEditing(null);
+    };
+
+    const saveEditing = () => {
+        const { kind, originalName, name: rawName, statsText, ...fields } = editing;
+        const name = rawName.trim();
+        const key = collectionKey(kind);
+        const isBuiltIn = kind === 'theme' ? isBuiltInTheme(name) : isBuiltInStyle(name);
+        if (isBuiltIn || (name !== originalName && customPresets[key][name])) {
+            setMessage(t(kind === 'theme' ? 'presetsThemeExists' : 'presetsStyleExists', { name }));
+            return;
+        }
+        try {
+            const definition = kind === 'theme' ? { ...fields, stats: parseStatSet(statsText) } : fields;
+            const { [originalName]: replaced, ...rest } = customPresets[key];
+            const updated = { ...customPresets, [key]: { ...rest, [name]: definition } };
+            validatePresets(updated);
+            onChange(updated);
+            setEditing(null);
+            setMessage(t(kind === 'theme' ? 'presetsThemeSaved' : 'presetsStyleSaved', { name }));
+        } catch (err) {
+            setMessage(err.message);
+        }
+    };
+
+    const importPresets = async (file) => {
+        try {
+            const incoming = parsePresetsFile(await file.text());
+            // Imported entries overwrite custom presets of the same name.
+            onChange({
+                themes: { ...customPresets.themes, ...incoming.themes },
+                styles: { ...customPresets.styles, ...incoming.styles },
+            });
+            setMessage(t('presetsImported', {
+                themes: t('themeCount', { count: Object.keys(incoming.themes).length }),
+                styles: t('styleCount', { count: Object.keys(incoming.styles).length }),
+            }));
+        } catch (err) {
+            setMessage(t('errorImportPresets', { message: err.message }));
+        }
+    };
+
+    const inputClassName = "w-full p-2 text-sm bg-gray-900 border border-gray-600 rounded-lg text-white focus:ring-yellow-500 focus:border-yellow-500";
+    const smallButtonClassName = "px-2 py-1 text-xs bg-gray-600 hover:bg-gray-500 text-white rounded transition duration-200 disabled:opacity-50";
+
+    const renderList = (kind) => (
+        <div>
+            <div className="flex justify-between items-center mb-1">
+                <h4 className="font-semibold text-yellow-300">{t(kind === 'theme' ? 'presetsThemes' : 'presetsStyles')}</h4>
+                <button onClick={() => startNew(kind)} disabled={disabled} className={smallButtonClassName}>{t(kind === 'theme' ? 'presetsAddTheme' : 'presetsAddStyle')}</button>
+            </div>
+            <ul className="space-y-1">
+                {builtIn[kind].map(preset => (
+                    <li key={preset.name} className="flex items-center justify-between">
+                        <span>{preset.name} <span className="text-xs text-gray-400">{t('presetsBuiltIn')}</span></span>
+                        <button onClick={() => duplicate(kind, preset)} disabled={disabled} className={smallButtonClassName}>{t('duplicate')}</button>
+                    </li>
+                ))}
+                {custom[kind].map(preset => (
+                    <li key={preset.name} className="flex items-center justify-between">
+                        <span className="truncate">{preset.name}</span>
+                        <span className="flex gap-1 flex-shrink-0">
+                            <button onClick={() => { setMessage(null); setEditing(toEditing(kind, { originalName: preset.name, ...preset })); }} disabled={disabled} className={smallButtonClassName}>{t('edit')}</button>
+                            <button onClick={() => duplicate(kind, preset)} disabled={disabled} className={smallButtonClassName}>{t('duplicate')}</button>
+                            <button onClick={() => remove(kind, preset.name)} disabled={disabled} className="px-2 py-1 text-xs bg-red-800 hover:bg-red-700 text-white rounded transition duration-200 disabled:opacity-50">{t('delete')}</button>
+                        </span>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+
+    return (
+        <div className="w-full mb-6">
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                className="flex justify-between items-center w-full text-sm font-semibold text-gray-400 hover:text-yellow-400 transition"
+            >
+                {t('presetsTitle', { total: custom.theme.length + custom.style.length })}
+                <svg className={`w-4 h-4 transform transition-transform ${isOpen ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
+            </button>
+
+            {isOpen && (
+                <div className="mt-2 p-3 bg-gray-700 rounded-lg space-y-3 text-sm text-gray-300">
+                    {editing ? (
+                        <div className="space-y-2">
+                            <h4 className="font-semibold text-yellow-300">
+                                {editing.kind === 'theme'
+                                    ? (editing.originalName ? t('presetsEditTheme', { name: editing.originalName }) : t('presetsNewTheme'))
+                                    : (editing.originalName ? t('presetsEditStyle', { name: editing.originalName }) : t('presetsNewStyle'))}
+                            </h4>
+                            <label className="block">
+                                {t('presetsName')}
+                                <input type="text" value={editing.name} onChange={(e) => setEditing({ ...editing, name: e.target.value })} className={inputClassName} disabled={disabled} />
+                            </label>
+                            {editing.kind === 'theme' ? (
+                                <>
+                                    <label className="block">
+                                        {t('presetsContentModifier')} <span className="text-xs text-gray-400">{t('presetsContentModifierNote')}</span>
+                                        <textarea rows="2" value={editing.contentModifier} onChange={(e) => setEditing({ ...editing, contentModifier: e.target.value })} className={inputClassName} disabled={disabled} />
+                                    </label>
+                                    <label className="block">
+                                        {t('presetsSystemPrompt')} <span className="text-xs text-gray-400">{t('presetsSystemPromptNote')}</span>
+                                        <textarea rows="5" value={editing.systemPrompt} onChange={(e) => setEditing({ ...editing, systemPrompt: e.target.value })} className={inputClassName} disabled={disabled} />
+                                    </label>
+                                    <label className="block">
+                                        {t('presetsStats')} <span className="text-xs text-gray-400">{t('presetsStatsNote')}</span>
+                                        <textarea rows="3" value={editing.statsText} onChange={(e) => setEditing({ ...editing, statsText: e.target.value })} className={`${inputClassName} font-mono`} disabled={disabled} />
+                                    </label>
+                                </>
+                            ) : (
+                                <label className="block">
+                                    {t('presetsStyleModifier')} <span className="text-xs text-gray-400">{t('presetsStyleModifierNote')}</span>
+                                    <textarea rows="3" value={editing.styleModifier} onChange={(e) => setEditing({ ...editing, styleModifier: e.target.value })} className={inputClassName} disabled={disabled} />
+                                </label>
+                            )}
+                            <div className="flex gap-2">
+                                <button
+                                    onClick={saveEditing}
+                                    disabled={disabled || !editing.name.trim()}
+                                    className="flex-1 p-2 bg-yellow-600 hover:bg-yellow-700 text-gray-900 font-bold rounded-lg transition duration-300 disabled:opacity-50"
+                                >
+                                    {t(editing.kind === 'theme' ? 'presetsSaveTheme' : 'presetsSaveStyle')}
+                                </button>
+                                <button
+                                    onClick={() => setEditing(null)}
+                                    className="p-2 bg-gray-500 hover:bg-gray-600 text-white font-medium rounded-lg transition duration-300"
+                                >
+                                    {t('cancel')}
+                                </button>
+                            </div>
+                        </div>
+                    ) : (
+                        <>
+                            {renderList('theme')}
+                            {renderList('style')}
+                            <div className="flex gap-2 pt-1">
+                                <button
+                                    onClick={() => downloadJsonFile(buildPresetsFile(customPresets), 'adventure_presets.json')}
+                                    disabled={disabled || custom.theme.length + custom.style.length === 0}
+                                    className="flex-1 p-2 bg-gray-600 hover:bg-gray-500 text-white font-medium rounded-lg transition duration-300 disabled:opacity-50"
+                                >
+                                    {t('presetsShare')}
+                                </button>
+                                <input
+                                    ref={presetsFileInputRef}
+                                    type="file"
+                                    accept="application/json,.json"
+                                    className="hidden"
+                                    onChange={(e) => {
+                                        const file = e.target.files?.[0];
+                                        e.target.value = '';
+                                        if (file) importPresets(file);
+                                    }}
+                                />
+                                <button
+                                    onClick={() => presetsFileInputRef.current?.click()}
+                                    disabled={disabled}
+                                    className="flex-1 p-2 bg-gray-600 hover:bg-gray-500 text-white font-medium rounded-lg transition duration-300 disabled:opacity-50"
+                                >
+                                    {t('presetsImport')}
+                                </button>
+                            </div>
+                        </>
+                    )}
+                    {message && <p className="text-xs text-yellow-200">{message}</p>}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Shortcuts while playing, listed under the choices (`label` is a UI string). Keys other than Esc are
+// ignored while typing in a field.
+const KEYBOARD_SHORTCUTS = [
+    { keys: '1-9', label: 'shortcutChoose' },
+    { keys: 'R', label: 'shortcutRefine' },
+    { keys: 'D', label: 'shortcutDownload' },
+    { keys: 'Esc', label: 'shortcutCancel' },
+    { keys: 'Shift+N', label: 'shortcutNewAdventure' },
+];
+
+/**
+ * Free-text action box under the generated choices. Typed actions go through the same narrative step.
+ */
+const CustomActionInput = ({ onSubmit, disabled, t }) => {
+    const [action, setAction] = useState('');
+
+    const submit = () => {
+        const text = action.trim();
+        if (text && !disabled) {
+            onSubmit(text);
+            setAction('');
+        }
+    };
+
+    return (
+        <div className="flex gap-2">
+            <textarea
+                value={action}
+                onChange={(e) => setAction(e.target.value)}
+                onKeyDown={(e) => {
+                    if (e.key === 'Enter' && !e.shiftKey) {
+                        e.preventDefault();
+                        submit();
+                    }
+                }}
+                placeholder={t('customActionPlaceholder')}
+                aria-label={t('customActionLabel')}
+                rows="2"
+                className="flex-1 p-3 text-base bg-gray-700 border border-gray-600 rounded-xl text-white focus:ring-yellow-500 focus:border-yellow-500 transition duration-300"
+                disabled={disabled}
+            />
+            <button
+                onClick={submit}
+                disabled={disabled || action.trim().length === 0}
+                className="px-4 bg-green-600 hover:bg-green-700 text-white font-bold rounded-xl shadow-md transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+                {t('doIt')}
+            </button>
+        </div>
+    );
+};
+
+/**
+ * Storybook export buttons: an offline HTML file, or the same pages opened for printing / saving as PDF.
+ */
+const StorybookExportPanel = ({ storyPath, theme, imageStyle, language, disabled, t }) => {
+    const [includeRefinements, setIncludeRefinements] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const buildHtml = (autoPrint) => buildStorybookHtml({
+        title: storyPath[0]?.prompt || t('storybookUntitled'),
+        theme,
+        style: imageStyle,
+        pages: buildStorybookPages(storyPath, includeRefinements),
+        language,
+        autoPrint,
+    });
+
+    const downloadHtml = () => {
+        downloadBlob(new Blob([buildHtml(false)], { type: 'text/html' }), 'adventure_storybook.html');
+    };
+
+    const openForPrint = () => {
+        const url = URL.createObjectURL(new Blob([buildHtml(true)], { type: 'text/html' }));
+        const printWindow = window.open(url, '_blank');
+        setMessage(printWindow ? null : t('storybookPrintBlocked'));
+        // Give the new window time to load the document before releasing it.
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+    };
+
+    const buttonClassName = "flex-1 px-4 py-2 bg-gray-600 hover:bg-gray-700 text-white font-medium rounded-xl shadow-md transition duration-300 disabled:opacity-50";
+
+    return (
+        <div className="space-y-2">
+            <div className="flex gap-3">
+                <button onClick={downloadHtml} disabled={disabled || storyPath.length === 0} className={buttonClassName}>
+                    {t('storybookHtml')}
+                </button>
+                <button onClick={openForPrint} disabled={disabled || storyPath.length === 0} className={buttonClassName}>
+                    {t('storybookPrint')}
+                </button>
+            </div>
+            <label className="flex items-center justify-center gap-2 text-xs text-gray-400">
+                <input type="checkbox" checked={includeRefinements} onChange={(e) => setIncludeRefinements(e.target.checked)} />
+                <span>{t('storybookIncludeRefinements')}</span>
+            </label>
+            {message && <p className="text-xs text-red-300 text-center">{message}</p>}
+        </div>
+    );
+};
+
+/**
+ * Comic export options: which turns, grid template, page size and caption style, then PNG or PDF download.
+ */
+const ComicExportPanel = ({ storyPath, language, disabled, t }) => {
+    const pages = useMemo(() => buildStorybookPages(storyPath, false), [storyPath]);
+    const [isOpen, setIsOpen] = useState(false);
+    const [template, setTemplate] = useState('grid-2x2');
+    const [pageSize, setPageSize] = useState('a4-portrait');
+    const [fromTurn, setFromTurn] = useState(1);
+    // null follows the latest turn as the adventure grows.
+    const [toTurn, setToTurn] = useState(null);
+    const [speechBubbles, setSpeechBubbles] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const first = Math.min(Math.max(1, fromTurn), pages.length);
+    const last = Math.min(Math.max(first, toTurn ?? pages.length), pages.length);
+
+    const exportComic = async (format) => {
+        setBusy(true);
+        setMessage(null);
+        try {
+            const canvases = await renderComicPages(pages.slice(first - 1, last), {
+                template,
+                pageSize,
+                speechBubbles,
+                title: storyPath[0]?.prompt,
+                language,
+            });
+            if (format === 'pdf') {
+                const size = COMIC_PAGE_SIZES[pageSize];
+                const pdfPages = await Promise.all(canvases.map(async canvas => ({
+                    jpeg: new Uint8Array(await (await canvasToBlob(canvas, 'image/jpeg', 0.9)).arrayBuffer()),
+                    pixelWidth: canvas.width,
+                    pixelHeight: canvas.height,
+                    widthPt: size.widthPt,
+                    heightPt: size.heightPt,
+                })));
+                downloadBlob(buildJpegPdf(pdfPages), 'adventure_comic.pdf');
+            } else {
+                for (const [index, canvas] of canvases.entries()) {
+                    const suffix = canvases.length > 1 ? `_page${index + 1}` : '';
+                    downloadBlob(await canvasToBlob(canvas, 'image/png'), `adventure_comic${suffix}.png`);
+                }
+            }
+            setMessage(t('comicExported', {
+                panels: t('panelCount', { count: last - first + 1 }),
+                pages: t('pageCount', { count: canvases.length }),
+            }));
+        } catch (err) {
+            console.error('Comic Export Error:', err);
+            setMessage(t('errorComicExport', { message: err.message }));
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const selectClassName = "w-full p-1 text-sm bg-gray-900 border border-gray-600 rounded-lg text-white";
+    const buttonClassName = "flex-1 px-4 py-2 bg-gray-600 hover:bg-gray-700 text-white font-medium rounded-xl shadow-md transition duration-300 disabled:opacity-50";
+
+    return (
+        <div>
+            <button
+                onClick={() => setIsOpen(!isOpen)}
+                disabled={pages.length === 0}
+                className="w-full px-4 py-2 bg-gray-600 hover:bg-gray-700 text-white font-medium rounded-xl shadow-md transition duration-300 disabled:opacity-50"
+            >
+                {t('comicExport')}
+            </button>
+            {isOpen && (
+                <div className="mt-2 p-3 bg-gray-700 rounded-lg space-y-2 text-sm text-gray-300">
+                    <div className="grid grid-cols-2 gap-2">
+                        <label className="block">
+                            {t('comicFromTurn')}
+                            <input type="number" min="1" max={pages.length} value={first} onChange={(e) => setFromTurn(Number(e.target.value))} className={selectClassName} />
+                        </label>
+                        <label className="block">
+                            {t('comicToTurn')}
+                            <input type="number" min={first} max={pages.length} value={last} onChange={(e) => setToTurn(Number(e.target.value))} className={selectClassName} />
+                        </label>
+                        <label className="block">
+                            {t('comicLayout')}
+                            <select value={template} onChange={(e) => setTemplate(e.target.value)} className={selectClassName}>
+                                {Object.entries(COMIC_TEMPLATES).map(([id, { label }]) => <option key={id} value={id}>{t(label)}</option>)}
+                            </select>
+                        </label>
+                        <label className="block">
+                            {t('comicPageSize')}
+                            <select value={pageSize} onChange={(e) => setPageSize(e.target.value)} className={selectClassName}>
+                                {Object.entries(COMIC_PAGE_SIZES).map(([id, { label }]) => <option key={id} value={id}>{t(label)}</option>)}
+                            </select>
+                        </label>
+                    </div>
+                    <label className="flex items-center gap-2">
+                        <input type="checkbox" checked={speechBubbles} onChange={(e) => setSpeechBubbles(e.target.checked)} />
+                        <span>{t('comicSpeechBubbles')}</span>
+                    </label>
+                    <div className="flex gap-2">
+                        <button onClick={() => exportComic('png')} disabled={disabled || busy} className={buttonClassName}>
+                            {busy ? t('comicRendering') : t('comicDownloadPng')}
+                        </button>
+                        <button onClick={() => exportComic('pdf')} disabled={disabled || busy} className={buttonClassName}>
+                            {busy ? t('comicRendering') : t('comicDownloadPdf')}
+                        </button>
+                    </div>
+                    {message && <p className="text-xs text-yellow-200">{message}</p>}
+                </div>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Collapsible character sheet: stats from the theme's stat set, inventory, companions, location and
+ * quest flags, with what the latest action changed. Open state lives in App.
+ */
+const CharacterSheet = ({ gameState, statSet, lastChanges, isOpen, onToggle, t }) => {
+    const changedStats = Object.fromEntries((Array.isArray(lastChanges?.statChanges) ? lastChanges.statChanges : [])
+        .filter(change => change && Number.isFinite(change.delta) && change.delta !== 0)
+        .map(change => [String(change.stat).toLowerCase(), change.delta]));
+    const isNew = (list, entry) => Array.isArray(list) && list.some(item => typeof item === 'string' && item.toLowerCase() === entry.toLowerCase());
+
+    const renderList = (title, entries, newEntries) => (
+        <div>
+            <h4 className="text-yellow-300 font-semibold">{title}</h4>
+            {entries.length > 0 ? (
+                <ul className="flex flex-wrap gap-1 mt-1">
+                    {entries.map(entry => (
+                        <li key={entry} className={`px-2 py-0.5 rounded-full text-xs ${isNew(newEntries, entry) ? 'bg-green-700 text-white' : 'bg-gray-600 text-gray-200'}`}>{entry}</li>
+                    ))}
+                </ul>
+            ) : (
+                <p className="text-xs text-gray-500">{t('sheetNone')}</p>
+            )}
+        </div>
+    );
+
+    return (
+        <div className="bg-gray-800 p-3 rounded-xl mb-4 flex-shrink-0">
+            <button onClick={onToggle} className="flex justify-between items-center w-full text-sm font-semibold text-gray-400 hover:text-yellow-400 transition">
+                {gameState.location ? t('sheetTitleWithLocation', { location: gameState.location }) : t('sheetTitle')}
+                <svg className={`w-4 h-4 transform transition-transform ${isOpen ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
+            </button>
+            {isOpen && (
+                <div className="mt-2 space-y-3 text-sm text-gray-300">
+                    <div className="space-y-1">
+                        {statSet.map(stat => {
+                            const value = gameState.stats[stat.name] ?? stat.initial;
+                            const delta = changedStats[stat.name.toLowerCase()];
+                            return (
+                                <div key={stat.name}>
+                                    <div className="flex justify-between text-xs">
+                                        <span>{stat.name}</span>
+                                        <span className="text-white">
+                                            {value} / {stat.max}
+                                            {delta !== undefined && <span className={delta > 0 ? 'text-green-400' : 'text-red-400'}> ({delta > 0 ? '+' : ''}{delta})</span>}
+                                        </span>
+                                    </div>
+                                    <div className="w-full h-2 bg-gray-700 rounded">
+                                        <div className="h-2 bg-yellow-500 rounded" style={{ width: `${((value - stat.min) / (stat.max - stat.min)) * 100}%` }} />
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </div>
+                    {renderList(t('sheetInventory'), gameState.inventory, lastChanges?.itemsGained)}
+                    {renderList(t('sheetCompanions'), gameState.companions, lastChanges?.companionsJoined)}
+                    {renderList(t('sheetQuestFlags'), gameState.questFlags, lastChanges?.questFlagsSet)}
+                </div>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Setting for how many candidate images each step generates (1 to MAX_IMAGE_CANDIDATES).
+ */
+const ImageCandidateCountSelector = ({ count, onChange, disabled, t }) => (
+    <div className="flex items-center gap-2 text-sm text-gray-300">
+        <span>{t('imagesPerTurn')}</span>
+        {Array.from({ length: MAX_IMAGE_CANDIDATES }, (_, i) => i + 1).map(n => (
+            <button
+                key={n}
+                onClick={() => onChange(n)}
+                disabled={disabled}
+                aria-pressed={count === n}
+                className={`w-8 py-1 rounded-lg transition duration-200 disabled:opacity-50 ${count === n ? 'bg-yellow-500 text-gray-900 font-bold' : 'bg-gray-700 hover:bg-gray-600'}`}
+            >
+                {n}
+            </button>
+        ))}
+    </div>
+);
+
+/**
+ * The candidate images of the latest turn as a selectable strip.
+ */
+const ImageCandidateStrip = ({ candidates, selectedIndex, onPick, disabled, t }) => (
+    <div className="mt-3">
+        <p className="text-xs text-gray-400 mb-1">{t('imageCandidatesHint')}</p>
+        <div className="flex gap-2">
+            {candidates.map((candidate, index) => (
+                <button
+                    key={index}
+                    onClick={() => onPick(index)}
+                    disabled={disabled}
+                    aria-pressed={index === selectedIndex}
+                    aria-label={t('imageCandidateLabel', { number: index + 1 })}
+                    className={`flex-1 rounded-lg overflow-hidden border-2 transition duration-200 disabled:opacity-50 ${index === selectedIndex ? 'border-yellow-400' : 'border-gray-600 hover:border-gray-400'}`}
+                >
+                    <img src={`data:${candidate.inlineData.mimeType};base64,${candidate.inlineData.data}`} alt="" className="w-full aspect-[16/9] object-cover" />
+                </button>
+            ))}
+        </div>
+    </div>
+);
+
+// Colors for a logged call's status in the Request Inspector.
+const CALL_STATUS_CLASSES = { ok: 'text-green-400', blocked: 'text-orange-300', cancelled: 'text-gray-400', error: 'text-red-400' };
+
+/**
+ * Details of one logged call: request and response (images shortened), retries, and replay controls.
+ */
+const CallDetails = ({ call, replaying, onReplay, disabled, t }) => {
+    const operation = call.operation === 'streamText' ? 'generateText' : call.operation;
+    const [prompt, setPrompt] = useState(() => getEditablePrompt(operation, call.request) ?? '');
+    const images = collectPayloadImages(call.request);
+    const buttonClassName = "px-3 py-1 font-medium rounded-lg transition duration-300 disabled:opacity-50";
+    const preClassName = "whitespace-pre-wrap p-2 bg-gray-800 rounded text-gray-400 text-[10px] max-h-48 overflow-y-auto";
+
+    return (
+        <div className="space-y-2 border-t border-gray-600 pt-2">
+            {images.length > 0 && (
+                <div className="flex flex-wrap gap-1">
+                    {images.map((image, index) => (
+                        <img key={index} src={`data:${image.mimeType};base64,${image.data}`} alt={t('inspectorRequestImage', { number: index + 1 })} className="w-16 h-9 object-cover rounded" />
+                    ))}
+                </div>
+            )}
+            <h5 className="text-yellow-300">{t('inspectorRequest')}</h5>
+            {call.templates.length > 0 && <p className="text-gray-400">{t('inspectorTemplates', { templates: call.templates.map(formatTemplateRef).join(', ') })}</p>}
+            <pre className={preClassName}>{formatPayloadForDisplay(call.request)}</pre>
+            <h5 className="text-yellow-300">{call.status === 'ok' ? t('inspectorResponse') : t('inspectorError')}</h5>
+            <pre className={preClassName}>{call.status === 'ok' ? formatPayloadForDisplay(call.response) : `${call.error}${call.httpStatus ? ` (HTTP ${call.httpStatus})` : ''}`}</pre>
+            {call.retries.length > 0 && (
+                <ul>
+                    {call.retries.map(retry => (
+                        <li key={retry.attempt}>{t('inspectorRetry', { attempt: retry.attempt, seconds: (retry.delayMs / 1000).toFixed(2), message: retry.message })}</li>
+                    ))}
+                </ul>
+            )}
+            <h5 className="text-yellow-300">{t('inspectorReplayTitle')}</h5>
+            <textarea
+                value={prompt}
+                onChange={(e) => setPrompt(e.target.value)}
+                rows="4"
+                className="w-full p-2 bg-gray-800 border border-gray-600 rounded text-gray-200 text-[11px]"
+            />
+            <div className="flex gap-2">
+                <button onClick={() => onReplay(call)} disabled={disabled || replaying} className={`${buttonClassName} bg-gray-600 hover:bg-gray-500 text-white`}>
+                    {replaying ? t('inspectorReplaying') : t('inspectorReplayAsIs')}
+                </button>
+                <button onClick={() => onReplay(call, prompt)} disabled={disabled || replaying} className={`${buttonClassName} bg-yellow-600 hover:bg-yellow-700 text-gray-900`}>
+                    {t('inspectorReplayEdited')}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+/**
+ * The call log, newest first; picking a call shows its details. Also exports the bug-report bundle.
+ */
+const RequestInspector = ({ calls, inspectedCallId, onInspect, replayingCallId, onReplay, onExport, disabled, t }) => {
+    const inspected = calls.find(call => call.id === inspectedCallId);
+
+    return (
+        <div className="font-mono text-gray-300 space-y-2">
+            <div className="flex justify-between items-center">
+                <h4 className="text-yellow-300 font-bold">{t('inspectorTitle', { calls: t('callCount', { count: calls.length }) })}</h4>
+                <button
+                    onClick={onExport}
+                    disabled={calls.length === 0}
+                    className="px-2 py-1 bg-gray-600 hover:bg-gray-500 text-white rounded transition duration-300 disabled:opacity-50"
+                >
+                    {t('inspectorExport')}
+                </button>
+            </div>
+            {calls.length > 0 && (
+                <ul className="max-h-40 overflow-y-auto space-y-1">
+                    {[...calls].reverse().map(call => (
+                        <li key={call.id}>
+                            <button
+                                onClick={() => onInspect(call.id === inspectedCallId ? null : call.id)}
+                                className={`w-full text-start px-1 rounded ${call.id === inspectedCallId ? 'bg-gray-600' : 'hover:bg-gray-600'}`}
+                            >
+                                <span className="text-gray-500">{new Date(call.at).toLocaleTimeString()}</span>{' '}
+                                <span className="text-white">{call.operation}</span>{' '}
+                                <span className={CALL_STATUS_CLASSES[call.status]}>{call.status}{call.httpStatus ? ` ${call.httpStatus}` : ''}</span>
+                                {' '}{(call.durationMs / 1000).toFixed(2)}s
+                                {call.retries.length > 0 && `, ${t('retryCount', { count: call.retries.length })}`}
+                                {call.replayOf && ` ${t('inspectorReplayTag')}`}
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+            {inspected && (
+                <CallDetails
+                    key={inspected.id}
+                    call={inspected}
+                    replaying={replayingCallId === inspected.id}
+                    onReplay={onReplay}
+                    disabled={disabled}
+                    t={t}
+                />
+            )}
+        </div>
+    );
+};
+
+/**
+ * Token usage and estimated cost of the adventure so far, the session budget, and the CSV export.
+ */
+const UsageBudgetPanel = ({ summary, budget, status, onBudgetChange, onExportCsv, isOpen, onToggle, t }) => {
+    const [draft, setDraft] = useState(budget);
+    const inputClassName = "w-full mt-1 p-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:border-yellow-400 focus:ring-yellow-400 text-sm";
+    const updateDraft = (field) => (e) => setDraft({ ...draft, [field]: Math.max(0, Number(e.target.value) || 0) });
+    const statusClassName = { ok: 'text-gray-400', soft: 'text-yellow-300', hard: 'text-red-400' }[status];
+
+    return (
+        <div className="bg-gray-800 p-3 rounded-xl mb-4 flex-shrink-0">
+            <button onClick={onToggle} className="flex justify-between items-center w-full text-sm font-semibold text-gray-400 hover:text-yellow-400 transition">
+                <span>{t('usageTitle')} <span className={statusClassName}>{budget.hardUSD > 0 ? t('usageCostOfHard', { cost: formatUSD(summary.cost), hard: formatUSD(budget.hardUSD) }) : `(${formatUSD(summary.cost)})`}</span></span>
+                <svg className={`w-4 h-4 transform transition-transform ${isOpen ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
+            </button>
+            {isOpen && (
+                <div className="mt-2 space-y-3 text-sm text-gray-300">
+                    <div className="grid grid-cols-2 gap-1 text-xs">
+                        <span>{t('usageCalls')} <span className="text-white">{summary.calls}</span></span>
+                        <span>{t('usageImages')} <span className="text-white">{summary.images}</span></span>
+                        <span>{t('usageInputTokens')} <span className="text-white">{summary.inputTokens.toLocaleString()}</span></span>
+                        <span>{t('usageOutputTokens')} <span className="text-white">{summary.outputTokens.toLocaleString()}</span></span>
+                        <span className="col-span-2">{t('usageEstimatedCost')} <span className="text-white">{formatUSD(summary.cost)}</span></span>
+                    </div>
+                    {summary.unpricedModels.length > 0 && (
+                        <p className="text-xs text-yellow-300">{t('usageUnpriced', { models: summary.unpricedModels.join(', ') })}</p>
+                    )}
+                    <div className="grid grid-cols-2 gap-2">
+                        <label className="block text-xs">
+                            {t('usageSoftBudget')}
+                            <input type="number" min="0" step="0.5" value={draft.softUSD} onChange={updateDraft('softUSD')} className={inputClassName} />
+                        </label>
+                        <label className="block text-xs">
+                            {t('usageHardBudget')}
+                            <input type="number" min="0" step="0.5" value={draft.hardUSD} onChange={updateDraft('hardUSD')} className={inputClassName} />
+                        </label>
+                    </div>
+                    <p className="text-xs text-gray-400">{t('usageHint')}</p>
+                    <div className="flex gap-2">
+                        <button
+                            onClick={() => onBudgetChange(draft)}
+                            disabled={draft.softUSD === budget.softUSD && draft.hardUSD === budget.hardUSD}
+                            className="flex-1 p-2 bg-yellow-600 hover:bg-yellow-700 text-gray-900 font-bold rounded-lg transition duration-300 disabled:opacity-50"
+                        >
+                            {t('usageSave')}
+                        </button>
+                        <button
+                            onClick={onExportCsv}
+                            disabled={summary.calls === 0}
+                            className="flex-1 p-2 bg-gray-600 hover:bg-gray-500 text-white font-medium rounded-lg transition duration-300 disabled:opacity-50"
+                        >
+                            {t('usageDownloadCsv')}
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+/**
+ * The session's prompt templates: pick one to read its built-in wording and variables, then save an
+ * edited wording as a new revision or revert to the built-in text. Earlier revisions stay on record.
+ */
+const PromptTemplatesPanel = ({ overrides, onChange, disabled, t }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [selectedId, setSelectedId] = useState(Object.keys(PROMPT_TEMPLATES)[0]);
+    const [draft, setDraft] = useState(() => resolvePromptTemplate(selectedId, overrides).text);
+
+    const template = PROMPT_TEMPLATES[selectedId];
+    const active = resolvePromptTemplate(selectedId, overrides);
+    const revisions = overrides[selectedId] || [];
+    const overriddenCount = Object.keys(PROMPT_TEMPLATES).filter(id => resolvePromptTemplate(id, overrides).ref.revision).length;
+
+    const selectTemplate = (id) => {
+        setSelectedId(id);
+        setDraft(resolvePromptTemplate(id, overrides).text);
+    };
+
+    const saveDraft = () => onChange(addPromptOverride(overrides, selectedId, draft));
+
+    const revert = () => {
+        onChange(addPromptOverride(overrides, selectedId, null));
+        setDraft(template.text);
+    };
+
+    const inputClassName = "w-full mt-1 p-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:border-yellow-400 focus:ring-yellow-400 text-sm";
+
+    return (
+        <div className="bg-gray-800 p-3 rounded-xl mb-4 flex-shrink-0">
+            <button onClick={() => setIsOpen(!isOpen)} className="flex justify-between items-center w-full text-sm font-semibold text-gray-400 hover:text-yellow-400 transition">
+                <span>{t('templatesTitle', { overridden: overriddenCount })}</span>
+                <svg className={`w-4 h-4 transform transition-transform ${isOpen ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
+            </button>
+            {isOpen && (
+                <div className="mt-2 space-y-2 text-sm text-gray-300">
+                    <select value={selectedId} onChange={(e) => selectTemplate(e.target.value)} className={inputClassName}>
+                        {Object.keys(PROMPT_TEMPLATES).map(id => (
+                            <option key={id} value={id}>{id}{resolvePromptTemplate(id, overrides).ref.revision ? ` ${t('templatesOverriddenTag')}` : ''}</option>
+                        ))}
+                    </select>
+                    <p className="text-xs text-gray-400">{template.description}</p>
+                    <p className="text-xs text-gray-400">
+                        {t('templatesVariables', { variables: template.variables.length > 0 ? template.variables.map(name => `{${name}}`).join(', ') : t('templatesNoVariables') })}
+                        {' '}· {t('templatesInUse')} <span className="text-white">{formatTemplateRef(active.ref)}</span>
+                    </p>
+                    <textarea rows="5" value={draft} onChange={(e) => setDraft(e.target.value)} className={`${inputClassName} font-mono text-xs`} disabled={disabled} />
+                    <div className="flex gap-2">
+                        <button
+                            onClick={saveDraft}
+                            disabled={disabled || !draft.trim() || draft === active.text}
+                            className="flex-1 p-2 bg-yellow-600 hover:bg-yellow-700 text-gray-900 font-bold rounded-lg transition duration-300 disabled:opacity-50"
+                        >
+                            {t('templatesSaveRevision', { revision: revisions.length + 1 })}
+                        </button>
+                        <button
+                            onClick={revert}
+                            disabled={disabled || !active.ref.revision}
+                            className="flex-1 p-2 bg-gray-600 hover:bg-gray-500 text-white font-medium rounded-lg transition duration-300 disabled:opacity-50"
+                        >
+                            {t('templatesRevert')}
+                        </button>
+                    </div>
+                    <p className="text-xs text-gray-400">{t('templatesHint')}</p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+/**
+ * Pinned character references: a list with thumbnails plus a form to pin a character from the
+ * current scene or an uploaded image. Edits only change the name and description.
+ */
+const CharacterReferencesPanel = ({ characters, onChange, currentImageData, disabled, isOpen, onToggle, t }) => {
+    const [editingId, setEditingId] = useState(null);
+    const [name, setName] = useState('');
+    const [description, setDescription] = useState('');
+    const [source, setSource] = useState('scene');
+    const [file, setFile] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+    const [formError, setFormError] = useState(null);
+
+    const isFull = characters.length >= MAX_CHARACTER_REFERENCES;
+    const inputClassName = "w-full p-2 bg-gray-700 text-white rounded-lg border border-gray-600 focus:border-yellow-400 focus:ring-yellow-400 text-sm";
+    const buttonClassName = "px-3 py-1 text-xs font-medium rounded-lg transition duration-300 disabled:opacity-50";
+
+    const clearForm = () => {
+        setEditingId(null);
+        setName('');
+        setDescription('');
+        setSource('scene');
+        setFile(null);
+        setFormError(null);
+    };
+
+    const startEditing = (character) => {
+        setEditingId(character.id);
+        setName(character.name);
+        setDescription(character.description);
+        setFormError(null);
+    };
+
+    const saveCharacter = async () => {
+        if (!name.trim()) {
+            setFormError(t('errorPinnedName'));
+            return;
+        }
+        if (editingId) {
+            onChange(characters.map(character => character.id === editingId
+                ? { ...character, name: name.trim(), description: description.trim() }
+                : character));
+            clearForm();
+            return;
+        }
+
+        setIsSaving(true);
+        setFormError(null);
+        try {
+            const data = source === 'upload' ? (file && await blobToBase64(file)) : currentImageData;
+            if (!data) throw new Error(t(source === 'upload' ? 'errorPinnedNoUpload' : 'errorPinnedNoScene'));
+            onChange([...characters, await createCharacterReference({ name, description, data })]);
+            clearForm();
+        } catch (err) {
+            console.error('Character Reference Error:', err);
+            setFormError(err.message);
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    return (
+        <div className="bg-gray-800 p-3 rounded-xl mb-4 flex-shrink-0">
+            <button onClick={onToggle} className="flex justify-between items-center w-full text-sm font-semibold text-gray-400 hover:text-yellow-400 transition">
+                {t('pinnedTitle', { pinned: characters.length, max: MAX_CHARACTER_REFERENCES })}
+                <svg className={`w-4 h-4 transform transition-transform ${isOpen ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
+            </button>
+            {isOpen && (
+                <div className="mt-2 space-y-3 text-sm text-gray-300">
+                    <p className="text-xs text-gray-400">{t('pinnedHint')}</p>
+                    {characters.length > 0 && (
+                        <ul className="space-y-2">
+                            {characters.map(character => (
+                                <li key={character.id} className="flex items-center gap-2">
+                                    <img
+                                        src={`data:${character.inlineData.mimeType};base64,${character.inlineData.data}`}
+                                        alt={character.name}
+                                        className="w-12 h-12 object-cover rounded-lg flex-shrink-0"
+                                    />
+                                    <div className="flex-grow min-w-0">
+                                        <p className="text-white truncate">{character.name}</p>
+                                        <p className="text-xs text-gray-400 truncate">{character.description}</p>
+                                    </div>
+                                    <button onClick={() => startEditing(character)} disabled={disabled} className={`${buttonClassName} bg-gray-600 hover:bg-gray-500 text-white`}>{t('edit')}</button>
+                                    <button
+                                        onClick={() => {
+                                            onChange(characters.filter(c => c.id !== character.id));
+                                            if (editingId === character.id) clearForm();
+                                        }}
+                                        disabled={disabled}
+                                        className={`${buttonClassName} bg-red-700 hover:bg-red-600 text-white`}
+                                    >
+                                        {t('remove')}
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                    )}
+                    {(editingId || !isFull) && (
+                        <div className="space-y-2 border-t border-gray-700 pt-2">
+                            <h4 className="text-yellow-300 font-semibold">{editingId ? t('pinnedEditTitle') : t('pinnedNewTitle')}</h4>
+                            <input type="text" value={name} onChange={(e) => setName(e.target.value)} placeholder={t('pinnedNamePlaceholder')} className={inputClassName} />
+                            <input type="text" value={description} onChange={(e) => setDescription(e.target.value)} placeholder={t('pinnedLookPlaceholder')} className={inputClassName} />
+                            {!editingId && (
+                                <div className="space-y-1">
+                                    <label className="flex items-center gap-2">
+                                        <input type="radio" checked={source === 'scene'} onChange={() => setSource('scene')} disabled={!currentImageData} />
+                                        <span>{t('pinnedFromScene')}</span>
+                                    </label>
+                                    <label className="flex items-center gap-2">
+                                        <input type="radio" checked={source === 'upload'} onChange={() => setSource('upload')} />
+                                        <span>{t('pinnedFromUpload')}</span>
+                                    </label>
+                                    {source === 'upload' && (
+                                        <input type="file" accept="image/*" onChange={(e) => setFile(e.target.files?.[0] || null)} className="text-xs text-gray-400" />
+                                    )}
+                                </div>
+                            )}
+                            {formError && <p className="text-xs text-red-400">{formError}</p>}
+                            <div className="flex gap-2">
+                                <button onClick={saveCharacter} disabled={disabled || isSaving} className={`${buttonClassName} bg-yellow-500 hover:bg-yellow-600 text-gray-900`}>
+                                    {isSaving ? t('pinnedPinning') : editingId ? t('save') : t('pinnedPin')}
+                                </button>
+                                {editingId && (
+                                    <button onClick={clearForm} className={`${buttonClassName} bg-gray-600 hover:bg-gray-500 text-white`}>{t('cancel')}</button>
+                                )}
+                            </div>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// UI strings for the title of each kind of blocked step
+const BLOCKED_STEP_TITLES = {
+    safety: 'blockedSafety',
+    recitation: 'blockedRecitation',
+    maxTokens: 'blockedMaxTokens',
+};
+
+/**
+ * Shown instead of the error banner when a step was blocked: what tripped, and one-click ways forward.
+ */
+const BlockedStepPanel = ({ blockedStep, isRephrasing, canGoBack, onRephrase, onRetry, onPickAnother, onGoBack, t }) => {
+    const { error, prompt, isRefinement } = blockedStep;
+    const buttonClassName = "px-3 py-2 text-sm font-medium rounded-lg shadow-md transition duration-300 disabled:opacity-50";
+    const panelRef = useRef(null);
+
+    // Keyboard players land on the recovery options
+    React.useEffect(() => {
+        panelRef.current?.querySelector('button')?.focus();
+    }, [blockedStep]);
+
+    return (
+        <div ref={panelRef} role="alert" className="bg-orange-900 border border-orange-500 text-orange-100 p-3 rounded-xl mb-4 shadow-lg flex-shrink-0 space-y-2">
+            <h3 className="font-bold">{t(BLOCKED_STEP_TITLES[error.kind])}</h3>
+            <p className="text-sm">
+                {error.message} {t(isRefinement ? 'blockedRefinement' : 'blockedAction')}: <span className="italic">"{prompt}"</span>
+            </p>
+            {error.categories.length > 0 && (
+                <div className="flex flex-wrap gap-1">
+                    {error.categories.map(category => (
+                        <span key={category.category} className="px-2 py-0.5 text-xs bg-orange-700 rounded-full">{formatSafetyCategory(category)}</span>
+                    ))}
+                </div>
+            )}
+            <div className="flex flex-wrap gap-2">
+                {error.kind !== 'maxTokens' && (
+                    <button onClick={onRephrase} disabled={isRephrasing} className={`${buttonClassName} bg-yellow-600 hover:bg-yellow-700 text-gray-900`}>
+                        {isRephrasing ? t('rephrasing') : t('rephraseAndRetry')}
+                    </button>
+                )}
+                {error.kind !== 'safety' && (
+                    <button onClick={onRetry} disabled={isRephrasing} className={`${buttonClassName} bg-gray-600 hover:bg-gray-700 text-white`}>
+                        {t('retryAsIs')}
+                    </button>
+                )}
+                {canGoBack && (
+                    <button onClick={onPickAnother} disabled={isRephrasing} className={`${buttonClassName} bg-blue-600 hover:bg-blue-700 text-white`}>
+                        {isRefinement ? t('backToChoices') : t('pickAnotherChoice')}
+                    </button>
+                )}
+                {canGoBack && (
+                    <button onClick={onGoBack} disabled={isRephrasing} className={`${buttonClassName} bg-gray-600 hover:bg-gray-700 text-white`}>
+                        {t('backToLastScene')}
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+};
+
+// Start Screen Component. Lives outside App so its panels keep their state when App re-renders.
+const StartScreen = ({ inputRef, loading, startAdventure, theme, setTheme, imageStyle, setImageStyle, language, setLanguage, t, customPresets, updateCustomPresets, importSession, savedAdventures, resumeSavedAdventure, removeSavedAdventure, providerSettings, updateProviderSettings, imageCandidateCount, setImageCandidateCount, promptOverrides, updatePromptOverrides }) => {
+    const [isTextEntered, setIsTextEntered] = useState(false);
+    const sessionFileInputRef = useRef(null);
+
+    // Optional uploaded or pasted opening scene ({ mimeType, data })
+    const [openingImage, setOpeningImage] = useState(null);
+    const [openingImageError, setOpeningImageError] = useState(null);
+    const openingImageInputRef = useRef(null);
+
+    const handleTextChange = (e) => {
+        setIsTextEntered(e.target.value.trim().length > 0);
+    };
+    
+    const handleKeyDown = (e) => {
+        const text = inputRef.current ? inputRef.current.value.trim() : '';
+        if (e.key === 'Enter' && !e.shiftKey && (text || openingImage) && !loading) {
+            e.preventDefault();
+            startAdventure(openingImage);
+        }
+    };
+
+    const loadOpeningImage = async (file) => {
+        setOpeningImageError(null);
+        try {
+            setOpeningImage(await prepareUploadedImage(file));
+        } catch (err) {
+            console.error('Opening Image Error:', err);
+            setOpeningImageError(err.message);
+        }
+    };
+
+    // A pasted image becomes the opening scene; pasted text goes into the premise as usual
+    const handlePaste = (e) => {
+        const file = Array.from(e.clipboardData?.files || []).find(f => f.type.startsWith('image/'));
+        if (file) {
+            e.preventDefault();
+            loadOpeningImage(file);
+        }
+    };
+
+    const isButtonDisabled = () => {
+        return !(isTextEntered || openingImage) || loading;
+    };
+
+    return (
+        <div className="flex flex-col items-center justify-center p-6 bg-gray-800 rounded-xl shadow-2xl h-full w-full mx-auto border-4 border-yellow-500">
+            <h1 className="text-4xl font-extrabold text-yellow-400 mb-4 text-center">
+                {t('appTitle')}
+            </h1>
+            <p className="text-gray-400 text-center mb-6">
+                {t('startIntro')}
+            </p>
+
+            {/* --- Language Selector --- */}
+            <div className="w-full mb-6">
+                <h3 className="text-md font-semibold text-yellow-300 mb-2">{t('storyLanguage')}</h3>
+                <div className="flex flex-wrap gap-2">
+                    {Object.entries(LANGUAGES).map(([code, { nativeName }]) => (
+                        <button
+                            key={code}
+                            lang={code}
+                            onClick={() => setLanguage(code)}
+                            aria-pressed={language === code}
+                            className={`flex-1 p-2 text-sm font-medium rounded-lg transition duration-200 
+                                ${language === code
+                                    ? 'bg-yellow-500 text-gray-900 shadow-xl border-2 border-yellow-300' 
+                                    : 'bg-gray-700 text-gray-300 hover:bg-gray-600 border border-gray-600'
+                                }`}
+                            disabled={loading}
+                        >
+                            {nativeName}
+                        </button>
+                    ))}
+                </div>
+                <p className="text-xs text-gray-400 mt-1">{t('storyLanguageHint')}</p>
+            </div>
+            
+            {/* --- Theme Selector --- */}
+            <div className="w-full mb-6">
+                <h3 className="text-md font-semibold text-yellow-300 mb-2">{t('adventureTheme')}</h3>
+                <div className="flex flex-wrap gap-2">
+                    {[...Object.keys(THEME_CONTENT_MODIFIERS), ...Object.keys(customPresets.themes)].map((name) => (
+                        <button
+                            key={name}
+                            onClick={() => setTheme(name)}
+                            className={`flex-1 p-2 text-sm font-medium rounded-lg transition duration-200 
+                                ${theme === name
+                                    ? 'bg-yellow-500 text-gray-900 shadow-xl border-2 border-yellow-300' 
+                                    : 'bg-gray-700 text-gray-300 hover:bg-gray-600 border border-gray-600'
+                                }`}
+                            disabled={loading}
+                        >
+                            {name}
+                        </button>
+                    ))}
+                </div>
+            </div>
+            {/* ---------------------- */}
+
+            {/* Style Selector */}
+            <div className="w-full mb-6">
+                <h3 className="text-md font-semibold text-yellow-300 mb-2">{t('visualStyle')}</h3>
+                <div className="flex flex-wrap gap-2">
+                    {[...Object.keys(STYLE_MODIFIERS), ...Object.keys(customPresets.styles)].map((style) => (
+                        <button
+                            key={style}
+                            onClick={() => setImageStyle(style)}
+                            className={`flex-1 p-2 text-sm font-medium rounded-lg transition duration-200 
+                                ${imageStyle === style 
+                                    ? 'bg-yellow-500 text-gray-900 shadow-xl border-2 border-yellow-300' 
+                                    : 'bg-gray-700 text-gray-300 hover:bg-gray-600 border border-gray-600'
+                                }`}
+                            disabled={loading}
+                        >
+                            {style}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <PresetEditorPanel
+                customPresets={customPresets}
+                onChange={updateCustomPresets}
+                disabled={loading}
+                t={t}
+            />
+
+            <PromptTemplatesPanel
+                overrides={promptOverrides}
+                onChange={updatePromptOverrides}
+                disabled={loading}
+                t={t}
+            />
+
+            <div className="w-full mb-4">
+                <ImageCandidateCountSelector count={imageCandidateCount} onChange={setImageCandidateCount} disabled={loading} t={t} />
+            </div>
+
+            <textarea
+                defaultValue="" 
+                ref={inputRef}
+                onChange={handleTextChange} 
+                onKeyDown={handleKeyDown} 
+                onPaste={handlePaste}
+                placeholder={t('premisePlaceholder', { theme })}
+                rows="3"
+                className="w-full p-4 mb-3 text-lg bg-gray-900 border border-gray-600 rounded-xl text-white focus:ring-yellow-500 focus:border-yellow-500 transition duration-300"
+                disabled={loading}
+            />
+
+            {/* Opening Scene Upload */}
+            <div className="w-full mb-6">
+                <input
+                    ref={openingImageInputRef}
+                    type="file"
+                    accept={SUPPORTED_UPLOAD_TYPES.join(',')}
+                    className="hidden"
+                    onChange={(e) => {
+                        const file = e.target.files?.[0];
+                        e.target.value = '';
+                        if (file) loadOpeningImage(file);
+                    }}
+                />
+                {openingImage ? (
+                    <div className="flex items-center gap-3">
+                        <img
+                            src={`data:${openingImage.mimeType};base64,${openingImage.data}`}
+                            alt={t('openingSceneAlt')}
+                            className="w-24 h-16 object-cover rounded-lg border border-gray-600"
+                        />
+                        <p className="flex-grow text-sm text-gray-300">{t(isTextEntered ? 'openingImageNoteWithPremise' : 'openingImageNote')}</p>
+                        <button
+                            onClick={() => setOpeningImage(null)}
+                            disabled={loading}
+                            className="px-3 py-1 text-sm bg-gray-600 hover:bg-gray-500 text-white rounded-lg transition duration-300 disabled:opacity-50"
+                        >
+                            {t('remove')}
+                        </button>
+                    </div>
+                ) : (
+                    <button
+                        onClick={() => openingImageInputRef.current?.click()}
+                        disabled={loading}
+                        className="w-full p-2 bg-gray-700 hover:bg-gray-600 text-gray-300 font-medium rounded-lg border border-dashed border-gray-500 transition duration-300 disabled:opacity-50"
+                    >
+                        {t('startFromImage')}
+                    </button>
+                )}
+                {openingImageError && <p className="text-xs text-red-400 mt-1">{openingImageError}</p>}
+            </div>
+
+            <button
+                onClick={() => startAdventure(openingImage)}
+                disabled={isButtonDisabled()}
+                className="w-full p-4 bg-green-600 hover:bg-green-700 text-white font-bold text-xl rounded-xl shadow-lg transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed transform hover:scale-[1.02] active:scale-[0.98]"
+            >
+                {loading ? t('starting') : t('startAdventure')}
+            </button>
+
+            <label className="w-full flex items-center gap-2 mt-3 text-sm text-gray-300">
+                <input
+                    type="checkbox"
+                    checked={providerSettings.demoMode}
+                    onChange={(e) => updateProviderSettings({ ...providerSettings, demoMode: e.target.checked })}
+                    disabled={loading}
+                />
+                <span>{t('demoModeToggle')}</span>
+            </label>
+
+            <ProviderSettingsPanel
+                settings={providerSettings}
+                onSave={updateProviderSettings}
+                disabled={loading}
+                t={t}
+            />
+
+            {/* Session Import */}
+            <input
+                ref={sessionFileInputRef}
+                type="file"
+                accept="application/json,.json"
+                className="hidden"
+                onChange={(e) => {
+                    const file = e.target.files?.[0];
+                    e.target.value = '';
+                    if (file) importSession(file);
+                }}
+            />
+            <button
+                onClick={() => sessionFileInputRef.current?.click()}
+                disabled={loading}
+                className="w-full mt-3 p-3 bg-gray-700 hover:bg-gray-600 text-gray-200 font-medium rounded-xl border border-gray-600 transition duration-300 disabled:opacity-50"
+            >
+                {t('importSession')}
+            </button>
+
+            {/* Autosaved Adventures */}
+            {savedAdventures.length > 0 && (
+                <div className="w-full mt-6">
+                    <button
+                        onClick={() => resumeSavedAdventure(savedAdventures[0].id)}
+                        disabled={loading}
+                        className="w-full p-3 bg-indigo-600 hover:bg-indigo-700 text-white font-bold rounded-xl shadow-md transition duration-300 disabled:opacity-50"
+                    >
+                        {t('resumeLastAdventure')}
+                    </button>
+                    <h3 className="text-md font-semibold text-yellow-300 mt-4 mb-2">{t('recentAdventures')}</h3>
+                    <ul className="space-y-2 max-h-48 overflow-y-auto">
+                        {savedAdventures.map((save) => (
+                            <li key={save.id} className="flex items-center gap-2">
+                                <button
+                                    onClick={() => resumeSavedAdventure(save.id)}
+                                    disabled={loading}
+                                    className="flex-1 p-2 text-start text-sm bg-gray-700 hover:bg-gray-600 text-gray-200 rounded-lg border border-gray-600 transition duration-200 disabled:opacity-50"
+                                >
+                                    <span className="block truncate">{save.title}</span>
+                                    <span className="block text-xs text-gray-400">
+                                        {save.theme} / {save.imageStyle} · {t('savedAdventureTurn', { turn: save.turn })} · {new Date(save.updatedAt).toLocaleString(language)}
+                                    </span>
+                                </button>
+                                <button
+                                    onClick={() => removeSavedAdventure(save.id)}
+                                    disabled={loading}
+                                    aria-label={t('deleteSavedAdventure', { title: save.title })}
+                                    className="p-2 text-sm bg-red-800 hover:bg-red-700 text-white rounded-lg transition duration-200 disabled:opacity-50"
+                                >
+                                    {t('delete')}
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+};
+
+
+// --- Main React Component ---
+
+const App = () => {
+    const inputRef = useRef(null); 
+    const refinementInputRef = useRef(null); 
+    const firstChoiceRef = useRef(null);
+    
+    // Every turn of the adventure, including abandoned branches (see "Story Tree" above).
+    const [storyTree, setStoryTree] = useState(EMPTY_STORY_TREE);
+    const storyPath = useMemo(() => getStoryPath(storyTree, storyTree.currentId), [storyTree]);
+    const currentNode = storyTree.nodes[storyTree.currentId];
+
+    // THREAD 1: Full multimodal history (text + Base64) for image-to-image iteration.
+    // THREAD 2: Text history (user actions + (1x) model description + choice JSON).
+    // Both are rebuilt from the path to the current turn.
+    const { imageHistory, narrativeHistory } = useMemo(() => buildHistoriesFromPath(storyPath), [storyPath]);
+
+    // The initial description has been run once the opening turn exists.
+    const isInitialSceneSet = storyTree.rootId !== null;
+    
+    const [theme, setTheme] = useState(DEFAULT_THEME); 
+    const [imageStyle, setImageStyle] = useState(DEFAULT_STYLE); 
+
+    // The adventure's language, which also picks the UI strings (see "Languages & UI Strings")
+    const [language, setLanguage] = useState(loadLanguage);
+    const t = useMemo(() => createTranslator(language), [language]);
+    // This session's template overrides ({ [templateId]: [revision, ...] }); see Prompt Templates
+    const [promptOverrides, setPromptOverrides] = useState({});
+    const prompts = useMemo(() => createPromptRenderer(promptOverrides), [promptOverrides]);
+
+    // Player-defined themes and styles (built-ins come from the tables at the top of the file)
+    const [customPresets, setCustomPresets] = useState(loadCustomPresets);
+    const themeDefinition = useMemo(() => resolveTheme(theme, customPresets), [theme, customPresets]);
+    const styleDefinition = useMemo(() => resolveStyle(imageStyle, customPresets), [imageStyle, customPresets]);
+
+    // Game state after the current turn, and the changes the latest action made (refinements change nothing)
+    const gameState = useMemo(() => getGameStateForPath(storyPath, themeDefinition.stats), [storyPath, themeDefinition]);
+    const currentNarration = useMemo(() => [...storyPath].reverse().find(node => node.kind === 'action')?.narration ?? null, [storyPath]);
+    const lastStateChanges = useMemo(() => [...storyPath].reverse().find(node => node.kind === 'action')?.stateChanges, [storyPath]);
+
+    const [adventureText, setAdventureText] = useState(null); 
+    const [options, setOptions] = useState([]);
+    // Which choices are shown (see matchesChoiceFilter), and whether the current turn's choices are being rerolled
+    const [choiceFilter, setChoiceFilter] = useState(DEFAULT_CHOICE_FILTER);
+    const [isRerollingChoices, setIsRerollingChoices] = useState(false);
+    const [imageUrl, setImageUrl] = useState(null); 
+    const [imageObjectUrl, setImageObjectUrl] = useState(null); 
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    
+    // NEW STATE FOR REFINEMENT MODE
+    const [isRefining, setIsRefining] = useState(false);
+    const [refinementPrompt, setRefinementPrompt] = useState('');
+
+    // A step the model refused or cut short (GenerationBlockedError), offered for guided recovery.
+    const [blockedStep, setBlockedStep] = useState(null);
+    const [isRephrasing, setIsRephrasing] = useState(false);
+
+    // The action of a choice clicked while its turn is still generating (choices stream in before the image); it runs once the turn is recorded.
+    const [queuedAction, setQueuedAction] = useState(null);
+    
+    // Autosave: the IndexedDB record this adventure writes to, and a counter bumped after each successful step.
+    const [saveId, setSaveId] = useState(null);
+    const [autosaveRevision, setAutosaveRevision] = useState(0);
+    const [autosaveStatus, setAutosaveStatus] = useState(null);
+    const [savedAdventures, setSavedAdventures] = useState([]);
+
+    const [isStoryMapOpen, setIsStoryMapOpen] = useState(false);
+    const [isCharacterSheetOpen, setIsCharacterSheetOpen] = useState(false);
+
+    // Pinned character references, sent with every image request (saved with the adventure).
+    const [characterReferences, setCharacterReferences] = useState([]);
+    const [isCharacterPanelOpen, setIsCharacterPanelOpen] = useState(false);
+
+    // The narration of the turn being generated, shown as soon as it arrives (null when no turn is generating).
+    const [streamingNarration, setStreamingNarration] = useState(null);
+
+    // How many candidate images each step generates to pick from (saved with the adventure).
+    const [imageCandidateCount, setImageCandidateCount] = useState(1);
+
+    // Re-grounding: the background description request for a turn's image, awaited by the next narrative step.
+    const pendingRegroundingRef = useRef(null);
+    const [isRegrounding, setIsRegrounding] = useState(false);
+    const [regroundingStatus, setRegroundingStatus] = useState(null);
+
+    // Which model API to call, with its key and model names (persisted in this browser).
+    const [providerSettings, setProviderSettings] = useState(loadProviderSettings);
+
+    // Aborting this controller cancels every request in flight; a fresh one replaces it for the next step.
+    const [abortController, setAbortController] = useState(() => new AbortController());
+    const [retryLog, setRetryLog] = useState([]);
+    // Bumped by "Start New Adventure" so steps cancelled by the reset don't report errors into the next adventure.
+    const adventureEpochRef = useRef(0);
+    const logRetry = useCallback(({ url, attempt, delayMs, error }) => {
+        // Only the endpoint path is logged: Gemini URLs carry the API key in the query string.
+        const endpoint = url.split('?')[0].split('/').slice(-2).join('/');
+        setRetryLog(log => [...log.slice(-(MAX_RETRY_LOG_ENTRIES - 1)), { at: Date.now(), endpoint, attempt, delayMs, message: error.message }]);
+    }, []);
+    // Every answered model call of this adventure (saved with it), for token and cost accounting.
+    const [usageLog, setUsageLog] = useState([]);
+    // The log as of the latest answered call, ahead of the next render, so the budget check sees calls earlier in the same step
+    const usageLogRef = useRef(usageLog);
+    usageLogRef.current = usageLog;
+    const logUsage = useCallback((entry) => {
+        usageLogRef.current = [...usageLogRef.current, entry];
+        setUsageLog(log => [...log, entry]);
+    }, []);
+    // Request Inspector: every model call, newest last (see createInspectedProvider)
+    const [callLog, setCallLog] = useState([]);
+    const [inspectedCallId, setInspectedCallId] = useState(null);
+    const [replayingCallId, setReplayingCallId] = useState(null);
+    const logCall = useCallback((entry) => setCallLog(log => [...log.slice(-(MAX_CALL_LOG_ENTRIES - 1)), entry]), []);
+    const provider = useMemo(
+        () => createInspectedProvider(
+            createBudgetedProvider(
+                createModelProvider(providerSettings, { signal: abortController.signal, onRetry: logRetry, onUsage: logUsage }),
+                () => summarizeUsage(usageLogRef.current, providerSettings.prices).cost,
+                providerSettings.budget
+            ),
+            logCall
+        ),
+        [providerSettings, abortController, logRetry, logUsage, logCall]
+    );
+    const usageSummary = useMemo(() => summarizeUsage(usageLog, providerSettings.prices), [usageLog, providerSettings.prices]);
+    const budgetStatus = getBudgetStatus(usageSummary.cost, providerSettings.budget);
+    const [isUsagePanelOpen, setIsUsagePanelOpen] = useState(false);
+    const [isDebugConsoleOpen, setIsDebugConsoleOpen] = useState(false);
+
+    // Screen readers and the browser's own text (spell checking, form controls) follow the language
+    React.useEffect(() => {
+        document.documentElement.lang = language;
+        document.documentElement.dir = LANGUAGES[language].dir;
+    }, [language]);
+
+    // Debug info
+    const [stepTimings, setStepTimings] = useState({ total: 0, image: 0, describe: 0, options: 0 });
+    const [visionModelResponse, setVisionModelResponse] = useState(null);
+    const [imagePayloadStats, setImagePayloadStats] = useState(null);
+
+    // Effect to clean up the object URL when the component unmounts or imageObjectUrl changes
+    React.useEffect(() => {
+        return () => {
+            if (imageObjectUrl) {
+                URL.revokeObjectURL(imageObjectUrl);
+            }
+        };
+    }, [imageObjectUrl]);
+    
+    // Utility to revoke previous Object URL
+    const revokePreviousUrl = useCallback(() => {
+        if (imageObjectUrl) {
+            URL.revokeObjectURL(imageObjectUrl);
+        }
+        setImageObjectUrl(null);
+    }, [imageObjectUrl]);
+
+    // Stops every request in flight; the step that was waiting on them ends without changing the adventure
+    const cancelRequests = useCallback(() => {
+        abortController.abort();
+        setAbortController(new AbortController());
+    }, [abortController]);
+
+    // Re-describes a turn's image in the background and attaches the result to that turn
+    const startRegrounding = useCallback((nodeId, imageData, previousDescription, trigger) => {
+        if (budgetStatus === 'hard') {
+            setRegroundingStatus(t('statusRegroundingSkipped'));
+            return;
+        }
+        const { mode } = providerSettings.regrounding;
+        const epoch = adventureEpochRef.current;
+        setIsRegrounding(true);
+        setRegroundingStatus(t('statusRegrounding'));
+
+        const promise = describeImage(provider, imageData, { mode, previousDescription }, language, prompts)
+            .then(({ description, duration, rawResultJson, templates }) => {
+                const sceneDescription = { text: description, mode, trigger, templates };
+                setStoryTree(tree => setSceneDescription(tree, nodeId, sceneDescription));
+                setVisionModelResponse(rawResultJson);
+                setStepTimings(timings => ({ ...timings, describe: duration }));
+                setRegroundingStatus(t('statusRegrounded'));
+                setAutosaveRevision(r => r + 1);
+                return sceneDescription;
+            })
+            .catch(err => {
+                console.error('Re-grounding Error:', err);
+                if (epoch !== adventureEpochRef.current) return null;
+                setRegroundingStatus(isAbortError(err) ? t('statusRegroundingCancelled') : t('statusRegroundingFailed', { message: err.message }));
+                return null;
+            })
+            .finally(() => {
+                if (pendingRegroundingRef.current?.promise === promise) {
+                    pendingRegroundingRef.current = null;
+                    setIsRegrounding(false);
+                }
+            });
+        pendingRegroundingRef.current = { nodeId, promise };
+    }, [provider, providerSettings, budgetStatus, language, prompts]);
+
+    // Writes the alt text of a turn's image in the background; the scene falls back to the action text until then
+    const startAltText = useCallback((nodeId, imageData) => {
+        if (!providerSettings.sceneAltText || budgetStatus === 'hard') return;
+        const epoch = adventureEpochRef.current;
+        describeSceneForAltText(provider, imageData, language, prompts)
+            .then(altText => {
+                if (epoch !== adventureEpochRef.current) return;
+                // A candidate picked meanwhile has its own image (and alt text request)
+                setStoryTree(tree => findLatestImagePart(tree.nodes[nodeId]?.imageParts ?? [])?.data === imageData ? setNodeAltText(tree, nodeId, altText) : tree);
+                setAutosaveRevision(r => r + 1);
+            })
+            .catch(err => console.error('Alt Text Error:', err));
+    }, [provider, providerSettings, budgetStatus, language, prompts]);
+
+    // Waits for a re-grounding of the current turn that is still running, and returns the story path including it
+    const awaitPendingRegrounding = async () => {
+        const pending = pendingRegroundingRef.current;
+        if (!pending || pending.nodeId !== storyTree.currentId) return storyPath;
+        const sceneDescription = await pending.promise;
+        return sceneDescription
+            ? storyPath.map(node => node.id === pending.nodeId ? { ...node, sceneDescription } : node)
+            : storyPath;
+    };
+
+    // The player-facing message for a call the budgeted provider refused part-way through a step
+    const budgetExceededMessage = (err) => t('errorHardBudget', { cost: formatUSD(err.cost), hard: formatUSD(err.hardUSD) });
+
+    // Refuses to start a step once the session has reached its hard budget; returns true when the step may run
+    const checkBudget = useCallback(() => {
+        if (budgetStatus !== 'hard') return true;
+        setError(budgetExceededMessage(new BudgetExceededError(usageSummary.cost, providerSettings.budget.hardUSD)));
+        setQueuedAction(null);
+        return false;
+    }, [budgetStatus, usageSummary, providerSettings, t]);
+
+    // Re-grounds the scene currently on screen when the player asks for it
+    const regroundCurrentScene = () => {
+        const node = storyTree.nodes[storyTree.currentId];
+        if (!node || !checkBudget()) return;
+        startRegrounding(node.id, findLatestImagePart(node.imageParts).data, getCurrentSceneDescription(storyPath), 'on request');
+    };
 
     // Function to handle the image refinement loop (Image-only step)
-    const handleRefine = useCallback(async () => {
-        const prompt = refinementPrompt.trim();
+    // `promptOverride` retries a blocked refinement with (possibly rephrased) text.
+    const handleRefine = useCallback(async (promptOverride) => {
+        const prompt = (promptOverride ?? refinementPrompt).trim();
         if (!prompt) {
-            setError("Please enter a visual instruction to refine the image.");
+            setError(t('errorRefineEmpty'));
             return;
         }
+        if (!checkBudget()) return;
 
+        const epoch = adventureEpochRef.current;
         const totalStart = performance.now();
         setLoading(true);
         setError(null);
+        setBlockedStep(null);
         revokePreviousUrl();
 
-        setAdventureText(`Refining scene: "${prompt}"`);
+        setAdventureText(describeStoryNode({ kind: 'refine', prompt }, t));
         
         let imageTime = 0;
 
         try {
-            // 1. GENERATE IMAGE (Image-to-Image with refinement prompt)
-            const imageResult = await generateImage(imageHistory, prompt, theme, imageStyle, true);
-            imageTime = imageResult.duration;
+            // 1. GENERATE IMAGE (Image-to-Image with refinement prompt; the first candidate is shown until the player picks another)
+            const imagePrompt = await translateForImageModel(provider, prompt, language, prompts);
+            const { candidates, failedCount, duration } = await generateImageCandidates(imageCandidateCount, () =>
+                generateImage(provider, imageHistory, imagePrompt, themeDefinition, styleDefinition, true, providerSettings.historyBudget, characterReferences, prompts));
+            const imageResult = candidates[0];
+            imageTime = duration;
+            setImagePayloadStats({ ...imageResult.payloadStats, candidateCount: imageCandidateCount, failedCandidates: failedCount });
             
             // 2. Update UI and Histories (Image only)
             setImageUrl(imageResult.dataUrl); 
@@ -374,22 +6805,47 @@ const App = () => {
 
             const newUserPart = {
                 role: "user",
-                parts: [{ text: `Refinement: ${prompt}` }]
+                parts: [{ text: `Refinement: ${imagePrompt}` }]
             };
             const newImageModelPart = {
                 role: "model",
-                parts: [{ inlineData: { mimeType: "image/png", data: imageResult.data } }]
+                parts: [{ inlineData: { mimeType: imageResult.mimeType, data: imageResult.data } }]
             };
 
-            setImageHistory(prev => [ ...prev, newUserPart, newImageModelPart ]);
-            
-            // Do NOT touch narrativeHistory or options.
+            // Do NOT touch narrativeHistory or options: the refinement turn carries the same choices.
+            // Re-grounding (below) is what lets the narrative catch up with the refined picture.
+            const nodeId = createId('turn');
+            setStoryTree(tree => addStoryNode(tree, {
+                id: nodeId,
+                parentId: tree.currentId,
+                kind: 'refine',
+                prompt,
+                imageParts: [newUserPart, newImageModelPart],
+                ...buildCandidateFields(candidates),
+                narrativeParts: [],
+                choices: options,
+                templates: imageResult.templates,
+                createdAt: Date.now(),
+            }));
             setRefinementPrompt('');
             setIsRefining(false);
+            setAutosaveRevision(r => r + 1);
+            startAltText(nodeId, imageResult.data);
+
+            if (providerSettings.regrounding.afterRefinement) {
+                startRegrounding(nodeId, imageResult.data, getCurrentSceneDescription(storyPath), 'after refinement');
+            }
             
         } catch (err) {
             console.error('Refinement Error:', err);
-            setError(`Oops! Refinement failed: ${err.message}.`);
+            if (epoch !== adventureEpochRef.current) return;
+            if (err instanceof GenerationBlockedError) {
+                setBlockedStep({ error: err, prompt, isRefinement: true });
+                return;
+            }
+            setError(isAbortError(err) ? t('errorRefineCancelled')
+                : err instanceof BudgetExceededError ? budgetExceededMessage(err)
+                : t('errorRefineFailed', { message: err.message }));
         } finally {
             const totalTime = performance.now() - totalStart;
             setStepTimings({
@@ -400,25 +6856,41 @@ const App = () => {
             });
             setLoading(false);
         }
-    }, [imageHistory, theme, imageStyle, refinementPrompt, revokePreviousUrl]);
+    }, [provider, providerSettings, imageHistory, storyPath, options, themeDefinition, styleDefinition, characterReferences, imageCandidateCount, language, prompts, refinementPrompt, revokePreviousUrl, startRegrounding, startAltText, checkBudget, t]);
+
+    // Shows the choices of the turn being generated; a queued choice they no longer offer (e.g. from a
+    // stream attempt that failed and was retried) is dropped
+    const offerChoices = useCallback((choices) => {
+        setOptions(choices);
+        setQueuedAction(queued => queued !== null && !choices.some(choice => choice.action === queued) ? null : queued);
+    }, []);
 
     // Main function to advance the adventure (Narrative + Image step)
-    const handleNarrativeStep = useCallback(async (newPrompt) => {
+    // `isPlayerAuthored` marks a typed custom action (as opposed to a generated choice or the opening premise)
+    const handleNarrativeStep = useCallback(async (newPrompt, isPlayerAuthored = false, openingImage = null) => {
+        if (!checkBudget()) return;
+        const epoch = adventureEpochRef.current;
         const totalStart = performance.now(); 
         
         setLoading(true);
         setError(null);
+        setBlockedStep(null);
         setStepTimings({ total: 0, image: 0, describe: 0, options: 0 });
         setVisionModelResponse(null);
         revokePreviousUrl();
 
         setAdventureText(newPrompt);
+        setStreamingNarration('');
+        setOptions([]);
 
-        // 1. Define the User's action part (text only, used in both threads)
+        // 1. Define the User's action part (text only). Typed actions are flagged in the narrative thread.
         const newUserPart = {
             role: "user",
             parts: [{ text: newPrompt }]
         };
+        const narrativeUserPart = isPlayerAuthored
+            ? { role: "user", parts: [{ text: `${PLAYER_AUTHORED_ACTION_PREFIX} ${newPrompt}` }] }
+            : newUserPart;
         
         let imageTime = 0;
         let describeTime = 0;
@@ -426,52 +6898,87 @@ const App = () => {
         
         try {
             let imageResult;
+            let imageCandidates = [];
             let textResult;
             let narrativeHistoryForNextStep; 
+            let groundedPath = storyPath;
+            let narrativeBase = narrativeHistory;
+            // The image thread records the (English) prompt the image model saw; the turn keeps the player's wording
+            let imagePrompt = newPrompt;
+            let describeTemplates = [];
+            const previousGameState = getGameStateForPath(storyPath, themeDefinition.stats);
 
             if (!isInitialSceneSet) {
                 // --- INITIAL TURN (SEQUENTIAL: Image -> Describe -> Choices) ---
                 
-                // 1a. GENERATE IMAGE
-                imageResult = await generateImage(imageHistory, newPrompt, theme, imageStyle);
-                imageTime = imageResult.duration;
+                // 1a. GENERATE IMAGE (or use the player's uploaded opening scene as-is)
+                if (openingImage) {
+                    imageResult = {
+                        dataUrl: `data:${openingImage.mimeType};base64,${openingImage.data}`,
+                        data: openingImage.data,
+                        mimeType: openingImage.mimeType,
+                        duration: 0,
+                    };
+                    setImageUrl(imageResult.dataUrl);
+                } else {
+                    imagePrompt = await translateForImageModel(provider, newPrompt, language, prompts);
+                    const imageSet = await generateImageCandidates(imageCandidateCount, () =>
+                        generateImage(provider, imageHistory, imagePrompt, themeDefinition, styleDefinition, false, providerSettings.historyBudget, characterReferences, prompts));
+                    imageCandidates = imageSet.candidates;
+                    imageResult = imageCandidates[0];
+                    imageTime = imageSet.duration;
+                    setImagePayloadStats({ ...imageResult.payloadStats, candidateCount: imageCandidateCount, failedCandidates: imageSet.failedCount });
+                }
                 
                 // 1b. DESCRIBE IMAGE (ONLY ONCE for Narrative Grounding)
-                const describeObject = await describeImage(imageResult.data);
+                const describeObject = await describeImage(provider, imageResult.data, null, language, prompts);
                 const descriptionToPersist = describeObject.description;
+                describeTemplates = describeObject.templates;
                 const rawResponse = describeObject.rawResultJson;
                 describeTime = describeObject.duration;
                 
                 setVisionModelResponse(rawResponse); 
-                setIsInitialSceneSet(true); 
 
                 // 1c. Prepare Narrative History with persistent description
                 const narrativeDescriptionPart = {
                     role: "model", 
                     parts: [{ text: descriptionToPersist }]
                 };
-                narrativeHistoryForNextStep = [ ...narrativeHistory, newUserPart, narrativeDescriptionPart ];
+                narrativeHistoryForNextStep = [ ...narrativeHistory, narrativeUserPart, narrativeDescriptionPart ];
                 
-                // 1d. GENERATE CHOICES
-                const optionsObject = await generateOptions(narrativeHistoryForNextStep, theme);
+                // 1d. GENERATE CHOICES (streamed into the choice list as they arrive)
+                const optionsObject = await generateOptions(provider, narrativeHistoryForNextStep, themeDefinition, false, offerChoices, previousGameState, providerSettings.narrationLength, setStreamingNarration, language, prompts, providerSettings.choiceCount);
                 textResult = optionsObject;
                 optionsTime = optionsObject.duration;
 
             } else {
-                // --- SUBSEQUENT TURNS (PARALLEL: Image AND Choices - NO VISION STEP) ---
+                // --- SUBSEQUENT TURNS (PARALLEL: Image AND Choices - re-grounding runs in the background) ---
 
-                narrativeHistoryForNextStep = [ ...narrativeHistory, newUserPart ];
+                // The image doesn't depend on the narrative thread, so it starts before waiting on any re-grounding
+                const imagePromise = translateForImageModel(provider, newPrompt, language, prompts).then(translated => {
+                    imagePrompt = translated;
+                    return generateImageCandidates(imageCandidateCount, () =>
+                        generateImage(provider, imageHistory, imagePrompt, themeDefinition, styleDefinition, false, providerSettings.historyBudget, characterReferences, prompts));
+                });
 
-                // Start Image and Choices generation in PARALLEL
-                const imagePromise = generateImage(imageHistory, newPrompt, theme, imageStyle);
-                const optionsPromise = generateOptions(narrativeHistoryForNextStep, theme);
+                // The re-grounding wait sits inside the choices branch, so Promise.all handles an image failure even during that wait
+                const optionsPromise = (async () => {
+                    const waitStart = performance.now();
+                    groundedPath = await awaitPendingRegrounding();
+                    describeTime = performance.now() - waitStart;
+                    narrativeBase = buildHistoriesFromPath(groundedPath).narrativeHistory;
+                    narrativeHistoryForNextStep = [ ...narrativeBase, narrativeUserPart ];
+                    return generateOptions(provider, narrativeHistoryForNextStep, themeDefinition, isPlayerAuthored, offerChoices, previousGameState, providerSettings.narrationLength, setStreamingNarration, language, prompts, providerSettings.choiceCount);
+                })();
 
-                const [resolvedImageObject, resolvedOptionsObject] = await Promise.all([imagePromise, optionsPromise]);
+                const [resolvedImageSet, resolvedOptionsObject] = await Promise.all([imagePromise, optionsPromise]);
 
-                imageResult = resolvedImageObject;
+                imageCandidates = resolvedImageSet.candidates;
+                imageResult = imageCandidates[0];
                 textResult = resolvedOptionsObject;
                 
-                imageTime = resolvedImageObject.duration; 
+                imageTime = resolvedImageSet.duration; 
+                setImagePayloadStats({ ...imageResult.payloadStats, candidateCount: imageCandidateCount, failedCandidates: resolvedImageSet.failedCount });
                 optionsTime = resolvedOptionsObject.duration;
             }
 
@@ -479,7 +6986,7 @@ const App = () => {
 
             // 3. Update UI
             setImageUrl(imageResult.dataUrl); 
-            setOptions(textResult.choices);
+            offerChoices(textResult.choices);
             
             const newObjectUrl = base64ToBlobAndUrl(imageResult.data);
             setImageObjectUrl(newObjectUrl);
@@ -487,20 +6994,55 @@ const App = () => {
             // 4. Create Model Response Parts
             const newImageModelPart = {
                 role: "model",
-                parts: [{ inlineData: { mimeType: "image/png", data: imageResult.data } }]
+                parts: [{ inlineData: { mimeType: imageResult.mimeType, data: imageResult.data } }]
             };
+            // The narration stays in the narrative thread (as the model wrote it) so later turns build on the story so far
             const modelChoicesPart = {
                 role: "model",
-                parts: [{ text: JSON.stringify({ choices: textResult.choices }) }]
+                parts: [{ text: JSON.stringify(textResult.narration ? { narration: textResult.narration, choices: textResult.choices } : { choices: textResult.choices }) }]
             };
 
-            // 5. Update Persistent Histories
-            setImageHistory(prev => [ ...prev, newUserPart, newImageModelPart ]);
-            setNarrativeHistory(prev => [ ...narrativeHistoryForNextStep, modelChoicesPart ]);
+            // 5. Record the turn (both threads are rebuilt from the story tree)
+            const nodeId = createId('turn');
+            setStoryTree(tree => addStoryNode(tree, {
+                id: nodeId,
+                parentId: tree.currentId,
+                kind: 'action',
+                prompt: newPrompt,
+                imageParts: [{ role: "user", parts: [{ text: imagePrompt }] }, newImageModelPart],
+                ...buildCandidateFields(imageCandidates),
+                narrativeParts: [...narrativeHistoryForNextStep.slice(narrativeBase.length), modelChoicesPart],
+                choices: textResult.choices,
+                ...(textResult.narration && { narration: textResult.narration }),
+                ...(isPlayerAuthored && { playerAuthored: true }),
+                gameState: applyStateChanges(previousGameState, textResult.stateChanges, themeDefinition.stats),
+                ...(textResult.stateChanges && { stateChanges: textResult.stateChanges }),
+                templates: mergeTemplateRefs(imageResult.templates, describeTemplates, textResult.templates),
+                createdAt: Date.now(),
+            }));
+            setAutosaveRevision(r => r + 1);
+            startAltText(nodeId, imageResult.data);
+
+            // 6. Periodically re-describe the new image (the opening turn was just described)
+            const turnNumber = countTurns(groundedPath) + 1;
+            const { everyNTurns } = providerSettings.regrounding;
+            if (isInitialSceneSet && everyNTurns > 0 && turnNumber % everyNTurns === 0) {
+                startRegrounding(nodeId, imageResult.data, getCurrentSceneDescription(groundedPath), `turn ${turnNumber}`);
+            }
             
         } catch (err) {
             console.error('API Error:', err);
-            setError(`Oops! The adventure generator encountered an error: ${err.message}. Please try a different prompt or restart.`);
+            if (epoch !== adventureEpochRef.current) return;
+            // Put back the choices of the turn still on record, and drop any choice queued for the failed turn.
+            setOptions(storyTree.nodes[storyTree.currentId]?.choices ?? []);
+            setQueuedAction(null);
+            if (err instanceof GenerationBlockedError) {
+                setBlockedStep({ error: err, prompt: newPrompt, isPlayerAuthored, openingImage, isRefinement: false });
+                return;
+            }
+            setError(isAbortError(err) ? t('errorStepCancelled')
+                : err instanceof BudgetExceededError ? budgetExceededMessage(err)
+                : t('errorStepFailed', { message: err.message }));
         } finally {
             const totalTime = performance.now() - totalStart;
             setStepTimings({
@@ -509,33 +7051,355 @@ const App = () => {
                 describe: describeTime,
                 options: optionsTime
             });
+            setStreamingNarration(null);
             setLoading(false);
         }
-    }, [imageHistory, narrativeHistory, theme, imageStyle, isInitialSceneSet, revokePreviousUrl]); 
+    }, [provider, providerSettings, imageHistory, narrativeHistory, storyTree, storyPath, themeDefinition, styleDefinition, characterReferences, imageCandidateCount, language, prompts, isInitialSceneSet, revokePreviousUrl, startRegrounding, startAltText, checkBudget, t]); 
+
+    // Runs a choice that was clicked while the previous turn was still generating
+    React.useEffect(() => {
+        if (!loading && queuedAction) {
+            setQueuedAction(null);
+            handleNarrativeStep(queuedAction);
+        }
+    }, [loading, queuedAction, handleNarrativeStep]);
+
+    // Picks a choice now, or queues it while the current turn is still being generated
+    const chooseOption = (choice) => {
+        if (isRerollingChoices) return;
+        if (loading) {
+            setQueuedAction(choice.action);
+        } else {
+            handleNarrativeStep(choice.action);
+        }
+    };
+
+    // Asks for a new set of choices for the latest turn; its image, narration and game state stay as they are
+    const rerollChoices = async () => {
+        const node = storyTree.nodes[storyTree.currentId];
+        if (!node || loading || isRerollingChoices || getChildNodes(storyTree, node.id).length > 0 || !checkBudget()) return;
+        const epoch = adventureEpochRef.current;
+        setIsRerollingChoices(true);
+        setError(null);
+        try {
+            const { choices, templates } = await rerollOptions(provider, narrativeHistory, themeDefinition, providerSettings.choiceCount, language, prompts);
+            if (epoch !== adventureEpochRef.current) return;
+            setOptions(choices);
+            setStoryTree(tree => setNodeChoices(tree, node.id, choices, templates));
+            setAutosaveRevision(r => r + 1);
+        } catch (err) {
+            console.error('Reroll Error:', err);
+            if (epoch !== adventureEpochRef.current) return;
+            setError(isAbortError(err) ? t('errorRerollCancelled')
+                : err instanceof BudgetExceededError ? budgetExceededMessage(err)
+                : t('errorRerollFailed', { message: err.message }));
+        } finally {
+            setIsRerollingChoices(false);
+        }
+    };
+
+    // Shows another candidate image of the latest turn; it becomes the turn's image in the history
+    const pickImageCandidate = (index) => {
+        const node = storyTree.nodes[storyTree.currentId];
+        const candidate = node?.imageCandidates?.[index];
+        if (!candidate || loading || index === node.selectedCandidate || getChildNodes(storyTree, node.id).length > 0) return;
+
+        const { inlineData } = candidate;
+        revokePreviousUrl();
+        setImageUrl(`data:${inlineData.mimeType};base64,${inlineData.data}`);
+        setImageObjectUrl(base64ToBlobAndUrl(inlineData.data));
+        setStoryTree(tree => selectImageCandidate(tree, node.id, index));
+        setAutosaveRevision(r => r + 1);
+        startAltText(node.id, inlineData.data);
+
+        // The opening description (or a re-grounding of this turn) was written for the previous image
+        if (node.id === storyTree.rootId || node.sceneDescription || pendingRegroundingRef.current?.nodeId === node.id) {
+            startRegrounding(node.id, inlineData.data, getCurrentSceneDescription(storyPath.slice(0, -1)), 'picked another image');
+        }
+    };
+
+    // Re-runs a blocked step, optionally with new action text
+    const retryBlockedStep = (prompt) => {
+        const step = blockedStep;
+        setBlockedStep(null);
+        if (step.isRefinement) {
+            handleRefine(prompt);
+        } else {
+            handleNarrativeStep(prompt, step.isPlayerAuthored, step.openingImage);
+        }
+    };
+
+    // Has the text model reword the blocked action, then retries with the new wording
+    const rephraseBlockedStep = async () => {
+        if (!checkBudget()) return;
+        setIsRephrasing(true);
+        try {
+            const rephrased = await rephraseBlockedAction(provider, blockedStep.prompt, blockedStep.error, themeDefinition, prompts);
+            retryBlockedStep(rephrased);
+        } catch (err) {
+            console.error('Rephrase Error:', err);
+            setError(isAbortError(err) ? t('errorRephraseCancelled')
+                : err instanceof BudgetExceededError ? budgetExceededMessage(err)
+                : t('errorRephraseFailed', { message: err.message }));
+        } finally {
+            setIsRephrasing(false);
+        }
+    };
+
+    // Returns to the last recorded scene; `dropBlockedChoice` also removes the blocked choice from the list
+    const leaveBlockedStep = (dropBlockedChoice) => {
+        const node = storyTree.nodes[storyTree.currentId];
+        const { prompt, isRefinement } = blockedStep;
+        setBlockedStep(null);
+        showStoryNode(node);
+        if (dropBlockedChoice && !isRefinement) {
+            setOptions(node.choices.filter(choice => choice.action !== prompt));
+        }
+    };
 
-    // Function to handle the initial seed input
-    const startAdventure = () => {
+    // Function to handle the initial seed input, optionally with an uploaded opening scene
+    const startAdventure = (openingImage = null) => {
         const text = inputRef.current ? inputRef.current.value.trim() : ''; 
         
-        if (text) {
-            handleNarrativeStep(text);
+        if (text || openingImage) {
+            handleNarrativeStep(text || UPLOADED_SCENE_PROMPT, false, openingImage);
+        }
+    };
+
+    // Snapshot of everything needed to continue the adventure later (session files and autosaves)
+    const buildSessionSnapshot = () => ({
+        storyTree,
+        theme,
+        imageStyle,
+        language,
+        presets: collectSessionPresets(theme, imageStyle, customPresets),
+        characters: characterReferences,
+        imageCandidates: imageCandidateCount,
+        usage: usageLog,
+        promptOverrides,
+        step: {
+            turn: countTurns(storyPath),
+            timings: stepTimings,
+        },
+    });
+
+    // Writes the current adventure to a portable session file
+    const exportSession = () => {
+        const sessionFile = buildSessionFile(buildSessionSnapshot());
+        const stamp = sessionFile.exportedAt.replace(/[:.]/g, '-');
+        downloadJsonFile(sessionFile, `adventure_session_${stamp}.json`);
+    };
+
+    // Shows a turn's scene, text and choices
+    const showStoryNode = (node) => {
+        const latestImage = findLatestImagePart(node.imageParts);
+
+        revokePreviousUrl();
+        setAdventureText(describeStoryNode(node, t));
+        setOptions(node.choices);
+        setImageUrl(`data:${latestImage.mimeType};base64,${latestImage.data}`);
+        setImageObjectUrl(base64ToBlobAndUrl(latestImage.data));
+        setIsRefining(false);
+        setRefinementPrompt('');
+    };
+
+    // Rewinds (or switches branch) to any turn; the next step branches from there
+    const goToStoryNode = (nodeId) => {
+        const node = storyTree.nodes[nodeId];
+        if (!node || loading) return;
+
+        setError(null);
+        setStoryTree(tree => ({ ...tree, currentId: nodeId }));
+        showStoryNode(node);
+        setAutosaveRevision(r => r + 1);
+    };
+
+    // Puts a validated session back into React state so the adventure continues where it stopped
+    const restoreSession = (session) => {
+        if (session.presets) {
+            updateCustomPresets(mergeMissingPresets(customPresets, session.presets));
+        }
+        setStoryTree(session.storyTree);
+        setTheme(session.theme);
+        setImageStyle(session.imageStyle);
+        setLanguage(session.language || DEFAULT_LANGUAGE);
+        setCharacterReferences(session.characters || []);
+        setImageCandidateCount(session.imageCandidates || 1);
+        setUsageLog(session.usage || []);
+        setPromptOverrides(session.promptOverrides || {});
+        showStoryNode(session.storyTree.nodes[session.storyTree.currentId]);
+        setStepTimings(session.step?.timings || { total: 0, image: 0, describe: 0, options: 0 });
+        setVisionModelResponse(null);
+        setAutosaveStatus(null);
+    };
+
+    // Restores an adventure from a session file; it is autosaved as a new local adventure
+    const importSession = async (file) => {
+        setError(null);
+        try {
+            restoreSession(parseSessionFile(await file.text()));
+            setSaveId(null);
+            setAutosaveRevision(r => r + 1);
+        } catch (err) {
+            console.error('Session Import Error:', err);
+            setError(t('errorImportSession', { message: err.message }));
+        }
+    };
+
+    // Resumes an autosaved adventure from IndexedDB
+    const resumeSavedAdventure = async (id) => {
+        setError(null);
+        try {
+            restoreSession(await loadSavedAdventure(id));
+            setSaveId(id);
+            markSavedAdventureOpened(id).catch(err => console.warn('Could not record the opened save:', err));
+        } catch (err) {
+            console.error('Resume Error:', err);
+            setError(t('errorResumeAdventure', { message: err.message }));
+        }
+    };
+
+    const refreshSavedAdventures = useCallback(() => {
+        listSavedAdventures()
+            .then(setSavedAdventures)
+            .catch(err => console.warn('Saved adventures are unavailable:', err));
+    }, []);
+
+    const removeSavedAdventure = async (id) => {
+        try {
+            await deleteSavedAdventure(id);
+        } catch (err) {
+            console.error('Delete Save Error:', err);
+            setError(t('errorDeleteAdventure', { message: err.message }));
+        }
+        refreshSavedAdventures();
+    };
+
+    // Autosave after every successful step (the revision counter changes only on success)
+    React.useEffect(() => {
+        if (autosaveRevision === 0 || storyTree.rootId === null) return;
+
+        const id = saveId || createSaveId();
+        if (!saveId) setSaveId(id);
+
+        const firstAction = storyTree.nodes[storyTree.rootId].prompt || t('untitledAdventure');
+        setAutosaveStatus(t('statusSaving'));
+        saveAdventure(id, buildSessionSnapshot(), firstAction.slice(0, 80), () => window.confirm(t('confirmPruneSaves')))
+            .then(pruned => {
+                setAutosaveStatus(pruned.length > 0
+                    ? t('statusAutosavedPruned', { count: pruned.length, titles: pruned.map(save => `"${save.title}"`).join(', ') })
+                    : t('statusAutosaved'));
+                if (pruned.length > 0) refreshSavedAdventures();
+            })
+            .catch(err => {
+                console.error('Autosave Error:', err);
+                setAutosaveStatus(isQuotaError(err) ? t('statusStorageFull') : t('statusAutosaveFailed', { message: err.message }));
+            });
+        // Only a new revision should trigger a save; the snapshot reads the latest state.
+    }, [autosaveRevision]);
+
+    // Refresh the saved adventure list whenever the start screen is shown
+    React.useEffect(() => {
+        if (adventureText === null) refreshSavedAdventures();
+    }, [adventureText, refreshSavedAdventures]);
+
+    const updateCustomPresets = (presets) => {
+        saveCustomPresets(presets);
+        setCustomPresets(presets);
+        // A deleted or renamed preset can't stay selected
+        if (!presets.themes[theme] && !isBuiltInTheme(theme)) setTheme(DEFAULT_THEME);
+        if (!presets.styles[imageStyle] && !isBuiltInStyle(imageStyle)) setImageStyle(DEFAULT_STYLE);
+    };
+
+    const updateLanguage = (value) => {
+        saveLanguage(value);
+        setLanguage(value);
+    };
+
+    // Template overrides belong to the adventure and are saved with it
+    const updatePromptOverrides = (overrides) => {
+        setPromptOverrides(overrides);
+        if (storyTree.rootId !== null) setAutosaveRevision(r => r + 1);
+    };
+
+    const updateImageCandidateCount = (count) => {
+        setImageCandidateCount(count);
+        if (storyTree.rootId !== null) setAutosaveRevision(r => r + 1);
+    };
+
+    // Re-sends a logged call, as-is or with an edited prompt; the result only goes to the call log
+    const replayCall = async (call, editedPrompt = null) => {
+        if (!checkBudget()) return;
+        const operation = call.operation === 'streamText' ? 'generateText' : call.operation;
+        // An edited prompt no longer matches the templates it was rendered from
+        const request = editedPrompt === null ? { ...call.request, templates: call.templates } : withEditedPrompt(operation, call.request, editedPrompt);
+        setReplayingCallId(call.id);
+        try {
+            await provider[operation](request, { replayOf: call.id });
+        } catch (err) {
+            // Already recorded in the call log
+        } finally {
+            setReplayingCallId(null);
+        }
+    };
+
+    const exportDebugBundle = async () => {
+        try {
+            const bundle = await buildDebugBundle({ calls: callLog, retryLog, settings: providerSettings, stepTimings, promptOverrides });
+            downloadJsonFile(bundle, `adventure_debug_${bundle.exportedAt.replace(/[:.]/g, '-')}.json`);
+        } catch (err) {
+            console.error('Debug Bundle Error:', err);
+            setError(t('errorDebugBundle', { message: err.message }));
         }
     };
 
+    const exportUsageCsv = () => {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        downloadBlob(new Blob([buildUsageCsv(usageLog, providerSettings.prices)], { type: 'text/csv' }), `adventure_usage_${stamp}.csv`);
+    };
+
+    // Pinning or editing a character mid-adventure is saved like a step
+    const updateCharacterReferences = (characters) => {
+        setCharacterReferences(characters);
+        if (storyTree.rootId !== null) setAutosaveRevision(r => r + 1);
+    };
+
+    const updateProviderSettings = (settings) => {
+        saveProviderSettings(settings);
+        setProviderSettings(settings);
+    };
+
     // Resets the game state
     const resetAdventure = () => {
+        adventureEpochRef.current += 1;
+        cancelRequests();
         setAdventureText(null);
         setOptions([]);
         setImageUrl(null);
-        setImageHistory([]); 
-        setNarrativeHistory([]);
-        setIsInitialSceneSet(false); 
+        setStoryTree(EMPTY_STORY_TREE);
+        setIsStoryMapOpen(false);
+        setCharacterReferences([]);
+        setImageCandidateCount(1);
+        setUsageLog([]);
+        setPromptOverrides({});
+        setChoiceFilter(DEFAULT_CHOICE_FILTER);
         setError(null);
-        setTheme('Fantasy'); 
+        setTheme(DEFAULT_THEME); 
         setStepTimings({ total: 0, image: 0, describe: 0, options: 0 }); 
         setVisionModelResponse(null); 
+        setImagePayloadStats(null);
         setIsRefining(false);
         setRefinementPrompt('');
+        setSaveId(null);
+        setAutosaveStatus(null);
+        pendingRegroundingRef.current = null;
+        setIsRegrounding(false);
+        setRegroundingStatus(null);
+        setRetryLog([]);
+        setCallLog([]);
+        setInspectedCallId(null);
+        setQueuedAction(null);
+        setBlockedStep(null);
         
         revokePreviousUrl();
         
@@ -544,19 +7408,102 @@ const App = () => {
         }
     };
     
+    const currentImageFilename = `dual_ai_scene.${IMAGE_FILE_EXTENSIONS[imageUrl?.slice(5, imageUrl.indexOf(';'))] || 'png'}`;
+
+    const downloadCurrentImage = () => {
+        const link = document.createElement('a');
+        link.href = imageObjectUrl;
+        link.download = currentImageFilename;
+        link.click();
+    };
+
+    // The choices the filter lets through; the number keys pick among these
+    const visibleChoices = options.filter(choice => matchesChoiceFilter(choice, choiceFilter));
+    // Rerolling replaces the latest turn's choices only (like picking another candidate image)
+    const canRerollChoices = !!currentNode && !loading && !isRerollingChoices && getChildNodes(storyTree, currentNode.id).length === 0;
+
+    // Keyboard shortcuts while playing (see KEYBOARD_SHORTCUTS). The window listener is added once and
+    // always calls the latest handler, which sees the current state.
+    const shortcutHandlerRef = useRef(null);
+    shortcutHandlerRef.current = (e) => {
+        if (adventureText === null || e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+
+        if (e.key === 'Escape') {
+            if (loading || isRerollingChoices) {
+                e.preventDefault();
+                cancelRequests();
+            } else if (isRefining) {
+                e.preventDefault();
+                setIsRefining(false);
+                setRefinementPrompt('');
+            }
+            return;
+        }
+
+        const target = e.target;
+        if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || blockedStep) return;
+
+        if (/^[1-9]$/.test(e.key)) {
+            const choice = visibleChoices[Number(e.key) - 1];
+            if (choice && !isRefining) {
+                e.preventDefault();
+                chooseOption(choice);
+            }
+        } else if (e.key === 'r' && !loading && !isRefining) {
+            e.preventDefault();
+            setIsRefining(true);
+        } else if (e.key === 'd' && imageObjectUrl) {
+            e.preventDefault();
+            downloadCurrentImage();
+        } else if (e.key === 'N' && e.shiftKey) {
+            e.preventDefault();
+            resetAdventure();
+        }
+    };
+
+    React.useEffect(() => {
+        const onKeyDown = (e) => shortcutHandlerRef.current(e);
+        window.addEventListener('keydown', onKeyDown);
+        return () => window.removeEventListener('keydown', onKeyDown);
+    }, []);
+
+    // Focus follows the game: the refinement box when it opens, otherwise the first choice once a step (or reroll) ends
+    React.useEffect(() => {
+        if (adventureText === null || loading || isRerollingChoices || blockedStep) return;
+        if (isRefining) {
+            refinementInputRef.current?.focus();
+        } else {
+            firstChoiceRef.current?.focus();
+        }
+    }, [loading, isRefining, isRerollingChoices]);
+
+    // ...and the premise box on the start screen
+    const isOnStartScreen = adventureText === null;
+    React.useEffect(() => {
+        if (isOnStartScreen) inputRef.current?.focus();
+    }, [isOnStartScreen]);
+
+    // Read out by screen readers whenever it changes (the error banner and blocked-step panel are alerts of their own)
+    const liveAnnouncement = loading
+        ? (isRefining ? t('announceRefining') : queuedAction ? t('announceQueued', { choice: queuedAction }) : t('announceGenerating'))
+        : adventureText !== null && !blockedStep && visibleChoices.length > 0
+            ? [t('announceSceneReady'), currentNode?.altText, t('announceChoices', { count: visibleChoices.length, last: Math.min(visibleChoices.length, 9) })].filter(Boolean).join(' ')
+            : '';
+    const currentSceneAlt = currentNode?.altText || (currentNode ? t('sceneAfterAlt', { prompt: currentNode.prompt }) : t('currentSceneAlt'));
+
     const formatTime = (ms) => (ms / 1000).toFixed(2);
     
-    // Debug Component
+    // Debug Component (open state lives in App: the inner views below are called as plain functions)
     const DebugConsole = () => {
-        const [isOpen, setIsOpen] = useState(false);
+        const isOpen = isDebugConsoleOpen;
         
         return (
             <div className="mt-4 border-t border-gray-700 pt-2 flex-shrink-0">
                 <button 
-                    onClick={() => setIsOpen(!isOpen)}
+                    onClick={() => setIsDebugConsoleOpen(!isOpen)}
                     className="flex justify-between items-center w-full text-sm font-semibold text-gray-400 hover:text-yellow-400 transition"
                 >
-                    Performance & Debug Info ({stepTimings.total > 0 ? formatTime(stepTimings.total) + 's' : 'Ready'})
+                    {t('debugTitle', { status: stepTimings.total > 0 ? formatTime(stepTimings.total) + 's' : t('debugReady') })}
                     <svg className={`w-4 h-4 transform transition-transform ${isOpen ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
                 </button>
                 
@@ -564,19 +7511,98 @@ const App = () => {
                     <div className="mt-2 p-3 bg-gray-700 rounded-lg text-xs space-y-3">
                         {/* Timings */}
                         <div className="font-mono text-gray-300">
-                            <h4 className="text-yellow-300 font-bold mb-1">Step Timings (s)</h4>
-                            <div className="flex flex-wrap space-x-4">
-                                <span>Total: <span className="text-white">{formatTime(stepTimings.total)}</span></span>
-                                <span>Img: <span className="text-white">{formatTime(stepTimings.image)}</span></span>
-                                {stepTimings.describe > 0 && <span>Desc: <span className="text-white">{formatTime(stepTimings.describe)}</span></span>}
-                                <span>Opts: <span className="text-white">{formatTime(stepTimings.options)}</span></span>
+                            <h4 className="text-yellow-300 font-bold mb-1">{t('debugTimings')}</h4>
+                            <div className="flex flex-wrap gap-4">
+                                <span>{t('debugTotal')} <span className="text-white">{formatTime(stepTimings.total)}</span></span>
+                                <span>{t('debugImage')} <span className="text-white">{formatTime(stepTimings.image)}</span></span>
+                                {stepTimings.describe > 0 && <span>{t('debugDescribe')} <span className="text-white">{formatTime(stepTimings.describe)}</span></span>}
+                                <span>{t('debugOptions')} <span className="text-white">{formatTime(stepTimings.options)}</span></span>
                             </div>
                         </div>
                         
+                        {/* Image Request Payload */}
+                        {imagePayloadStats && (
+                            <div className="font-mono text-gray-300">
+                                <h4 className="text-yellow-300 font-bold mb-1">{t('debugPayload')}</h4>
+                                <div className="flex flex-wrap gap-4">
+                                    <span>{t('debugSent')} <span className="text-white">{formatBytes(imagePayloadStats.payloadBytes)}</span></span>
+                                    <span>{t('debugFullHistory')} <span className="text-white">{formatBytes(imagePayloadStats.originalBytes)}</span></span>
+                                    <span>{t('debugScenes')} <span className="text-white">{imagePayloadStats.imageCount}</span></span>
+                                    <span>{t('debugDownsampled')} <span className="text-white">{imagePayloadStats.downsampledCount}</span></span>
+                                    {imagePayloadStats.droppedTurns > 0 && <span>{t('debugSummarizedTurns')} <span className="text-white">{imagePayloadStats.droppedTurns}</span></span>}
+                                    {imagePayloadStats.referenceCount > 0 && <span>{t('debugReferences')} <span className="text-white">{imagePayloadStats.referenceCount}</span></span>}
+                                    {imagePayloadStats.candidateCount > 1 && <span>{t('debugCandidates')} <span className="text-white">{imagePayloadStats.candidateCount - imagePayloadStats.failedCandidates}/{imagePayloadStats.candidateCount}</span></span>}
+                                </div>
+                            </div>
+                        )}
+
+                        {/* Image Candidates of the current turn (the chosen one is highlighted) */}
+                        {currentNode?.imageCandidates && (
+                            <div className="font-mono text-gray-300">
+                                <h4 className="text-yellow-300 font-bold mb-1">{t('debugCandidatesTitle')}</h4>
+                                <div className="flex gap-2">
+                                    {currentNode.imageCandidates.map((candidate, index) => (
+                                        <img
+                                            key={index}
+                                            src={`data:${candidate.inlineData.mimeType};base64,${candidate.inlineData.data}`}
+                                            alt={t(index === currentNode.selectedCandidate ? 'debugChosenCandidateAlt' : 'debugCandidateAlt', { number: index + 1 })}
+                                            className={`w-24 aspect-[16/9] object-cover rounded border-2 ${index === currentNode.selectedCandidate ? 'border-yellow-400' : 'border-gray-600 opacity-70'}`}
+                                        />
+                                    ))}
+                                </div>
+                            </div>
+                        )}
+
+                        {/* Retries */}
+                        {retryLog.length > 0 && (
+                            <div className="font-mono text-gray-300">
+                                <h4 className="text-yellow-300 font-bold mb-1">{t('debugRetries', { retries: retryLog.length })}</h4>
+                                <ul className="space-y-1">
+                                    {retryLog.map(entry => (
+                                        <li key={`${entry.at}-${entry.endpoint}-${entry.attempt}`} className="break-all">
+                                            <span className="text-gray-500">{new Date(entry.at).toLocaleTimeString()}</span>{' '}
+                                            <span className="text-white">{entry.endpoint}</span> {t('debugRetryEntry', { attempt: entry.attempt, seconds: formatTime(entry.delayMs), message: entry.message })}
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        )}
+
+                        {/* Model Calls (token usage) */}
+                        {usageLog.length > 0 && (
+                            <div className="font-mono text-gray-300">
+                                <h4 className="text-yellow-300 font-bold mb-1">{t('debugModelCalls', { calls: usageLog.length, shown: Math.min(usageLog.length, MAX_USAGE_ROWS_SHOWN) })}</h4>
+                                <ul className="space-y-1">
+                                    {usageLog.slice(-MAX_USAGE_ROWS_SHOWN).reverse().map(entry => {
+                                        const cost = estimateCallCost(entry, providerSettings.prices);
+                                        return (
+                                            <li key={`${entry.at}-${entry.operation}-${entry.inputTokens}`} className="break-all">
+                                                <span className="text-gray-500">{new Date(entry.at).toLocaleTimeString()}</span>{' '}
+                                                <span className="text-white">{entry.operation}</span> {t('debugUsageEntry', { model: entry.model, input: entry.inputTokens, output: entry.outputTokens })}
+                                                {entry.images > 0 && `, ${t('imageCount', { count: entry.images })}`}, {cost === null ? t('debugNoPrice') : formatUSD(cost)}
+                                            </li>
+                                        );
+                                    })}
+                                </ul>
+                            </div>
+                        )}
+
+                        {/* Request Inspector */}
+                        <RequestInspector
+                            calls={callLog}
+                            inspectedCallId={inspectedCallId}
+                            onInspect={setInspectedCallId}
+                            replayingCallId={replayingCallId}
+                            onReplay={replayCall}
+                            onExport={exportDebugBundle}
+                            disabled={loading}
+                            t={t}
+                        />
+
                         {/* Raw Vision Model Response */}
                         {visionModelResponse && (
                             <div className="font-mono text-gray-300 overflow-x-auto">
-                                <h4 className="text-yellow-300 font-bold mb-1 mt-2">Vision Model Response (Turn 1 Only)</h4>
+                                <h4 className="text-yellow-300 font-bold mb-1 mt-2">{t('debugVisionResponse')}</h4>
                                 <pre className="whitespace-pre-wrap p-2 bg-gray-800 rounded text-gray-400 text-[10px] max-h-48 overflow-y-auto">
                                     {visionModelResponse}
                                 </pre>
@@ -585,7 +7611,7 @@ const App = () => {
                         
                         {/* Narrative History Display */}
                         <div className="font-mono text-gray-300 overflow-x-auto">
-                            <h4 className="text-yellow-300 font-bold mb-1 mt-2">Narrative History (for Options Model)</h4>
+                            <h4 className="text-yellow-300 font-bold mb-1 mt-2">{t('debugNarrativeHistory')}</h4>
                             <pre className="whitespace-pre-wrap p-2 bg-gray-800 rounded text-gray-400 text-[10px] max-h-48 overflow-y-auto">
                                 {JSON.stringify(narrativeHistory, null, 2)}
                             </pre>
@@ -597,18 +7623,101 @@ const App = () => {
         );
     }
 
-    // Component to render the game state
+    // Story Map Component: every turn of the adventure, with branches indented under the turn they split from
+    const StoryMap = () => {
+        const currentPathIds = new Set(storyPath.map(node => node.id));
+        const turnCount = Object.keys(storyTree.nodes).length;
+        const branchCount = Object.values(storyTree.nodes).filter(node => getChildNodes(storyTree, node.id).length === 0).length;
+
+        // Renders a linear run of turns flat, nesting only where the story branches
+        const renderBranch = (node, turnNumber) => {
+            const items = [];
+            let current = node;
+            let turn = turnNumber;
+            while (current) {
+                if (current.kind === 'action') turn += 1;
+                const image = findLatestImagePart(current.imageParts);
+                const isCurrent = current.id === storyTree.currentId;
+                const children = getChildNodes(storyTree, current.id);
+                // `current` moves on (and ends up null) before any click, so the handler keeps its own copy
+                const nodeId = current.id;
+
+                items.push(
+                    <li key={nodeId}>
+                        <button
+                            onClick={() => goToStoryNode(nodeId)}
+                            disabled={loading || isCurrent}
+                            aria-current={isCurrent ? 'step' : undefined}
+                            className={`w-full flex items-center gap-2 p-1 text-start rounded-lg transition duration-200 disabled:cursor-default
+                                ${isCurrent
+                                    ? 'bg-yellow-500 text-gray-900'
+                                    : currentPathIds.has(current.id)
+                                        ? 'bg-gray-600 text-white hover:bg-gray-500'
+                                        : 'text-gray-400 hover:bg-gray-600'
+                                }`}
+                        >
+                            <img src={`data:${image.mimeType};base64,${image.data}`} alt="" className="w-12 h-7 object-cover rounded flex-shrink-0" />
+                            <span className="truncate">
+                                {current.kind === 'refine' ? t('storyMapRefine') : t('storyMapTurn', { turn })}{current.playerAuthored ? ` ${t('storyMapYourAction')}` : ''}: {current.prompt}
+                            </span>
+                        </button>
+                    </li>
+                );
+
+                if (children.length === 1) {
+                    current = children[0];
+                } else {
+                    const branchTurn = turn;
+                    children.forEach((child, index) => items.push(
+                        <li key={`${child.id}-branch`} className="ps-3 ms-2 border-s-2 border-gray-600">
+                            <span className="block text-[10px] text-gray-500 mt-1">{t('storyMapBranch', { number: index + 1 })}</span>
+                            <ul className="space-y-1">{renderBranch(child, branchTurn)}</ul>
+                        </li>
+                    ));
+                    current = null;
+                }
+            }
+            return items;
+        };
+
+        return (
+            <div className="mt-4 border-t border-gray-700 pt-2 flex-shrink-0">
+                <button
+                    onClick={() => setIsStoryMapOpen(!isStoryMapOpen)}
+                    className="flex justify-between items-center w-full text-sm font-semibold text-gray-400 hover:text-yellow-400 transition"
+                >
+                    {t('storyMapTitle', { turns: t('turnCount', { count: turnCount }), branches: t('branchCount', { count: branchCount }) })}
+                    <svg className={`w-4 h-4 transform transition-transform ${isStoryMapOpen ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M19 9l-7 7-7-7"></path></svg>
+                </button>
+
+                {isStoryMapOpen && storyTree.rootId && (
+                    <div className="mt-2 p-3 bg-gray-700 rounded-lg text-xs max-h-64 overflow-y-auto">
+                        <p className="text-gray-400 mb-2">{t('storyMapHint')}</p>
+                        <ul className="space-y-1">{renderBranch(storyTree.nodes[storyTree.rootId], 0)}</ul>
+                    </div>
+                )}
+            </div>
+        );
+    };
+
+    // Component to render the game state. The inner views are called as functions rather than rendered
+    // as <Components/>, so they aren't remounted on every App render (which would drop keyboard focus).
     const AdventureView = () => (
         <div className="flex flex-col h-full overflow-y-auto">
             <div className="bg-gray-800 p-4 shadow-lg rounded-xl mb-4 flex-shrink-0 border-t-4 border-yellow-500">
                 <h2 className="text-xl font-bold text-yellow-300 mb-2">
-                    Current Scene 
-                    <span className="font-normal text-gray-400 text-base"> (Theme: {theme} / Style: {imageStyle})</span>
+                    {t('currentScene')}{' '}
+                    <span className="font-normal text-gray-400 text-base">{t('themeAndStyle', { theme, style: imageStyle })}</span>
                 </h2>
                 <p className="text-gray-300 mb-3 italic">
                     {adventureText}
                 </p>
-                <div className="relative w-full aspect-[16/9] bg-gray-700 rounded-lg overflow-hidden border-2 border-gray-600">
+                {(streamingNarration ?? currentNarration) && (
+                    <p className="text-gray-100 mb-3 leading-relaxed">
+                        {streamingNarration ?? currentNarration}
+                    </p>
+                )}
+                <div className="relative w-full aspect-[16/9] bg-gray-700 rounded-lg overflow-hidden border-2 border-gray-600" aria-busy={loading}>
                     {loading && (
                         <div className="absolute inset-0 flex flex-col items-center justify-center bg-gray-900 bg-opacity-80 z-10">
                             <svg className="animate-spin h-8 w-8 text-yellow-400 mb-2" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
@@ -616,66 +7725,166 @@ const App = () => {
                                 <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
                             </svg>
                             <span className="text-white text-sm">
-                                {isRefining ? 'Applying Refinement...' : 'Generating scene and choices...'}
+                                {isRefining ? t('applyingRefinement') : t('generatingScene')}
                             </span>
+                            <button
+                                onClick={cancelRequests}
+                                aria-keyshortcuts="Escape"
+                                className="mt-3 px-4 py-1 bg-red-700 hover:bg-red-800 text-white text-sm font-medium rounded-lg shadow-md transition duration-300"
+                            >
+                                {t('cancel')}
+                            </button>
                         </div>
                     )}
                     {imageUrl ? (
                         <img 
                             src={imageUrl} 
-                            alt="Current adventure scene" 
+                            alt={currentSceneAlt}
                             className="w-full h-full object-cover"
                             width="100%" height="auto"
                             onError={(e) => { e.target.onerror = null; e.target.src="https://placehold.co/800x450/374151/D1D5DB?text=Image+Load+Failed"; }}
                         />
                     ) : (
                         <div className="w-full h-full flex items-center justify-center text-gray-400 text-center p-4">
-                            Image loading...
+                            {t('imageLoading')}
                         </div>
                     )}
                 </div>
+                {currentNode?.imageCandidates && getChildNodes(storyTree, currentNode.id).length === 0 && (
+                    <ImageCandidateStrip
+                        candidates={currentNode.imageCandidates}
+                        selectedIndex={currentNode.selectedCandidate}
+                        onPick={pickImageCandidate}
+                        disabled={loading}
+                        t={t}
+                    />
+                )}
                 
                 {/* --- Image Link (using createObjectURL) --- */}
                 {imageObjectUrl && (
                     <div className="mt-4 flex flex-col space-y-3">
                         <a
                             href={imageObjectUrl}
-                            download="dual_ai_scene.png"
+                            download={currentImageFilename}
+                            aria-keyshortcuts="D"
                             className="w-full text-center px-4 py-2 bg-yellow-600 hover:bg-yellow-700 text-gray-900 font-bold rounded-xl shadow-md transition duration-300 transform hover:scale-[1.01] active:scale-[0.99] disabled:opacity-50"
                         >
-                            Download Current Image
+                            {t('downloadImage')}
                         </a>
+                        <button
+                            onClick={exportSession}
+                            disabled={loading}
+                            className="w-full px-4 py-2 bg-gray-600 hover:bg-gray-700 text-white font-medium rounded-xl shadow-md transition duration-300 disabled:opacity-50"
+                        >
+                            {t('exportSession')}
+                        </button>
+                        <StorybookExportPanel
+                            storyPath={storyPath}
+                            theme={theme}
+                            imageStyle={imageStyle}
+                            language={language}
+                            disabled={loading}
+                            t={t}
+                        />
+                        <ComicExportPanel
+                            storyPath={storyPath}
+                            language={language}
+                            disabled={loading}
+                            t={t}
+                        />
+                        <button
+                            onClick={regroundCurrentScene}
+                            disabled={loading || isRegrounding}
+                            className="w-full px-4 py-2 bg-gray-600 hover:bg-gray-700 text-white font-medium rounded-xl shadow-md transition duration-300 disabled:opacity-50"
+                        >
+                            {isRegrounding ? t('redescribingScene') : t('redescribeScene')}
+                        </button>
+                        {regroundingStatus && (
+                            <p role="status" className="text-xs text-gray-400 text-center">{regroundingStatus}</p>
+                        )}
+                        <ImageCandidateCountSelector count={imageCandidateCount} onChange={updateImageCandidateCount} disabled={loading} t={t} />
+                        {autosaveStatus && (
+                            <p className="text-xs text-gray-400 text-center">{autosaveStatus}</p>
+                        )}
                     </div>
                 )}
             </div>
+
+            {/* --- Character Sheet --- */}
+            <CharacterSheet
+                gameState={gameState}
+                statSet={themeDefinition.stats}
+                lastChanges={lastStateChanges}
+                isOpen={isCharacterSheetOpen}
+                onToggle={() => setIsCharacterSheetOpen(!isCharacterSheetOpen)}
+                t={t}
+            />
+
+            {/* --- Pinned Characters --- */}
+            <CharacterReferencesPanel
+                characters={characterReferences}
+                onChange={updateCharacterReferences}
+                currentImageData={storyTree.currentId ? findLatestImagePart(storyTree.nodes[storyTree.currentId].imageParts)?.data : null}
+                disabled={loading}
+                isOpen={isCharacterPanelOpen}
+                onToggle={() => setIsCharacterPanelOpen(!isCharacterPanelOpen)}
+                t={t}
+            />
+
+            {/* --- Usage & Budget --- */}
+            <UsageBudgetPanel
+                summary={usageSummary}
+                budget={providerSettings.budget}
+                status={budgetStatus}
+                onBudgetChange={(budget) => updateProviderSettings({ ...providerSettings, budget })}
+                onExportCsv={exportUsageCsv}
+                isOpen={isUsagePanelOpen}
+                onToggle={() => setIsUsagePanelOpen(!isUsagePanelOpen)}
+                t={t}
+            />
+
+            <PromptTemplatesPanel
+                overrides={promptOverrides}
+                onChange={updatePromptOverrides}
+                disabled={loading}
+                t={t}
+            />
             
             {/* --- REFINEMENT INPUT --- */}
             {isRefining ? (
                 <div className="flex flex-col space-y-3 flex-grow-0 pb-4">
-                    <h3 className="text-lg font-semibold text-yellow-300">Refine the Scene:</h3>
+                    <h3 className="text-lg font-semibold text-yellow-300">{t('refineTitle')}</h3>
                     <textarea
                         ref={refinementInputRef}
                         value={refinementPrompt}
                         onChange={(e) => setRefinementPrompt(e.target.value)} 
-                        placeholder="e.g., 'Make the dragon's scales metallic blue' or 'Add a small, mischievous cat in the foreground'"
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter' && !e.shiftKey) {
+                                e.preventDefault();
+                                handleRefine();
+                            }
+                        }}
+                        aria-label={t('refineLabel')}
+                        placeholder={t('refinePlaceholder')}
                         rows="2"
                         className="w-full p-3 text-base bg-gray-700 border border-gray-600 rounded-xl text-white focus:ring-yellow-500 focus:border-yellow-500 transition duration-300"
                         disabled={loading}
                     />
-                    <div className="flex space-x-3">
+                    <div className="flex gap-3">
                         <button
-                            onClick={handleRefine}
+                            onClick={() => handleRefine()}
                             disabled={loading || refinementPrompt.trim().length === 0}
                             className="flex-1 p-3 bg-indigo-600 hover:bg-indigo-700 text-white font-bold rounded-xl shadow-md transition duration-300 disabled:opacity-50 transform hover:scale-[1.01] active:scale-[0.99]"
                         >
-                            {loading ? 'Applying...' : 'Apply Refinement'}
+                            {loading ? t('applying') : t('applyRefinement')}
                         </button>
                         <button
                             onClick={() => { setIsRefining(false); setRefinementPrompt(''); }}
                             disabled={loading}
+                            aria-keyshortcuts="Escape"
                             className="p-3 bg-gray-500 hover:bg-gray-600 text-white font-bold rounded-xl shadow-md transition duration-300 disabled:opacity-50"
                         >
-                            Cancel
+                            {t('cancel')}
                         </button>
                     </div>
                 </div>
@@ -683,144 +7892,147 @@ const App = () => {
                 // --- NARRATIVE CHOICES ---
                 <div className="flex flex-col space-y-3 flex-grow overflow-y-auto pb-4">
                     <div className="flex justify-between items-center">
-                        <h3 className="text-lg font-semibold text-yellow-300">Choose your next step:</h3>
-                        <button
-                            onClick={() => setIsRefining(true)}
-                            disabled={loading}
-                            className="p-2 text-sm bg-gray-600 hover:bg-gray-700 text-white font-medium rounded-lg transition duration-300 disabled:opacity-50"
-                        >
-                            Refine Image First
-                        </button>
+                        <h3 className="text-lg font-semibold text-yellow-300">{t('chooseNextStep')}</h3>
+                        <div className="flex gap-2">
+                            <button
+                                onClick={rerollChoices}
+                                disabled={!canRerollChoices}
+                                className="p-2 text-sm bg-gray-600 hover:bg-gray-700 text-white font-medium rounded-lg transition duration-300 disabled:opacity-50"
+                            >
+                                {isRerollingChoices ? t('rerollingChoices') : t('rerollChoices')}
+                            </button>
+                            <button
+                                onClick={() => setIsRefining(true)}
+                                disabled={loading || isRerollingChoices}
+                                aria-keyshortcuts="R"
+                                className="p-2 text-sm bg-gray-600 hover:bg-gray-700 text-white font-medium rounded-lg transition duration-300 disabled:opacity-50"
+                            >
+                                {t('refineImageFirst')}
+                            </button>
+                        </div>
                     </div>
-                    {options.length > 0 ? options.map((option, index) => (
+                    {options.some(choice => choice.tone || choice.risk) && (
+                        <div className="flex flex-wrap gap-2 text-sm">
+                            <select
+                                value={choiceFilter.tone ?? ''}
+                                onChange={(e) => setChoiceFilter({ ...choiceFilter, tone: e.target.value || null })}
+                                aria-label={t('filterTone')}
+                                className="p-1 bg-gray-700 text-white rounded-lg border border-gray-600"
+                            >
+                                <option value="">{t('filterAllTones')}</option>
+                                {Object.entries(CHOICE_TONES).map(([tone, label]) => (
+                                    <option key={tone} value={tone}>{t(label)}</option>
+                                ))}
+                            </select>
+                            <select
+                                value={choiceFilter.maxRisk ?? ''}
+                                onChange={(e) => setChoiceFilter({ ...choiceFilter, maxRisk: e.target.value || null })}
+                                aria-label={t('filterRisk')}
+                                className="p-1 bg-gray-700 text-white rounded-lg border border-gray-600"
+                            >
+                                <option value="">{t('filterAnyRisk')}</option>
+                                <option value="low">{t('filterLowRisk')}</option>
+                                <option value="medium">{t('filterUpToMedium')}</option>
+                            </select>
+                        </div>
+                    )}
+                    {budgetStatus !== 'ok' && (
+                        <p className={`p-2 text-sm rounded-lg ${budgetStatus === 'hard' ? 'bg-red-900 text-red-100' : 'bg-yellow-900 text-yellow-100'}`}>
+                            {budgetStatus === 'hard'
+                                ? t('budgetHardWarning', { cost: formatUSD(usageSummary.cost) })
+                                : t(providerSettings.budget.hardUSD > 0 ? 'budgetSoftWarningWithLimit' : 'budgetSoftWarning', {
+                                    cost: formatUSD(usageSummary.cost),
+                                    soft: formatUSD(providerSettings.budget.softUSD),
+                                    hard: formatUSD(providerSettings.budget.hardUSD),
+                                })}
+                        </p>
+                    )}
+                    {visibleChoices.length > 0 ? visibleChoices.map((choice, index) => (
                         <button
                             key={index}
-                            onClick={() => handleNarrativeStep(option)}
-                            disabled={loading}
-                            className="w-full p-4 text-left bg-blue-600 hover:bg-blue-700 text-white font-medium rounded-xl shadow-md transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed transform hover:scale-[1.01] active:scale-[0.99] focus:outline-none focus:ring-2 focus:ring-blue-400 text-base sm:text-lg"
+                            ref={index === 0 ? firstChoiceRef : null}
+                            onClick={() => chooseOption(choice)}
+                            disabled={isRerollingChoices}
+                            aria-keyshortcuts={index < 9 ? String(index + 1) : undefined}
+                            className={`w-full p-4 text-start bg-blue-600 hover:bg-blue-700 text-white font-medium rounded-xl shadow-md transition duration-300 transform hover:scale-[1.01] active:scale-[0.99] focus:outline-none focus:ring-2 focus:ring-blue-400 text-base sm:text-lg disabled:opacity-50 ${queuedAction === choice.action ? 'ring-2 ring-yellow-400' : ''}`}
                         >
-                            {option}
+                            {index < 9 && <kbd className="me-2 px-1.5 py-0.5 text-xs font-mono bg-blue-800 rounded">{index + 1}</kbd>}
+                            {choice.label}
+                            {(choice.tone || choice.risk) && (
+                                <span className="ms-2 inline-flex gap-1 align-middle">
+                                    {choice.tone && <span className="px-1.5 py-0.5 text-xs bg-blue-800 rounded">{t(CHOICE_TONES[choice.tone])}</span>}
+                                    {choice.risk && <span className={`px-1.5 py-0.5 text-xs rounded ${CHOICE_RISKS[choice.risk].className}`}>{t(CHOICE_RISKS[choice.risk].label)}</span>}
+                                </span>
+                            )}
+                            {choice.action !== choice.label && (
+                                <span className="block text-sm text-blue-100 font-normal mt-1">{choice.action}</span>
+                            )}
+                            {queuedAction === choice.action && (
+                                <span className="block text-xs text-yellow-200 mt-1">{t('queuedChoice')}</span>
+                            )}
                         </button>
-                    )) : (
+                    )) : options.length === 0 && (
                         <div className="p-4 text-center text-gray-400 bg-gray-700 rounded-xl">
-                            Awaiting the next set of choices...
+                            {t('awaitingChoices')}
                         </div>
                     )}
+                    {visibleChoices.length < options.length && (
+                        <p className="text-sm text-gray-400">
+                            {t('choicesHidden', { count: options.length - visibleChoices.length })}{' '}
+                            <button onClick={() => setChoiceFilter(DEFAULT_CHOICE_FILTER)} className="underline hover:text-yellow-400">{t('showAllChoices')}</button>
+                        </p>
+                    )}
+                    <CustomActionInput
+                        onSubmit={(action) => handleNarrativeStep(action, true)}
+                        disabled={loading || isRerollingChoices}
+                        t={t}
+                    />
+                    <p className="text-xs text-gray-400">
+                        {t('keysLabel')} {KEYBOARD_SHORTCUTS.map(({ keys, label }, index) => (
+                            <span key={keys}>{index > 0 && ' · '}<kbd className="font-mono text-gray-300">{keys}</kbd> {t(label)}</span>
+                        ))}
+                    </p>
                 </div>
             )}
             
+            {/* --- Story Map --- */}
+            {StoryMap()}
+
             {/* --- Debug Console --- */}
-            <DebugConsole />
+            {DebugConsole()}
             
             <button
                 onClick={resetAdventure}
+                aria-keyshortcuts="Shift+N"
                 className="mt-3 p-3 bg-red-800 hover:bg-red-700 text-white font-medium rounded-xl shadow-lg transition duration-300 flex-shrink-0 transform hover:scale-[1.01] active:scale-[0.98]"
             >
-                Start New Adventure
+                {t('startNewAdventure')}
             </button>
         </div>
     );
 
-    // Start Screen Component remains unchanged
-    const StartScreen = ({ inputRef, loading, startAdventure, theme, setTheme, imageStyle, setImageStyle }) => {
-        const [isTextEntered, setIsTextEntered] = useState(false);
-
-        const handleTextChange = (e) => {
-            setIsTextEntered(e.target.value.trim().length > 0);
-        };
-        
-        const handleKeyDown = (e) => {
-            const text = inputRef.current ? inputRef.current.value.trim() : '';
-            if (e.key === 'Enter' && !e.shiftKey && text && !loading) {
-                e.preventDefault();
-                startAdventure();
-            }
-        };
-
-        const isButtonDisabled = () => {
-            return !isTextEntered || loading;
-        };
-
-        return (
-            <div className="flex flex-col items-center justify-center p-6 bg-gray-800 rounded-xl shadow-2xl h-full w-full mx-auto border-4 border-yellow-500">
-                <h1 className="text-4xl font-extrabold text-yellow-400 mb-4 text-center">
-                    Dual-AI Adventure Generator
-                </h1>
-                <p className="text-gray-400 text-center mb-6">
-                    Enter a starting premise, choose a theme and a visual style, and begin your visual journey.
-                </p>
-                
-                {/* --- Theme Selector --- */}
-                <div className="w-full mb-6">
-                    <h3 className="text-md font-semibold text-yellow-300 mb-2">Adventure Theme:</h3>
-                    <div className="flex justify-between space-x-2">
-                        {Object.keys(THEME_CONTENT_MODIFIERS).map((t) => (
-                            <button
-                                key={t}
-                                onClick={() => setTheme(t)}
-                                className={`flex-1 p-2 text-sm font-medium rounded-lg transition duration-200 
-                                    ${theme === t
-                                        ? 'bg-yellow-500 text-gray-900 shadow-xl border-2 border-yellow-300' 
-                                        : 'bg-gray-700 text-gray-300 hover:bg-gray-600 border border-gray-600'
-                                    }`}
-                                disabled={loading}
-                            >
-                                {t}
-                            </button>
-                        ))}
-                    </div>
-                </div>
-                {/* ---------------------- */}
-
-                {/* Style Selector */}
-                <div className="w-full mb-6">
-                    <h3 className="text-md font-semibold text-yellow-300 mb-2">Visual Style:</h3>
-                    <div className="flex justify-between space-x-2">
-                        {Object.keys(STYLE_MODIFIERS).map((style) => (
-                            <button
-                                key={style}
-                                onClick={() => setImageStyle(style)}
-                                className={`flex-1 p-2 text-sm font-medium rounded-lg transition duration-200 
-                                    ${imageStyle === style 
-                                        ? 'bg-yellow-500 text-gray-900 shadow-xl border-2 border-yellow-300' 
-                                        : 'bg-gray-700 text-gray-300 hover:bg-gray-600 border border-gray-600'
-                                    }`}
-                                disabled={loading}
-                            >
-                                {style}
-                            </button>
-                        ))}
-                    </div>
-                </div>
-
-                <textarea
-                    defaultValue="" 
-                    ref={inputRef}
-                    onChange={handleTextChange} 
-                    onKeyDown={handleKeyDown} 
-                    placeholder={`Enter your starting premise for a ${theme} adventure...`}
-                    rows="3"
-                    className="w-full p-4 mb-6 text-lg bg-gray-900 border border-gray-600 rounded-xl text-white focus:ring-yellow-500 focus:border-yellow-500 transition duration-300"
-                    disabled={loading}
-                />
-                <button
-                    onClick={startAdventure}
-                    disabled={isButtonDisabled()}
-                    className="w-full p-4 bg-green-600 hover:bg-green-700 text-white font-bold text-xl rounded-xl shadow-lg transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed transform hover:scale-[1.02] active:scale-[0.98]"
-                >
-                    {loading ? 'Starting...' : 'Start Adventure!'}
-                </button>
-            </div>
-        );
-    };
-
     return (
-        <div className="min-h-screen bg-gray-900 text-white font-sans p-4 sm:p-8 flex justify-center items-stretch">
+        <div lang={language} dir={LANGUAGES[language].dir} className="min-h-screen bg-gray-900 text-white font-sans p-4 sm:p-8 flex justify-center items-stretch">
+            {/* Screen reader announcements: loading, queued choices and new scenes */}
+            <div role="status" aria-live="polite" className="sr-only">{liveAnnouncement}</div>
             <div className="w-full max-w-xl flex flex-col h-[90vh] sm:h-[80vh]">
+                {/* Blocked step: guided recovery */}
+                {blockedStep && (
+                    <BlockedStepPanel
+                        blockedStep={blockedStep}
+                        isRephrasing={isRephrasing}
+                        canGoBack={!!storyTree.nodes[storyTree.currentId]}
+                        onRephrase={rephraseBlockedStep}
+                        onRetry={() => retryBlockedStep(blockedStep.prompt)}
+                        onPickAnother={() => leaveBlockedStep(true)}
+                        onGoBack={() => leaveBlockedStep(false)}
+                        t={t}
+                    />
+                )}
                 {/* Error Banner */}
                 {error && (
-                    <div className="bg-red-900 border border-red-500 text-red-100 p-3 rounded-xl mb-4 shadow-lg flex-shrink-0">
-                        **Error:** {error}
+                    <div role="alert" className="bg-red-900 border border-red-500 text-red-100 p-3 rounded-xl mb-4 shadow-lg flex-shrink-0">
+                        **{t('errorBanner')}** {error}
                     </div>
                 )}
                 {/* Main Content */}
@@ -833,8 +8045,23 @@ const App = () => {
                         setTheme={setTheme}
                         imageStyle={imageStyle}
                         setImageStyle={setImageStyle}
+                        language={language}
+                        setLanguage={updateLanguage}
+                        t={t}
+                        customPresets={customPresets}
+                        updateCustomPresets={updateCustomPresets}
+                        importSession={importSession}
+                        savedAdventures={savedAdventures}
+                        resumeSavedAdventure={resumeSavedAdventure}
+                        removeSavedAdventure={removeSavedAdventure}
+                        providerSettings={providerSettings}
+                        updateProviderSettings={updateProviderSettings}
+                        imageCandidateCount={imageCandidateCount}
+                        setImageCandidateCount={setImageCandidateCount}
+                        promptOverrides={promptOverrides}
+                        updatePromptOverrides={updatePromptOverrides}
                     /> 
-                    : <AdventureView />
+                    : AdventureView()
                 }
             </div>
         </div>